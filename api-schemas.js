@@ -0,0 +1,298 @@
+/**
+ * API Schemas
+ *
+ * Request schemas for the structured v2 endpoints, and a validator for the
+ * JSON Schema subset they use (type, oneOf, properties, required, enum,
+ * pattern, format: date / timezone, minimum/maximum, items, minItems/maxItems,
+ * additionalProperties: false). The
+ * same schemas are served in openapi.json.
+ */
+
+const { CLAIM_TYPES } = require('./claims');
+const { TOP_PERIODS } = require('./reddit-oracle');
+const { BATCH_LIMITS } = require('./batch');
+const { isCalendarDate, isValidTimezone } = require('./date-parser');
+
+// =============================================================================
+// SCHEMAS
+// =============================================================================
+
+const SUBREDDIT_NAME = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9_]{2,21}$',
+  description: 'Subreddit name without r/',
+  example: 'wallstreetbets'
+};
+
+const PERIOD = {
+  type: 'string',
+  enum: Object.values(TOP_PERIODS),
+  description: 'Time window (top listings and search)'
+};
+
+const FILTERS = {
+  type: 'object',
+  description: 'Content filters. Metrics cover only posts that pass them.',
+  additionalProperties: false,
+  properties: {
+    excludeNsfw: { type: 'boolean' },
+    excludeSpoilers: { type: 'boolean' },
+    excludeStickied: { type: 'boolean' },
+    excludeRemoved: { type: 'boolean' },
+    flair: {
+      oneOf: [{ type: 'string', minLength: 1 }, { type: 'array', items: { type: 'string', minLength: 1 } }],
+      example: 'DD'
+    }
+  }
+};
+
+const SPORTS_GAME_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    team: { type: 'string', minLength: 1, example: 'Lakers' },
+    date: { type: 'string', format: 'date', example: '2026-01-30' },
+    opponent: { type: 'string', minLength: 1, example: 'Celtics' },
+    league: { type: 'string', example: 'NBA' },
+    gameNumber: { type: 'integer', minimum: 1, maximum: 3, description: 'Game of the day for doubleheaders' },
+    startTime: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', description: 'Local start time (HH:MM)' },
+    timezone: { type: 'string', format: 'timezone', description: 'IANA timezone for startTime', example: 'America/New_York' },
+    claim: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        type: { type: 'string', enum: Object.values(CLAIM_TYPES) },
+        margin: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            operator: { type: 'string', enum: ['>', '>=', '=='] },
+            value: { type: 'number', minimum: 0 }
+          },
+          required: ['operator', 'value']
+        }
+      },
+      required: ['type']
+    }
+  },
+  required: ['team', 'date']
+};
+
+const REDDIT_LISTING_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    subreddit: { ...SUBREDDIT_NAME, pattern: '^[A-Za-z0-9_]{2,21}(\\+[A-Za-z0-9_]{2,21})*$', description: 'Subreddit name, or a multireddit (nba+nfl)' },
+    sort: { type: 'string', enum: ['hot', 'new', 'top'], default: 'hot' },
+    limit: { type: 'integer', minimum: 1, maximum: 500, default: 10 },
+    period: PERIOD,
+    after: { type: 'string', description: 'Cursor from a previous response' },
+    filters: FILTERS
+  },
+  required: ['subreddit']
+};
+
+const REDDIT_POST_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    subreddit: SUBREDDIT_NAME,
+    postId: { type: 'string', pattern: '^[a-z0-9]{4,10}$', example: '1abc2de' },
+    tree: { type: 'boolean', default: false, description: 'Return the full threaded comment tree' },
+    maxDepth: { type: 'integer', minimum: 0, maximum: 10 },
+    maxComments: { type: 'integer', minimum: 1, maximum: 500 }
+  },
+  required: ['subreddit', 'postId']
+};
+
+const REDDIT_SEARCH_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    subreddit: SUBREDDIT_NAME,
+    query: { type: 'string', minLength: 1, maxLength: 512, example: 'earnings' },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+    sort: { type: 'string', enum: ['relevance', 'new', 'top', 'comments'] },
+    period: PERIOD,
+    filters: FILTERS
+  },
+  required: ['subreddit', 'query']
+};
+
+const BATCH_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    endpoint: { type: 'string', default: '/api/verify', description: 'Endpoint every item is sent to', example: '/api/v2/sports/games' },
+    items: {
+      type: 'array',
+      minItems: 1,
+      maxItems: BATCH_LIMITS.maxItems,
+      description: 'Request bodies for the endpoint, or question strings',
+      items: { oneOf: [{ type: 'string', minLength: 1 }, { type: 'object' }] },
+      example: ['Who won the Lakers game on 2026-01-30?', { question: 'Did the Celtics win yesterday?' }]
+    }
+  },
+  required: ['items']
+};
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * JSON type of a value, telling integers and arrays apart
+ * @param {*} value - Any value
+ * @returns {string} JSON Schema type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Schema (see top of file for supported keywords)
+ * @param {*} value - Value to check
+ * @param {string} field - Path of the value, for messages
+ * @returns {Array<Object>} [{ field, message }] - empty when valid
+ */
+function validate(schema, value, field = '') {
+  const errors = [];
+  const at = field || '(body)';
+  const types = [].concat(schema.type || []);
+  const actual = typeOf(value);
+  const article = t => (/^[aeiou]/.test(t) ? `an ${t}` : `a ${t}`);
+
+  if (schema.oneOf) {
+    const branches = schema.oneOf.map(branch => validate(branch, value, field));
+    if (branches.some(branchErrors => branchErrors.length === 0)) return [];
+    // Report the branch of the right type if there is one, else the choice of types
+    const sameType = schema.oneOf.findIndex(branch => branch.type === actual);
+    return sameType >= 0
+      ? branches[sameType]
+      : [{ field: at, message: `must be ${schema.oneOf.map(branch => article(branch.type)).join(' or ')}` }];
+  }
+
+  if (types.length > 0 && !types.some(t => t === actual || (t === 'number' && actual === 'integer'))) {
+    return [{ field: at, message: `must be ${types.map(article).join(' or ')}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field: at, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.format === 'date' && !isCalendarDate(value)) {
+      errors.push({ field: at, message: 'must be a date in YYYY-MM-DD format' });
+    }
+    if (schema.format === 'timezone' && !isValidTimezone(value)) {
+      errors.push({ field: at, message: 'must be an IANA timezone (e.g. America/New_York)' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field: at, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (actual === 'integer' || actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field: at, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field: at, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field: at, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field: at, message: `must have at most ${schema.maxItems} items` });
+    }
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${field}[${i}]`)));
+  }
+
+  if (actual === 'object' && schema.properties) {
+    const prefix = field ? `${field}.` : '';
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push({ field: `${prefix}${name}`, message: 'is required' });
+    }
+    for (const [name, fieldValue] of Object.entries(value)) {
+      const fieldSchema = schema.properties[name];
+      if (!fieldSchema) {
+        if (schema.additionalProperties === false) errors.push({ field: `${prefix}${name}`, message: 'is not a known field' });
+        continue;
+      }
+      if (fieldValue !== undefined) errors.push(...validate(fieldSchema, fieldValue, `${prefix}${name}`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Turn query string parameters into a request body, converting values to the
+ * types the schema expects ("10" -> 10, "true" -> true). Values that don't
+ * convert are left as strings for validate() to report.
+ * @param {URLSearchParams} params - Query string parameters
+ * @param {Object} schema - Object schema
+ * @returns {Object} Request body
+ */
+function queryToBody(params, schema) {
+  const body = {};
+  for (const [name, raw] of params) {
+    const types = [].concat(schema.properties?.[name]?.type || []);
+    if ((types.includes('integer') || types.includes('number')) && raw.trim() !== '' && !isNaN(Number(raw))) {
+      body[name] = Number(raw);
+    } else if (types.includes('boolean') && (raw === 'true' || raw === 'false')) {
+      body[name] = raw === 'true';
+    } else if (types.includes('object')) {
+      // Nested objects travel as JSON (?filters={"excludeNsfw":true})
+      try {
+        body[name] = JSON.parse(raw);
+      } catch (e) {
+        body[name] = raw;
+      }
+    } else {
+      body[name] = raw;
+    }
+  }
+  return body;
+}
+
+/**
+ * Fill in schema defaults for missing top-level fields
+ * @param {Object} schema - Object schema
+ * @param {Object} body - Validated request body
+ * @returns {Object} Body with defaults
+ */
+function withDefaults(schema, body) {
+  const filled = { ...body };
+  for (const [name, fieldSchema] of Object.entries(schema.properties || {})) {
+    if (filled[name] === undefined && fieldSchema.default !== undefined) filled[name] = fieldSchema.default;
+  }
+  return filled;
+}
+
+module.exports = {
+  validate,
+  queryToBody,
+  withDefaults,
+  SPORTS_GAME_SCHEMA,
+  REDDIT_LISTING_SCHEMA,
+  REDDIT_POST_SCHEMA,
+  REDDIT_SEARCH_SCHEMA,
+  BATCH_SCHEMA
+};
@@ -0,0 +1,239 @@
+/**
+ * Signed Attestations
+ *
+ * Signs oracle results with Ed25519 so whoever receives one can prove to a
+ * third party what the oracle said. The signature covers a canonical JSON
+ * encoding of the result (keys sorted, no whitespace) together with the
+ * attestation's own keyId and signedAt, so pretty-printing or reordering the
+ * response doesn't break it but changing any value does.
+ *
+ * Signed result:
+ *   { ...result, attestation: { algorithm: 'Ed25519', keyId, signedAt, signature } }
+ *
+ * To verify: drop attestation.signature, canonicalize what's left, and check
+ * the base64 signature against the public key at
+ * /.well-known/oracle-signing-key.json.
+ *
+ * The private key (PKCS#8 PEM) comes from ORACLE_SIGNING_KEY, or the file named
+ * by ORACLE_SIGNING_KEY_FILE (default data/signing-key.pem). Generate one with
+ * `node attestation.js generate`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ALGORITHM = 'Ed25519';
+
+const DEFAULT_KEY_FILE = process.env.ORACLE_SIGNING_KEY_FILE ||
+  path.join(__dirname, 'data', 'signing-key.pem');
+
+// =============================================================================
+// CANONICAL JSON
+// =============================================================================
+
+/**
+ * Deterministic JSON: object keys sorted, no whitespace, and the same value
+ * skipping JSON.stringify does (undefined and functions dropped from objects,
+ * null in arrays)
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON text
+ */
+function canonicalJSON(value) {
+  if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+    return canonicalJSON(value.toJSON());
+  }
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJSON(item)).join(',')}]`;
+  }
+  const keys = Object.keys(value)
+    .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+    .sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+}
+
+// =============================================================================
+// KEYS
+// =============================================================================
+
+/**
+ * Short identifier for a public key - the first 16 hex characters of the
+ * SHA-256 of its DER encoding
+ * @param {crypto.KeyObject} publicKey - Ed25519 public key
+ * @returns {string} Key ID
+ */
+function keyIdFor(publicKey) {
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+/**
+ * Build a signing key from a PEM private key
+ * @param {string} pem - PKCS#8 PEM ("\n" escapes allowed, as env files often have)
+ * @returns {Object} { privateKey, publicKey, keyId }
+ */
+function signingKeyFromPem(pem) {
+  const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`Signing key must be Ed25519, got ${privateKey.asymmetricKeyType}`);
+  }
+  const publicKey = crypto.createPublicKey(privateKey);
+  return { privateKey, publicKey, keyId: keyIdFor(publicKey) };
+}
+
+/**
+ * Load the signing key from ORACLE_SIGNING_KEY or a key file
+ * @param {Object} options - Key sources
+ * @param {string} options.pem - PEM private key (default: ORACLE_SIGNING_KEY)
+ * @param {string} options.file - Key file (default: ORACLE_SIGNING_KEY_FILE or data/signing-key.pem)
+ * @returns {Object|null} { privateKey, publicKey, keyId }, or null when no key is configured
+ */
+function loadSigningKey(options = {}) {
+  const pem = options.pem || process.env.ORACLE_SIGNING_KEY;
+  if (pem) return signingKeyFromPem(pem);
+
+  const file = options.file || DEFAULT_KEY_FILE;
+  if (fs.existsSync(file)) return signingKeyFromPem(fs.readFileSync(file, 'utf8'));
+
+  return null;
+}
+
+// Active signing key, loaded lazily on first use (null = signing disabled)
+let activeKey;
+
+/**
+ * Get the active signing key
+ * @returns {Object|null} Signing key, or null when none is configured
+ */
+function getSigningKey() {
+  if (activeKey === undefined) activeKey = loadSigningKey();
+  return activeKey;
+}
+
+/**
+ * Generate a new Ed25519 key pair
+ * @returns {Object} { privateKeyPem, publicKeyPem, keyId }
+ */
+function generateSigningKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  return {
+    privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+    keyId: keyIdFor(publicKey)
+  };
+}
+
+/**
+ * Public half of a signing key, as published at the well-known endpoint
+ * @param {Object} key - Signing key (default: active key)
+ * @returns {Object|null} { algorithm, keyId, publicKey (PEM), jwk }, or null when signing is disabled
+ */
+function publicKeyInfo(key = getSigningKey()) {
+  if (!key) return null;
+  return {
+    algorithm: ALGORITHM,
+    keyId: key.keyId,
+    publicKey: key.publicKey.export({ type: 'spki', format: 'pem' }),
+    jwk: { ...key.publicKey.export({ format: 'jwk' }), kid: key.keyId, use: 'sig', alg: 'EdDSA' }
+  };
+}
+
+// =============================================================================
+// SIGNING
+// =============================================================================
+
+/**
+ * Bytes a signature covers: the result without its signature, canonicalized
+ * @param {Object} result - Result with an attestation (signature ignored)
+ * @returns {Buffer} Message
+ */
+function signedMessage(result) {
+  const { signature, ...attestation } = result.attestation || {};
+  return Buffer.from(canonicalJSON({ ...result, attestation }), 'utf8');
+}
+
+/**
+ * Sign a result
+ * @param {Object} result - Oracle result (any existing attestation is replaced)
+ * @param {Object} key - Signing key (default: active key)
+ * @returns {Object|null} Attestation to set as result.attestation, or null when signing is disabled
+ */
+function signResult(result, key = getSigningKey()) {
+  if (!key) return null;
+  const attestation = { algorithm: ALGORITHM, keyId: key.keyId, signedAt: new Date().toISOString() };
+  const signature = crypto.sign(null, signedMessage({ ...result, attestation }), key.privateKey);
+  return { ...attestation, signature: signature.toString('base64') };
+}
+
+/**
+ * Check a signed result
+ * @param {Object} signed - Result with an attestation
+ * @param {Object} key - Key to check against (default: active key); any object with publicKey and keyId
+ * @returns {Object} { valid, keyId, signedAt } or { valid: false, reason }
+ */
+function verifyAttestation(signed, key = getSigningKey()) {
+  if (!key) return { valid: false, reason: 'signing_disabled' };
+
+  const attestation = signed && signed.attestation;
+  if (!attestation || typeof attestation.signature !== 'string') {
+    return { valid: false, reason: 'missing_attestation' };
+  }
+  if (attestation.algorithm !== ALGORITHM) {
+    return { valid: false, reason: 'unsupported_algorithm' };
+  }
+  if (attestation.keyId !== key.keyId) {
+    return { valid: false, reason: 'unknown_key', keyId: attestation.keyId };
+  }
+
+  let valid;
+  try {
+    valid = crypto.verify(null, signedMessage(signed), key.publicKey, Buffer.from(attestation.signature, 'base64'));
+  } catch (e) {
+    valid = false;
+  }
+
+  return valid
+    ? { valid: true, keyId: key.keyId, signedAt: attestation.signedAt }
+    : { valid: false, reason: 'signature_mismatch', keyId: key.keyId };
+}
+
+module.exports = {
+  canonicalJSON,
+  signResult,
+  verifyAttestation,
+  publicKeyInfo,
+  loadSigningKey,
+  getSigningKey,
+  generateSigningKey,
+  DEFAULT_KEY_FILE
+};
+
+// CLI usage: node attestation.js generate [file] [--force]
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const force = args.includes('--force');
+  const file = args.find(a => a !== '--force') || DEFAULT_KEY_FILE;
+
+  if (command !== 'generate') {
+    console.log('Usage: node attestation.js generate [file] [--force]');
+    process.exit(1);
+  }
+
+  if (fs.existsSync(file) && !force) {
+    console.error(`${file} already exists. Pass --force to replace it (signatures made with the old key will no longer verify).`);
+    process.exit(1);
+  }
+
+  const { privateKeyPem, publicKeyPem, keyId } = generateSigningKey();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, privateKeyPem, { mode: 0o600 });
+
+  console.log(`\nEd25519 signing key written to ${file}`);
+  console.log(`Key ID: ${keyId}\n`);
+  console.log(publicKeyPem);
+  console.log('The server loads it from there (or ORACLE_SIGNING_KEY_FILE). To use an env var instead:');
+  console.log(`  ORACLE_SIGNING_KEY="$(cat ${file})"`);
+}
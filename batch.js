@@ -0,0 +1,54 @@
+/**
+ * Batch Queries
+ *
+ * Runs many oracle queries from one request - e.g. a settlement job resolving
+ * every game of the night - with a bounded number in flight, so a batch can't
+ * flood TheSportsDB or Reddit. Each item gets its own result or error; one
+ * failing item doesn't fail the batch.
+ */
+
+const BATCH_LIMITS = {
+  maxItems: parseInt(process.env.BATCH_MAX_ITEMS || '50', 10),      // Items per request
+  concurrency: parseInt(process.env.BATCH_CONCURRENCY || '4', 10),  // Items in flight at once
+};
+
+/**
+ * Run a worker over items with at most `concurrency` running at once
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async (item, index) => result
+ * @param {number} concurrency - Maximum workers in flight
+ * @returns {Array} Results in item order
+ */
+async function mapWithConcurrency(items, worker, concurrency = BATCH_LIMITS.concurrency) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
+
+/**
+ * Per-item summary of a batch
+ * @param {Array<Object>} items - Batch item results ({ answered, credits, error? })
+ * @returns {Object} { total, answered, unanswered, failed, credits }
+ */
+function summarizeBatch(items) {
+  const answered = items.filter(item => item.answered).length;
+  const failed = items.filter(item => item.error).length;
+  const credits = items.reduce((sum, item) => sum + (item.credits || 0), 0);
+  return { total: items.length, answered, unanswered: items.length - answered - failed, failed, credits };
+}
+
+module.exports = {
+  mapWithConcurrency,
+  summarizeBatch,
+  BATCH_LIMITS
+};
@@ -0,0 +1,218 @@
+/**
+ * Response Cache
+ *
+ * Shared cache for upstream lookups (TheSportsDB, Reddit), so identical
+ * questions don't refetch the same data. Each entry's lifetime comes from its
+ * kind: team IDs and final scores are effectively permanent, hot listings last
+ * about a minute.
+ *
+ * Backends (ORACLE_CACHE):
+ *   memory - in-process LRU, ORACLE_CACHE_MAX_ENTRIES entries (default)
+ *   file   - one JSON file per entry under data/cache (override with ORACLE_CACHE_DIR),
+ *            shared across restarts and processes
+ *   off    - no caching
+ *
+ * Backend interface:
+ *   { get(key) => { value, storedAt, expiresAt } | null, set(key, entry), delete(key), clear() }
+ *
+ * Values are stored as JSON, so callers can change what they get back
+ * without touching the cached copy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Entry lifetimes in seconds, by kind
+const CACHE_TTLS = {
+  team: 30 * 86400,          // TheSportsDB team lookups - IDs never change
+  gameFinal: 30 * 86400,     // Final results don't change
+  gameNotFinal: 60,          // Scheduled, live or postponed - status can change any minute
+  gameMissing: 300,          // No event on that date (yet)
+  redditHot: 60,
+  redditNew: 60,
+  redditTop: 600,
+  redditPost: 120,
+  redditSearch: 300,
+};
+
+const CACHE_DEFAULTS = {
+  backend: process.env.ORACLE_CACHE || 'memory',
+  maxEntries: parseInt(process.env.ORACLE_CACHE_MAX_ENTRIES || '500', 10),
+  dir: process.env.ORACLE_CACHE_DIR || path.join(__dirname, 'data', 'cache'),
+};
+
+// =============================================================================
+// BACKENDS
+// =============================================================================
+
+/**
+ * In-memory LRU cache - a Map kept in least- to most-recently-used order
+ * @param {Object} options - Backend options
+ * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+ * @returns {Object} Cache backend
+ */
+function createMemoryCache(options = {}) {
+  const maxEntries = options.maxEntries || CACHE_DEFAULTS.maxEntries;
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    get(key) {
+      const stored = entries.get(key);
+      if (!stored) return null;
+      entries.delete(key);
+      entries.set(key, stored);
+      return { ...JSON.parse(stored.json), storedAt: stored.storedAt, expiresAt: stored.expiresAt };
+    },
+    set(key, entry) {
+      entries.delete(key);
+      entries.set(key, { json: JSON.stringify({ value: entry.value }), storedAt: entry.storedAt, expiresAt: entry.expiresAt });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    },
+    size: () => entries.size
+  };
+}
+
+/**
+ * File-backed cache - one JSON file per key
+ * @param {Object} options - Backend options
+ * @param {string} options.dir - Cache directory
+ * @returns {Object} Cache backend
+ */
+function createFileCache(options = {}) {
+  const dir = options.dir || CACHE_DEFAULTS.dir;
+  const fileFor = key => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+  return {
+    name: 'file',
+    get(key) {
+      try {
+        const file = fileFor(key);
+        if (!fs.existsSync(file)) return null;
+        const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return entry.key === key ? entry : null;
+      } catch (e) {
+        return null;
+      }
+    },
+    set(key, entry) {
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(fileFor(key), JSON.stringify({ key, ...entry }));
+      } catch (e) { /* ignore */ }
+    },
+    delete(key) {
+      try {
+        fs.unlinkSync(fileFor(key));
+      } catch (e) { /* ignore */ }
+    },
+    clear() {
+      try {
+        for (const file of fs.readdirSync(dir)) {
+          if (file.endsWith('.json')) fs.unlinkSync(path.join(dir, file));
+        }
+      } catch (e) { /* ignore */ }
+    }
+  };
+}
+
+// Active backend, created from CACHE_DEFAULTS on first use (null = off)
+let activeCache;
+
+/**
+ * Get the active cache backend
+ * @returns {Object|null} Backend, or null when caching is off
+ */
+function getCache() {
+  if (activeCache === undefined) {
+    activeCache = CACHE_DEFAULTS.backend === 'off' ? null
+      : CACHE_DEFAULTS.backend === 'file' ? createFileCache()
+      : createMemoryCache();
+  }
+  return activeCache;
+}
+
+/**
+ * Replace the active cache backend
+ * @param {Object|null} backend - Backend from createMemoryCache / createFileCache, or null to turn caching off
+ * @returns {Object|null} The backend
+ */
+function setCache(backend) {
+  activeCache = backend;
+  return activeCache;
+}
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * Return a cached value, or fetch and store it
+ * @param {string} kind - Entry kind - a CACHE_TTLS key, or any name when ttl is given
+ * @param {string} key - Cache key (unique within the kind)
+ * @param {Function} fetch - Async function producing the value
+ * @param {Function} ttl - Optional (value) => seconds, overriding the kind's TTL; 0 skips caching.
+ *                         By default results with an error aren't cached.
+ * @returns {Object} { value, cache: { hit, ageSeconds, storedAt } }
+ */
+async function cached(kind, key, fetch, ttl) {
+  const backend = getCache();
+  const fullKey = `${kind}:${key}`;
+  const now = Date.now();
+
+  if (backend) {
+    const entry = backend.get(fullKey);
+    if (entry && entry.expiresAt > now) {
+      return {
+        value: entry.value,
+        cache: { hit: true, ageSeconds: Math.round((now - entry.storedAt) / 1000), storedAt: new Date(entry.storedAt).toISOString() }
+      };
+    }
+    if (entry) backend.delete(fullKey);
+  }
+
+  const value = await fetch();
+  const seconds = ttl ? ttl(value) : (value && value.error ? 0 : CACHE_TTLS[kind]);
+  if (backend && seconds > 0) {
+    backend.set(fullKey, { value, storedAt: now, expiresAt: now + seconds * 1000 });
+  }
+
+  return { value, cache: { hit: false, ageSeconds: 0, storedAt: new Date(now).toISOString() } };
+}
+
+/**
+ * Combine the cache reports of several lookups behind one answer
+ * @param {Array<Object>} reports - cache objects from cached() (missing ones are skipped)
+ * @returns {Object|null} { hit, partial, ageSeconds } - hit if every lookup was cached,
+ *   ageSeconds of the oldest data; null when nothing went through the cache
+ */
+function summarizeCache(reports) {
+  const known = reports.filter(Boolean);
+  if (known.length === 0) return null;
+  const hits = known.filter(r => r.hit);
+  return {
+    hit: hits.length === known.length,
+    ...(hits.length > 0 && hits.length < known.length && { partial: true }),
+    ageSeconds: Math.max(...known.map(r => r.ageSeconds))
+  };
+}
+
+module.exports = {
+  cached,
+  summarizeCache,
+  createMemoryCache,
+  createFileCache,
+  getCache,
+  setCache,
+  CACHE_TTLS,
+  CACHE_DEFAULTS
+};
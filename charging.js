@@ -0,0 +1,166 @@
+/**
+ * Charging Policy
+ *
+ * Decides what a query costs once the oracle has answered it. Results are
+ * sorted into outcomes - an answer, a user-input error ("team_not_found"), an
+ * upstream failure (a source timing out) or a safety-rail trip - and only
+ * answers are charged by default. Answers are priced per confidence tier, so
+ * a three-source 0.97 can cost more than a single-source 0.75.
+ *
+ * The default policy charges 1 credit per answer. Override it with a JSON file
+ * (CHARGING_POLICY_FILE) holding any of DEFAULT_POLICY's fields.
+ */
+
+const fs = require('fs');
+
+const CHARGE_OUTCOMES = {
+  ANSWERED: 'answered',
+  INPUT_ERROR: 'input_error',
+  UPSTREAM_ERROR: 'upstream_error',
+  SAFETY_RAIL: 'safety_rail',
+};
+
+const DEFAULT_POLICY = {
+  name: 'flat',
+  chargeInputErrors: false,
+  chargeUpstreamErrors: false,
+  // Credits per answer by confidence, highest minConfidence first
+  tiers: [
+    { minConfidence: 0, credits: 1 }
+  ],
+  // Problems with the question itself
+  inputErrors: [
+    'invalid_request', 'invalid_filters', 'invalid_market', 'invalid_date', 'missing_question',
+    'could_not_parse_team_name', 'could_not_parse_subreddit', 'could_not_parse_search_keyword', 'could_not_parse_post_id',
+    'team_not_found', 'team_not_in_registry', 'ambiguous_team_name', 'opponent_required', 'league_not_supported',
+    'player_not_found', 'ambiguous_player_name', 'unknown_claim_type', 'unknown_margin_operator',
+    'multiple_games_on_date', 'game_number_not_found', 'no_game_at_start_time', 'event_not_found_on_date',
+    'subreddit_not_found', 'user_not_found', 'post_not_found', 'event_in_future', 'deadline_before_event',
+    'no_matching_outcome'
+  ],
+  // Errors that report a fact about the world - answers, charged like any other
+  answerErrors: [
+    'game_not_started', 'game_in_progress', 'game_postponed', 'game_cancelled', 'game_abandoned', 'game_not_final',
+    'teams_did_not_meet', 'team_not_in_game', 'player_not_in_box_score',
+    'subreddit_private', 'forbidden', 'user_suspended', 'user_shadowbanned', 'game_thread_not_found'
+  ],
+};
+
+// Active policy, loaded lazily on first use
+let activePolicy = null;
+
+/**
+ * Load a charging policy and make it the active one
+ * @param {string} filePath - JSON file with DEFAULT_POLICY fields to override (default: CHARGING_POLICY_FILE)
+ * @returns {Object} Active policy
+ */
+function loadChargingPolicy(filePath = process.env.CHARGING_POLICY_FILE) {
+  const overrides = filePath ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  const policy = { ...DEFAULT_POLICY, ...overrides };
+
+  const badTier = (policy.tiers || []).find(t => typeof t.minConfidence !== 'number' || !Number.isInteger(t.credits) || t.credits < 0);
+  if (!Array.isArray(policy.tiers) || policy.tiers.length === 0 || badTier) {
+    throw new Error('Charging policy tiers must be [{ minConfidence: number, credits: integer >= 0 }, ...]');
+  }
+
+  policy.tiers = [...policy.tiers].sort((a, b) => b.minConfidence - a.minConfidence);
+  activePolicy = policy;
+  return activePolicy;
+}
+
+/**
+ * Get the active policy, loading the default if needed
+ * @returns {Object} Active policy
+ */
+function getChargingPolicy() {
+  return activePolicy || loadChargingPolicy();
+}
+
+/**
+ * Error code of a result, if it has one (unresolved markets give a reason instead)
+ * @param {Object} result - Oracle result
+ * @returns {string|null} Error code
+ */
+function errorCode(result) {
+  if (result.error) return result.error;
+  if (result.resolved === false) return result.reason || 'unresolved';
+  return null;
+}
+
+/**
+ * Confidence of a result - top-level, or the verified game's for game threads
+ * @param {Object} result - Oracle result
+ * @returns {number} Confidence (0 when the result has none)
+ */
+function confidenceOf(result) {
+  return result.confidence ?? result.game?.confidence ?? 0;
+}
+
+/**
+ * Sort a result into a charge outcome
+ * @param {Object} result - Oracle result
+ * @param {Object} policy - Charging policy (default: active policy)
+ * @returns {string} CHARGE_OUTCOMES value
+ */
+function classifyResult(result, policy = getChargingPolicy()) {
+  if (result.safetyTriggered) return CHARGE_OUTCOMES.SAFETY_RAIL;
+  const code = errorCode(result);
+  if (!code || policy.answerErrors.includes(code)) return CHARGE_OUTCOMES.ANSWERED;
+  if (policy.inputErrors.includes(code)) return CHARGE_OUTCOMES.INPUT_ERROR;
+  return CHARGE_OUTCOMES.UPSTREAM_ERROR;
+}
+
+/**
+ * Work out what a result costs
+ * @param {Object} result - Oracle result
+ * @param {Object} policy - Charging policy (default: active policy)
+ * @returns {Object} { outcome, credits, tier?, reason? } - tier is the confidence tier applied
+ */
+function chargeFor(result, policy = getChargingPolicy()) {
+  const outcome = classifyResult(result, policy);
+  const charged = outcome === CHARGE_OUTCOMES.ANSWERED ||
+    (outcome === CHARGE_OUTCOMES.INPUT_ERROR && policy.chargeInputErrors) ||
+    (outcome === CHARGE_OUTCOMES.UPSTREAM_ERROR && policy.chargeUpstreamErrors);
+
+  if (!charged) {
+    return { outcome, credits: 0, reason: errorCode(result) || outcome };
+  }
+
+  const confidence = confidenceOf(result);
+  const tier = policy.tiers.find(t => confidence >= t.minConfidence) || policy.tiers[policy.tiers.length - 1];
+  return { outcome, credits: tier.credits, tier: { minConfidence: tier.minConfidence, credits: tier.credits } };
+}
+
+/**
+ * Most one query can cost - the amount to verify before running it
+ * @param {Object} policy - Charging policy (default: active policy)
+ * @returns {number} Credits
+ */
+function maxCreditsPerQuery(policy = getChargingPolicy()) {
+  return Math.max(...policy.tiers.map(t => t.credits));
+}
+
+/**
+ * Pricing summary for 402 responses and payment blocks
+ * @param {Object} policy - Charging policy (default: active policy)
+ * @returns {Object} { name, tiers, chargeInputErrors, chargeUpstreamErrors }
+ */
+function describePolicy(policy = getChargingPolicy()) {
+  return {
+    name: policy.name,
+    tiers: policy.tiers,
+    chargeInputErrors: policy.chargeInputErrors,
+    chargeUpstreamErrors: policy.chargeUpstreamErrors
+  };
+}
+
+module.exports = {
+  chargeFor,
+  classifyResult,
+  maxCreditsPerQuery,
+  describePolicy,
+  loadChargingPolicy,
+  getChargingPolicy,
+  CHARGE_OUTCOMES,
+  DEFAULT_POLICY
+};
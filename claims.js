@@ -0,0 +1,178 @@
+/**
+ * Claim Verification
+ *
+ * Recognizes claim-style questions ("Did the Celtics beat the Heat?",
+ * "Did the Chiefs win by more than 7?") and checks them against a verified
+ * game, returning a verdict prediction markets can settle on.
+ */
+
+const { teamNameMatches } = require('./sports-sources');
+
+const CLAIM_TYPES = {
+  WIN: 'win',       // beat / defeated / won
+  LOSS: 'loss',     // lost to / lost
+  TIE: 'tie',       // tied / drew
+};
+
+const VERDICTS = {
+  TRUE: 'claimTrue',
+  FALSE: 'claimFalse',
+  UNDETERMINABLE: 'undeterminable',
+};
+
+// Margin comparisons, e.g. "by more than 10" => { operator: '>', value: 10 }
+const MARGIN_OPERATORS = {
+  '>': (margin, value) => margin > value,
+  '>=': (margin, value) => margin >= value,
+  '==': (margin, value) => margin === value,
+};
+
+/**
+ * Parse a claim from a natural language question
+ * @param {string} question - Natural language question
+ * @returns {Object|null} { type, margin } or null if the question is a plain lookup
+ */
+function parseClaim(question) {
+  const lowerQ = question.toLowerCase();
+
+  // "Who won ..." / "What was the score ..." are lookups, not claims
+  if (/^\s*(who|what|which|how)\b/.test(lowerQ)) {
+    return null;
+  }
+
+  let type = null;
+  if (/\b(lost to|lose to|lost against|lose against|fell to|fall to)\b/.test(lowerQ)) {
+    type = CLAIM_TYPES.LOSS;
+  } else if (/\b(beat|beats|beaten|defeat|defeated|defeats|won against|win against)\b/.test(lowerQ)) {
+    type = CLAIM_TYPES.WIN;
+  } else if (/\b(tie|tied|ties|draw|drew)\b/.test(lowerQ)) {
+    type = CLAIM_TYPES.TIE;
+  } else if (/^\s*(did|does|is it true|was it true|true or false)\b/.test(lowerQ)) {
+    if (/\b(lose|lost)\b/.test(lowerQ)) {
+      type = CLAIM_TYPES.LOSS;
+    } else if (/\b(win|won)\b/.test(lowerQ)) {
+      type = CLAIM_TYPES.WIN;
+    }
+  }
+
+  if (!type) return null;
+
+  let margin = null;
+  const marginMatch = lowerQ.match(/\bby\s+(more than|over|at least)?\s*(\d+)\s*(\+|or more)?/);
+  if (marginMatch) {
+    const value = parseInt(marginMatch[2], 10);
+    if (marginMatch[1] === 'more than' || marginMatch[1] === 'over') {
+      margin = { operator: '>', value };
+    } else if (marginMatch[1] === 'at least' || marginMatch[3]) {
+      margin = { operator: '>=', value };
+    } else {
+      margin = { operator: '==', value };
+    }
+  } else if (/\bby double digits\b/.test(lowerQ)) {
+    margin = { operator: '>=', value: 10 };
+  }
+
+  return { type, margin };
+}
+
+/**
+ * Evaluate a claim against a verification result
+ * @param {Object} claim - { type, margin }
+ * @param {Object} query - The verified query ({ team, opponent })
+ * @param {Object} verification - Result of verifyResult
+ * @returns {Object} { verdict, claimed, observed, reason? }
+ */
+function evaluateClaim(claim, query, verification) {
+  const claimed = {
+    type: claim.type,
+    team: query.team,
+    opponent: query.opponent || null,
+    margin: claim.margin || null
+  };
+
+  const undeterminable = (reason, observed = null) => ({
+    verdict: VERDICTS.UNDETERMINABLE,
+    claimed,
+    observed,
+    reason
+  });
+
+  if (!Object.values(CLAIM_TYPES).includes(claim.type)) {
+    return undeterminable('unknown_claim_type');
+  }
+
+  // The team played someone else that day, so a claim about this matchup is false
+  if (verification.error === 'teams_did_not_meet' && verification.result) {
+    return { verdict: VERDICTS.FALSE, claimed, observed: verification.result, reason: 'teams_did_not_meet' };
+  }
+
+  if (!verification.verified || !verification.result) {
+    return undeterminable(verification.error || 'game_not_verified');
+  }
+
+  const game = verification.result;
+  const { homeTeam, awayTeam, homeScore, awayScore } = game;
+
+  if (!Number.isFinite(homeScore) || !Number.isFinite(awayScore)) {
+    return undeterminable('score_unavailable');
+  }
+
+  const margin = Math.abs(homeScore - awayScore);
+  const observed = {
+    homeTeam,
+    awayTeam,
+    homeScore,
+    awayScore,
+    winner: game.winner,
+    margin
+  };
+
+  // Sources spell some cities differently ("LA Clippers"), so match through the registry
+  const league = verification.league || query.league;
+  const teamIsHome = teamNameMatches(homeTeam, query.team, league);
+  const teamIsAway = teamNameMatches(awayTeam, query.team, league);
+  if (!teamIsHome && !teamIsAway) {
+    return undeterminable('team_not_in_game', observed);
+  }
+
+  // The claim names an opponent the team did not play on that date
+  if (query.opponent) {
+    const opponentSide = teamIsHome ? awayTeam : homeTeam;
+    if (!teamNameMatches(opponentSide, query.opponent, league)) {
+      return { verdict: VERDICTS.FALSE, claimed, observed, reason: 'teams_did_not_meet' };
+    }
+  }
+
+  const teamScore = teamIsHome ? homeScore : awayScore;
+  const opponentScore = teamIsHome ? awayScore : homeScore;
+
+  let holds;
+  if (claim.type === CLAIM_TYPES.WIN) {
+    holds = teamScore > opponentScore;
+  } else if (claim.type === CLAIM_TYPES.LOSS) {
+    holds = teamScore < opponentScore;
+  } else {
+    holds = teamScore === opponentScore;
+  }
+
+  if (holds && claim.margin && claim.type !== CLAIM_TYPES.TIE) {
+    const compare = MARGIN_OPERATORS[claim.margin.operator];
+    if (!compare) {
+      return undeterminable('unknown_margin_operator', observed);
+    }
+    holds = compare(margin, claim.margin.value);
+  }
+
+  return {
+    verdict: holds ? VERDICTS.TRUE : VERDICTS.FALSE,
+    claimed,
+    observed
+  };
+}
+
+module.exports = {
+  parseClaim,
+  evaluateClaim,
+  CLAIM_TYPES,
+  VERDICTS
+};
@@ -0,0 +1,269 @@
+/**
+ * Date Parser
+ *
+ * Turns the date part of a sports question into a YYYY-MM-DD game date.
+ * Dates are resolved against "today" in a reference timezone (US sports
+ * schedules are published in Eastern time), not UTC, so a question asked
+ * at 11pm Pacific about "tonight" still lands on the right day.
+ *
+ * Every result says how the date was obtained:
+ *   explicit  - an absolute date with a year ("2026-01-25", "January 30, 2026")
+ *   inferred  - relative or partial ("yesterday", "last Tuesday", "Jan 5", "week 12")
+ *   defaulted - nothing found, so today is assumed
+ *
+ * A date-shaped token that isn't a real date ("2026-02-30", "April 31")
+ * comes back as { error: 'invalid_date' } rather than falling through to
+ * today, so a typo never silently answers about the wrong game.
+ */
+
+/**
+ * Check a timezone is one Intl knows
+ * @param {string} timezone - IANA timezone
+ * @returns {boolean} True when usable
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// A bad ORACLE_TIMEZONE would make every request throw, so fail at startup instead
+if (process.env.ORACLE_TIMEZONE && !isValidTimezone(process.env.ORACLE_TIMEZONE)) {
+  throw new Error(`ORACLE_TIMEZONE "${process.env.ORACLE_TIMEZONE}" is not a valid IANA timezone`);
+}
+
+const DATE_DEFAULTS = {
+  timezone: process.env.ORACLE_TIMEZONE || 'America/New_York',
+};
+
+const DATE_SOURCES = {
+  EXPLICIT: 'explicit',
+  INFERRED: 'inferred',
+  DEFAULTED: 'defaulted',
+};
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+};
+
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+// =============================================================================
+// DATE ARITHMETIC (all on YYYY-MM-DD strings)
+// =============================================================================
+
+/**
+ * Today's date in a timezone
+ * @param {string} timezone - IANA timezone (e.g. "America/New_York")
+ * @param {Date} referenceDate - Moment to evaluate (defaults to now)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function todayIn(timezone = DATE_DEFAULTS.timezone, referenceDate = new Date()) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(referenceDate);
+}
+
+// Midnight UTC for a YYYY-MM-DD date, so day math ignores the host timezone
+function toUTCDate(iso) {
+  return new Date(`${iso}T00:00:00Z`);
+}
+
+/**
+ * Add days to a date
+ * @param {string} iso - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function addDays(iso, days) {
+  const d = toUTCDate(iso);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Build a date from parts, rejecting impossible dates like February 30
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string|null} Date in YYYY-MM-DD format or null
+ */
+function buildDate(year, month, day) {
+  const iso = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const d = toUTCDate(iso);
+  if (isNaN(d) || d.getUTCMonth() + 1 !== month || d.getUTCDate() !== day) {
+    return null;
+  }
+  return iso;
+}
+
+/**
+ * Whether a string is a real calendar date in YYYY-MM-DD format ("2026-02-30" isn't)
+ * @param {string} value - Date string
+ * @returns {boolean} True for a valid date
+ */
+function isCalendarDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  return Boolean(m && buildDate(+m[1], +m[2], +m[3]));
+}
+
+/**
+ * Most recent occurrence of a month/day on or before today
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {string} today - Reference date in YYYY-MM-DD format
+ * @returns {string|null} Date in YYYY-MM-DD format or null
+ */
+function mostRecentMonthDay(month, day, today) {
+  const year = parseInt(today.slice(0, 4), 10);
+  const thisYear = buildDate(year, month, day);
+  if (thisYear && thisYear <= today) return thisYear;
+  return buildDate(year - 1, month, day);
+}
+
+/**
+ * NFL week N runs Thursday to Monday, starting the Thursday after Labor Day
+ * @param {number} week - Week number (1-18)
+ * @param {string} today - Reference date in YYYY-MM-DD format
+ * @returns {Object} { date (the Sunday), start, end }
+ */
+function nflWeekRange(week, today) {
+  const [year, month] = today.split('-').map(n => parseInt(n, 10));
+  // January-July questions refer to the season that started last September
+  const season = month <= 7 ? year - 1 : year;
+
+  // Labor Day is the first Monday of September
+  const sept1 = `${season}-09-01`;
+  const laborDay = addDays(sept1, (8 - toUTCDate(sept1).getUTCDay()) % 7);
+  const start = addDays(laborDay, 3 + (week - 1) * 7);
+
+  return { date: addDays(start, 3), start, end: addDays(start, 4) };
+}
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Parse the date mentioned in a question
+ * @param {string} text - Question text
+ * @param {Object} options - Parse options
+ * @param {string} options.timezone - Reference IANA timezone
+ * @param {Date} options.referenceDate - Moment treated as "now"
+ * @returns {Object} { date, dateSource, matchedText, timezone, dateRange?, week? },
+ *   or { date: null, error: 'invalid_date', matchedText, timezone } for an impossible date
+ */
+function parseDate(text, options = {}) {
+  const timezone = options.timezone || DATE_DEFAULTS.timezone;
+  const today = todayIn(timezone, options.referenceDate);
+  // A null date here means the token looked like a date but doesn't exist
+  const found = (date, dateSource, match, extra = {}) => date
+    ? { date, dateSource, matchedText: match[0], timezone, ...extra }
+    : { date: null, dateSource: null, error: 'invalid_date', matchedText: match[0], timezone };
+
+  const matchers = [
+    // 2026-01-25
+    () => {
+      const m = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+      return m && found(buildDate(+m[1], +m[2], +m[3]), DATE_SOURCES.EXPLICIT, m);
+    },
+    // 1/25/2026 or 1/25 (US order)
+    () => {
+      const m = text.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/);
+      if (!m) return null;
+      if (m[3]) {
+        const year = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+        return found(buildDate(year, +m[1], +m[2]), DATE_SOURCES.EXPLICIT, m);
+      }
+      return found(mostRecentMonthDay(+m[1], +m[2], today), DATE_SOURCES.INFERRED, m);
+    },
+    // January 30, 2026 / Jan 5
+    () => {
+      const m = text.match(new RegExp(`\\b${MONTH_NAME}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4})\\b)?`, 'i'));
+      if (!m) return null;
+      const month = MONTHS[m[1].slice(0, 3).toLowerCase()];
+      if (m[3]) {
+        return found(buildDate(+m[3], month, +m[2]), DATE_SOURCES.EXPLICIT, m);
+      }
+      return found(mostRecentMonthDay(month, +m[2], today), DATE_SOURCES.INFERRED, m);
+    },
+    // 30 January 2026 / 5th Jan
+    () => {
+      const m = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_NAME}\\b(?:,?\\s+(\\d{4})\\b)?`, 'i'));
+      if (!m) return null;
+      const month = MONTHS[m[2].slice(0, 3).toLowerCase()];
+      if (m[3]) {
+        return found(buildDate(+m[3], month, +m[1]), DATE_SOURCES.EXPLICIT, m);
+      }
+      return found(mostRecentMonthDay(month, +m[1], today), DATE_SOURCES.INFERRED, m);
+    },
+    // day before yesterday / yesterday / last night / today / tonight
+    () => {
+      const m = text.match(/\b(?:the\s+)?(day before yesterday|yesterday|last night|today|tonight)\b/i);
+      if (!m) return null;
+      const offsets = { 'day before yesterday': -2, 'yesterday': -1, 'last night': -1, 'today': 0, 'tonight': 0 };
+      return found(addDays(today, offsets[m[1].toLowerCase()]), DATE_SOURCES.INFERRED, m);
+    },
+    // two days ago / 3 weeks ago / a week ago
+    () => {
+      const m = text.match(/\b(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten)\s+(days?|weeks?)\s+ago\b/i);
+      if (!m) return null;
+      const count = NUMBER_WORDS[m[1].toLowerCase()] || parseInt(m[1], 10);
+      const days = m[2].toLowerCase().startsWith('week') ? count * 7 : count;
+      return found(addDays(today, -days), DATE_SOURCES.INFERRED, m);
+    },
+    // last Tuesday / this past Sunday / on Friday
+    () => {
+      const m = text.match(/\b(?:(last|this past|past)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/i);
+      if (!m) return null;
+      const target = WEEKDAYS.indexOf(m[2].toLowerCase());
+      let back = (toUTCDate(today).getUTCDay() - target + 7) % 7;
+      // "last Tuesday" never means today; a bare "Tuesday" on a Tuesday does
+      if (m[1] && back === 0) back = 7;
+      return found(addDays(today, -back), DATE_SOURCES.INFERRED, m);
+    },
+    // week 12 (NFL-style schedule week)
+    () => {
+      const m = text.match(/\bweek\s+(\d{1,2})\b/i);
+      if (!m || +m[1] < 1 || +m[1] > 18) return null;
+      const week = +m[1];
+      const range = nflWeekRange(week, today);
+      return found(range.date, DATE_SOURCES.INFERRED, m, {
+        week,
+        dateRange: { start: range.start, end: range.end }
+      });
+    },
+  ];
+
+  for (const matcher of matchers) {
+    const result = matcher();
+    if (result) return result;
+  }
+
+  return { date: today, dateSource: DATE_SOURCES.DEFAULTED, matchedText: null, timezone };
+}
+
+module.exports = {
+  parseDate,
+  todayIn,
+  addDays,
+  isCalendarDate,
+  isValidTimezone,
+  DATE_DEFAULTS,
+  DATE_SOURCES
+};
@@ -0,0 +1,249 @@
+/**
+ * Game Threads
+ *
+ * Links a verified game from the sports oracle to its Reddit discussion: the
+ * game thread and post-game thread in the league's subreddit (r/nba,
+ * r/soccer, ...) and both teams' subreddits, with comment volume and the top
+ * comments, alongside the score.
+ *
+ * Subreddits come from the team registry's "subreddit" fields.
+ */
+
+const { verifyGameQuery, parseQuestion, normalizeParsedTeams } = require('./oracle');
+const { searchSubreddit, fetchPost } = require('./reddit-oracle');
+const { resolveTeam, resolveLeague, getTeamRegistry } = require('./team-registry');
+const { summarizeSentiment } = require('./sentiment');
+
+const THREAD_TYPES = {
+  GAME: 'game_thread',
+  POST_GAME: 'post_game_thread',
+};
+
+const GAME_THREAD_DEFAULTS = {
+  topComments: 5,         // Comments returned per thread
+  searchLimit: 25,        // Search results scanned per subreddit
+};
+
+// =============================================================================
+// MATCHING
+// =============================================================================
+
+/**
+ * Classify a thread title
+ * @param {string} title - Post title
+ * @returns {string|null} THREAD_TYPES value, or null for other posts
+ */
+function threadType(title) {
+  if (/\bpost[- ]?(?:game|match)\b|\bpgt\b/i.test(title)) return THREAD_TYPES.POST_GAME;
+  if (/\bpre[- ]?(?:game|match)\b/i.test(title)) return null;
+  if (/\b(?:game|match)\s*(?:day\s+)?thread\b/i.test(title)) return THREAD_TYPES.GAME;
+  return null;
+}
+
+/**
+ * Whether a title mentions a team by name, nickname or abbreviation
+ * @param {string} title - Post title
+ * @param {Object} team - Registry entry, or { name } for teams not in the registry
+ * @returns {boolean} True if the team is mentioned
+ */
+function mentionsTeam(title, team) {
+  const lower = title.toLowerCase();
+  const words = [team.name, ...(team.nicknames || [])]
+    .filter(Boolean)
+    .some(name => new RegExp(`\\b${name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lower));
+  // Abbreviations only count in capitals ("LAL", not "lal")
+  return words || (team.abbreviations || []).some(abbr => new RegExp(`\\b${abbr}\\b`).test(title));
+}
+
+/**
+ * Search window for a game date - threads go up the day before (time zones)
+ * and post-game threads up to two days after
+ * @param {string} date - Game date in YYYY-MM-DD format
+ * @returns {Object} { start, end } in epoch seconds
+ */
+function threadWindow(date) {
+  const day = Date.parse(`${date}T00:00:00Z`) / 1000;
+  return { start: day - 12 * 3600, end: day + 2 * 86400 };
+}
+
+/**
+ * Reddit search time window that still covers a game date
+ * @param {string} date - Game date in YYYY-MM-DD format
+ * @param {Date} now - Current time
+ * @returns {string} Reddit t= value
+ */
+function searchPeriod(date, now = new Date()) {
+  const days = (now - Date.parse(`${date}T00:00:00Z`)) / 86400000;
+  if (days <= 6) return 'week';
+  if (days <= 29) return 'month';
+  if (days <= 364) return 'year';
+  return 'all';
+}
+
+/**
+ * Subreddits to search for a game: the league's, then each team's
+ * @param {Object} game - { homeTeam, awayTeam, league }
+ * @returns {Object} { subreddits: [{ name, kind }], teams: { home, away } }
+ */
+function gameSubreddits(game) {
+  const home = resolveTeam(game.homeTeam, game.league).team || { name: game.homeTeam };
+  const away = resolveTeam(game.awayTeam, game.league).team || { name: game.awayTeam };
+  const leagueCode = resolveLeague(game.league) || home.league || away.league;
+  const league = getTeamRegistry().leagues.find(l => l.code === leagueCode);
+
+  const subreddits = [];
+  if (league?.subreddit) subreddits.push({ name: league.subreddit, kind: 'league' });
+  for (const team of [home, away]) {
+    if (team.subreddit) subreddits.push({ name: team.subreddit, kind: 'team', team: team.name });
+  }
+
+  return { subreddits, teams: { home, away } };
+}
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * Find the game and post-game threads for a verified game
+ * @param {Object} query - verifyGameQuery query ({ team, date, opponent?, league?, ... })
+ * @param {Object} options - Lookup options
+ * @param {Array<Object>} options.sources - Sports source adapters passed to verifyGameQuery
+ * @param {Array<string>} options.subreddits - Subreddits to search instead of the registry's
+ * @param {number} options.topComments - Comments returned per thread (default 5)
+ * @returns {Object} { found, game, threads, commentVolume, sentiment, subredditsSearched, sourceData, timestamp }
+ */
+async function findGameThreads(query, options = {}) {
+  // Same safety rails and query log as a question to the oracle
+  const verification = await verifyGameQuery(query, { sources: options.sources });
+
+  if (!verification.verified) {
+    return {
+      found: false,
+      error: verification.error,
+      ...(verification.status && { status: verification.status }),
+      ...(verification.safetyTriggered && { message: verification.message, safetyTriggered: true }),
+      sourceData: verification,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const { homeTeam, awayTeam, homeScore, awayScore, winner, finalScore } = verification.result;
+  const gameInfo = { homeTeam, awayTeam, league: verification.league, date: verification.date };
+  const game = {
+    ...gameInfo,
+    homeScore,
+    awayScore,
+    winner,
+    finalScore,
+    confidence: verification.confidence
+  };
+
+  const { subreddits: registered, teams } = gameSubreddits(gameInfo);
+  const subreddits = options.subreddits
+    ? options.subreddits.map(name => ({ name: name.replace(/^r\//i, ''), kind: 'custom' }))
+    : registered;
+
+  if (subreddits.length === 0) {
+    return { found: false, error: 'no_subreddit_for_game', game, sourceData: verification, timestamp: new Date().toISOString() };
+  }
+
+  const window = threadWindow(game.date);
+  const nickname = team => team.nicknames?.[0] || team.name;
+  const searchQuery = `${nickname(teams.away)} ${nickname(teams.home)} thread`;
+  const time = searchPeriod(game.date);
+
+  // Best (most commented) thread of each type per subreddit
+  const candidates = [];
+  const searchErrors = [];
+  for (const subreddit of subreddits) {
+    const search = await searchSubreddit(subreddit.name, searchQuery, GAME_THREAD_DEFAULTS.searchLimit, { sort: 'new', time });
+    if (search.error) {
+      searchErrors.push(`r/${subreddit.name}: ${search.error}`);
+      continue;
+    }
+
+    const best = {};
+    for (const post of search.posts) {
+      const type = threadType(post.title);
+      if (!type) continue;
+      if (post.createdUtc < window.start || post.createdUtc > window.end) continue;
+
+      // League threads name both teams; a team's own subreddit may only name the opponent
+      const opponentOf = subreddit.team && teams.home.name === subreddit.team ? teams.away : teams.home;
+      const matches = subreddit.kind === 'team'
+        ? mentionsTeam(post.title, opponentOf)
+        : mentionsTeam(post.title, teams.home) && mentionsTeam(post.title, teams.away);
+      if (!matches) continue;
+
+      if (!best[type] || post.numComments > best[type].numComments) best[type] = post;
+    }
+
+    for (const [type, post] of Object.entries(best)) {
+      candidates.push({ type, subreddit: subreddit.name, post });
+    }
+  }
+
+  const threads = [];
+  const allComments = [];
+  for (const { type, subreddit, post } of candidates) {
+    const details = await fetchPost(subreddit, post.id);
+    const comments = details.error ? [] : details.comments;
+    allComments.push(...comments);
+    threads.push({
+      type,
+      subreddit,
+      id: post.id,
+      title: post.title,
+      permalink: post.permalink,
+      score: post.score,
+      numComments: details.post?.numComments ?? post.numComments,
+      createdUtc: post.createdUtc,
+      topComments: [...comments]
+        .sort((a, b) => (b.score || 0) - (a.score || 0))
+        .slice(0, options.topComments || GAME_THREAD_DEFAULTS.topComments),
+      sentiment: summarizeSentiment(comments),
+      ...(details.error && { commentsError: details.error })
+    });
+  }
+
+  return {
+    found: threads.length > 0,
+    ...(threads.length === 0 && { error: 'game_thread_not_found' }),
+    game,
+    threads,
+    commentVolume: threads.reduce((sum, t) => sum + (t.numComments || 0), 0),
+    sentiment: summarizeSentiment(allComments),
+    subredditsSearched: subreddits.map(s => s.name),
+    ...(searchErrors.length > 0 && { partial: true, searchErrors }),
+    sourceData: verification,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Find game threads from a natural language question
+ * ("Reddit reaction to the Lakers game last night")
+ * @param {string} question - Natural language question
+ * @param {Object} options - See findGameThreads
+ * @returns {Object} findGameThreads result
+ */
+async function askGameThreads(question, options = {}) {
+  // Leave only the game for the sports parser, so "Reddit" isn't read as a team
+  const gameQuestion = question
+    .replace(/^\s*(?:find|show|get|give)(?:\s+me)?\b/i, ' ')
+    .replace(/\b(?:reddit|fans?)(?:'s)?\s+(?:reaction|discussion|comments|threads?)\b/gi, ' ')
+    .replace(/\b(?:post[- ]?)?(?:game|match)\s+threads?\b/gi, ' ')
+    .replace(/\b(?:on\s+)?reddit\b/gi, ' ');
+  const parsed = parseQuestion(gameQuestion);
+  const invalid = normalizeParsedTeams(parsed);
+  if (invalid) return { found: false, ...invalid };
+  return findGameThreads(parsed, options);
+}
+
+module.exports = {
+  findGameThreads,
+  askGameThreads,
+  THREAD_TYPES,
+  GAME_THREAD_DEFAULTS
+};
@@ -0,0 +1,398 @@
+/**
+ * Prediction Market Resolution
+ *
+ * Resolves a structured market definition (Polymarket-style) against the
+ * sports oracle: which outcome won, or why the market can't be settled yet.
+ *
+ * Market definition:
+ *   {
+ *     id: 'lakers-celtics-2026-01-30',                  // Optional, echoed back
+ *     event: { team, opponent?, date, league?, gameNumber?, startTime?, claim? }
+ *            | { question: 'Will the Lakers beat the Celtics on 2026-01-30?' },
+ *     outcomes: ['Lakers', 'Celtics']                   // Winner markets
+ *             | ['Yes', 'No']                           // Claim markets
+ *             | [{ id, label, team?, result?: 'win'|'tie'|'yes'|'no' }],
+ *     rules: {
+ *       minConfidence: 0.9,          // Below this the market stays unresolved
+ *       onPostponed: 'void',         // Outcome id to settle on unless made up by the deadline, or unset to wait
+ *       onCancelled: 'void',
+ *       disputeWindowMinutes: 120    // Time before a resolution counts as final
+ *     },
+ *     deadline: '2026-01-31T12:00:00Z'  // After this, a game with no result can't resolve later
+ *   }
+ *
+ * The dispute window runs from the first time a market resolved to its
+ * outcome, kept in data/resolutions.json (override with MARKET_RESOLUTIONS_FILE),
+ * so asking again doesn't push finalAfter back.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  verifyGameQuery,
+  parseQuestion,
+  normalizeParsedTeams,
+  normalizeTeamName,
+  GAME_STATUS,
+  VERDICTS
+} = require('./oracle');
+const { teamNameMatches } = require('./sports-sources');
+const { todayIn, isCalendarDate, DATE_DEFAULTS } = require('./date-parser');
+
+const RESOLUTION_STATUS = {
+  RESOLVED: 'resolved',
+  UNRESOLVED: 'unresolved',
+  TOO_EARLY: 'too_early',
+};
+
+const RESOLUTION_DEFAULTS = {
+  minConfidence: 0.9,
+  disputeWindowMinutes: 120,
+};
+
+const RESOLUTIONS_FILE = process.env.MARKET_RESOLUTIONS_FILE ||
+  path.join(__dirname, 'data', 'resolutions.json');
+
+// =============================================================================
+// RESOLUTION STORE
+// =============================================================================
+
+/**
+ * Key a market's resolution is stored under - its id, or its event when it has none
+ * @param {Object} market - Market definition
+ * @returns {string} Store key
+ */
+function marketKey(market) {
+  return market.id ? `id:${market.id}` : `event:${JSON.stringify(market.event)}`;
+}
+
+/**
+ * Load stored first resolutions
+ * @returns {Object} { [marketKey]: { outcome, firstResolvedAt } }
+ */
+function loadResolutions() {
+  try {
+    if (fs.existsSync(RESOLUTIONS_FILE)) {
+      return JSON.parse(fs.readFileSync(RESOLUTIONS_FILE, 'utf8'));
+    }
+  } catch (e) { /* ignore */ }
+  return {};
+}
+
+/**
+ * When a market first resolved to an outcome, recording now if it hasn't
+ * before. Resolving to a different outcome (a source correcting a score)
+ * starts the dispute window again.
+ * @param {Object} market - Market definition
+ * @param {string} outcomeId - Outcome the market resolves to
+ * @param {Date} now - Current time
+ * @returns {Date} First resolution time
+ */
+function firstResolution(market, outcomeId, now) {
+  const resolutions = loadResolutions();
+  const key = marketKey(market);
+  const stored = resolutions[key];
+  if (stored && stored.outcome === outcomeId) return new Date(stored.firstResolvedAt);
+
+  resolutions[key] = { outcome: outcomeId, firstResolvedAt: now.toISOString() };
+  try {
+    fs.mkdirSync(path.dirname(RESOLUTIONS_FILE), { recursive: true });
+    fs.writeFileSync(RESOLUTIONS_FILE, JSON.stringify(resolutions, null, 2));
+  } catch (e) { /* ignore */ }
+  return now;
+}
+
+// =============================================================================
+// MARKET DEFINITION
+// =============================================================================
+
+/**
+ * Normalize an outcome definition
+ * @param {string|Object} outcome - Outcome label or { id, label, team?, result? }
+ * @param {string} league - League hint for team names
+ * @returns {Object} { id, label, result, team? }
+ */
+function normalizeOutcome(outcome, league) {
+  const o = typeof outcome === 'string'
+    ? { id: outcome, label: outcome }
+    : { ...outcome, id: outcome.id || outcome.label, label: outcome.label || outcome.id };
+
+  if (!o.result) {
+    if (/^(yes|no)$/i.test(o.label)) {
+      o.result = o.label.toLowerCase();
+    } else if (/^(tie|draw)$/i.test(o.label)) {
+      o.result = 'tie';
+    } else {
+      o.result = 'win';
+      o.team = o.team || o.label;
+    }
+  }
+
+  if (o.team) {
+    const normalized = normalizeTeamName(o.team, league);
+    if (typeof normalized === 'string') o.team = normalized;
+  }
+
+  return o;
+}
+
+/**
+ * Check a market definition for missing or malformed fields
+ * @param {Object} market - Market definition
+ * @returns {string|null} Problem description or null if valid
+ */
+function validateMarket(market) {
+  if (!market || typeof market !== 'object') return 'market must be an object';
+  if (!market.event || typeof market.event !== 'object') return 'event is required';
+  if (!market.event.question && !(market.event.team && market.event.date)) {
+    return 'event needs a question, or a team and date';
+  }
+  if (!market.event.question && !isCalendarDate(market.event.date)) {
+    return 'event.date must be a real date in YYYY-MM-DD format';
+  }
+  if (!Array.isArray(market.outcomes) || market.outcomes.length < 2) {
+    return 'outcomes must list at least two options';
+  }
+  if (market.deadline !== undefined && (typeof market.deadline !== 'string' ||
+      !/^\d{4}-\d{2}-\d{2}/.test(market.deadline) || isNaN(new Date(market.deadline)))) {
+    return 'deadline must be an ISO 8601 timestamp';
+  }
+  const minConfidence = market.rules?.minConfidence;
+  if (minConfidence !== undefined && !(minConfidence >= 0 && minConfidence <= 1)) {
+    return 'rules.minConfidence must be between 0 and 1';
+  }
+  return null;
+}
+
+/**
+ * Turn a market event into a verifyResult query
+ * @param {Object} event - Market event
+ * @param {boolean} needsClaim - Whether outcomes are Yes/No
+ * @returns {Object} Query, or { error, ... } when the teams can't be resolved
+ */
+function buildQuery(event, needsClaim) {
+  let query;
+  if (event.question) {
+    query = parseQuestion(event.question);
+    const invalid = normalizeParsedTeams(query);
+    if (invalid) return invalid;
+  } else {
+    query = { ...event };
+    const team = normalizeTeamName(event.team, event.league);
+    if (team && team.error) return { error: team.error, candidates: team.candidates };
+    query.team = team;
+    if (event.opponent) {
+      const opponent = normalizeTeamName(event.opponent, event.league);
+      if (opponent && opponent.error) return { error: opponent.error, candidates: opponent.candidates };
+      query.opponent = opponent;
+    }
+  }
+
+  // "Will the Lakers beat the Celtics?" markets settle on a win claim
+  if (needsClaim && !query.claim) {
+    query.claim = { type: 'win' };
+  }
+
+  return query;
+}
+
+// =============================================================================
+// RESOLUTION
+// =============================================================================
+
+/**
+ * Find the outcome a verified game settles on
+ * @param {Array<Object>} outcomes - Normalized outcomes
+ * @param {Object} verification - verifyResult output
+ * @returns {Object|null} Winning outcome
+ */
+function matchOutcome(outcomes, verification) {
+  if (verification.verdict) {
+    const wanted = verification.verdict === VERDICTS.TRUE ? 'yes'
+      : verification.verdict === VERDICTS.FALSE ? 'no'
+      : null;
+    return outcomes.find(o => o.result === wanted) || null;
+  }
+
+  const { winner } = verification.result;
+  if (winner === 'tie') {
+    return outcomes.find(o => o.result === 'tie') || null;
+  }
+  return outcomes.find(o => o.result === 'win' && teamNameMatches(winner, o.team, verification.league)) || null;
+}
+
+/**
+ * Human-readable evidence lines from per-source results
+ * @param {Object} verification - verifyResult output
+ * @returns {Array<string>} Evidence
+ */
+function buildEvidence(verification) {
+  const evidence = (verification.sourceResults || []).map(r => {
+    if (r.status === 'error') return `${r.source}: ${r.error}`;
+    return `${r.source}: ${r.homeTeam} ${r.homeScore ?? '-'}, ${r.awayTeam} ${r.awayScore ?? '-'} ` +
+      `(${r.gameStatus}, ${r.status})`;
+  });
+
+  if (verification.claim?.observed && verification.verdict) {
+    evidence.push(`claim ${verification.verdict}${verification.claim.reason ? ` (${verification.claim.reason})` : ''}`);
+  }
+
+  return evidence;
+}
+
+/**
+ * Resolve a prediction market from its structured definition
+ * @param {Object} market - Market definition (see top of file)
+ * @param {Object} options - Resolution options
+ * @param {Array<Object>} options.sources - Source adapters passed to verifyGameQuery
+ * @param {Date} options.now - Moment treated as "now" (defaults to the current time)
+ * @returns {Object} { status, resolved, outcome, confidence, evidence, sourceData, firstResolvedAt, finalAfter, timestamp }
+ */
+async function resolveMarket(market, options = {}) {
+  const now = options.now || new Date();
+  const timestamp = now.toISOString();
+
+  const problem = validateMarket(market);
+  if (problem) {
+    return { resolved: false, error: 'invalid_market', message: problem, timestamp };
+  }
+
+  const rules = { ...RESOLUTION_DEFAULTS, ...market.rules };
+  const league = market.event.league || null;
+  const outcomes = market.outcomes.map(o => normalizeOutcome(o, league));
+  const needsClaim = outcomes.some(o => o.result === 'yes' || o.result === 'no');
+  const deadlinePassed = market.deadline ? now >= new Date(market.deadline) : false;
+
+  const base = {
+    marketId: market.id || null,
+    outcomes: outcomes.map(o => ({ id: o.id, label: o.label })),
+    deadline: market.deadline || null,
+    rules
+  };
+
+  const unresolved = (status, reason, extra = {}) => ({
+    ...base,
+    status,
+    resolved: false,
+    outcome: null,
+    reason,
+    confidence: 0,
+    finalAfter: null,
+    ...extra,
+    timestamp
+  });
+
+  const query = buildQuery(market.event, needsClaim);
+  if (query.error) {
+    return unresolved(RESOLUTION_STATUS.UNRESOLVED, query.error, {
+      ...(query.candidates && { candidates: query.candidates })
+    });
+  }
+
+  // Nothing to look up before the game day
+  const timezone = query.timezone || DATE_DEFAULTS.timezone;
+  const today = todayIn(timezone, now);
+  if (query.date > today) {
+    return unresolved(
+      deadlinePassed ? RESOLUTION_STATUS.UNRESOLVED : RESOLUTION_STATUS.TOO_EARLY,
+      deadlinePassed ? 'deadline_before_event' : 'event_in_future'
+    );
+  }
+
+  // Makeup date of a postponed game, when it falls on or before the deadline
+  const deadlineDate = market.deadline ? todayIn(timezone, new Date(market.deadline)) : null;
+  const makeupDate = v => v.status === GAME_STATUS.POSTPONED && v.rescheduledDate &&
+    (!deadlineDate || v.rescheduledDate <= deadlineDate) ? v.rescheduledDate : null;
+
+  // Same safety rails and query log as a question to the oracle
+  let verification = await verifyGameQuery(query, { sources: options.sources });
+
+  // A postponed game that has since been made up settles on the makeup game
+  const madeUp = makeupDate(verification);
+  if (madeUp && madeUp <= today) {
+    // The makeup is one game on a known day, so the original day's selectors don't apply
+    const { dateRange, week, gameNumber, startTime, ...original } = query;
+    verification = await verifyGameQuery({ ...original, date: madeUp }, { sources: options.sources });
+  }
+
+  if (verification.safetyTriggered) {
+    return unresolved(RESOLUTION_STATUS.UNRESOLVED, verification.error, {
+      message: verification.message,
+      safetyTriggered: true
+    });
+  }
+
+  const evidence = buildEvidence(verification);
+  const sourceData = verification;
+
+  const settle = (outcome, confidence, reason) => {
+    if (confidence < rules.minConfidence) {
+      return unresolved(RESOLUTION_STATUS.UNRESOLVED, 'confidence_below_threshold', {
+        proposedOutcome: { id: outcome.id, label: outcome.label },
+        confidence,
+        evidence,
+        sourceData
+      });
+    }
+
+    const resolvedAt = firstResolution(market, outcome.id, now);
+    return {
+      ...base,
+      status: RESOLUTION_STATUS.RESOLVED,
+      resolved: true,
+      outcome: { id: outcome.id, label: outcome.label },
+      ...(reason && { reason }),
+      confidence,
+      evidence,
+      sourceData,
+      firstResolvedAt: resolvedAt.toISOString(),
+      finalAfter: new Date(resolvedAt.getTime() + rules.disputeWindowMinutes * 60000).toISOString(),
+      timestamp
+    };
+  };
+
+  if (!verification.verified) {
+    const status = verification.status;
+
+    // A makeup game still to come before the deadline can settle the market
+    const awaitingMakeup = Boolean(makeupDate(verification));
+
+    // Postponed or called-off games settle on the market's fallback outcome, if it has one
+    const fallbackId = status === GAME_STATUS.POSTPONED && !awaitingMakeup ? rules.onPostponed
+      : [GAME_STATUS.CANCELLED, GAME_STATUS.ABANDONED].includes(status) ? rules.onCancelled
+      : undefined;
+    if (fallbackId !== undefined) {
+      const fallback = outcomes.find(o => o.id === fallbackId);
+      if (fallback) return settle(fallback, verification.sourcesAgreed > 1 ? 0.95 : 0.75, verification.error);
+    }
+
+    const stillPlaying = [GAME_STATUS.SCHEDULED, GAME_STATUS.LIVE].includes(status);
+
+    return unresolved(
+      (stillPlaying || awaitingMakeup) && !deadlinePassed
+        ? RESOLUTION_STATUS.TOO_EARLY
+        : RESOLUTION_STATUS.UNRESOLVED,
+      deadlinePassed && (stillPlaying || awaitingMakeup) ? 'deadline_passed' : verification.error,
+      { evidence, sourceData }
+    );
+  }
+
+  const outcome = matchOutcome(outcomes, verification);
+  if (!outcome) {
+    return unresolved(RESOLUTION_STATUS.UNRESOLVED, verification.claim?.reason || 'no_matching_outcome', {
+      evidence,
+      sourceData
+    });
+  }
+
+  return settle(outcome, verification.confidence);
+}
+
+module.exports = {
+  resolveMarket,
+  validateMarket,
+  RESOLUTION_STATUS,
+  RESOLUTION_DEFAULTS,
+  RESOLUTIONS_FILE
+};
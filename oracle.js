@@ -5,12 +5,38 @@
  * and returning a consensus answer with confidence score.
  */
 
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const {
+  querySportsDB,
+  getSources,
+  registerSource,
+  teamNameMatches,
+  GAME_STATUS
+} = require('./sports-sources');
+const {
+  resolveTeam,
+  canonicalTeamName,
+  findLeagueInText,
+  loadTeamRegistry
+} = require('./team-registry');
+const { parseDate, addDays, todayIn, DATE_DEFAULTS } = require('./date-parser');
+const { parseClaim, evaluateClaim, CLAIM_TYPES, VERDICTS } = require('./claims');
+const { parsePlayerQuestion, findPlayerLine, evaluateThreshold } = require('./player-stats');
+const {
+  parseSeasonQuery,
+  seasonFor,
+  seasonLabel,
+  seasonStartYear,
+  seasonsBetween,
+  computeRecord,
+  findStandingRow,
+  SEASON_QUERY_TYPES
+} = require('./standings');
+const { summarizeCache } = require('./cache');
 
-// Stats file for dashboard
-const STATS_FILE = path.join(__dirname, 'dashboard', 'stats.json');
+// Stats file for dashboard (override with ORACLE_STATS_FILE)
+const STATS_FILE = process.env.ORACLE_STATS_FILE || path.join(__dirname, 'dashboard', 'stats.json');
 
 // =============================================================================
 // SAFETY RAILS - Protection for the Agent Economy
@@ -24,57 +50,20 @@ const SAFETY_LIMITS = {
   maxQueriesPerDay: 1000,      // Daily query limit
 };
 
-// Team name normalization for better success rate
-const TEAM_ALIASES = {
-  // NBA
-  'celtics': 'Boston Celtics',
-  'lakers': 'Los Angeles Lakers',
-  'warriors': 'Golden State Warriors',
-  'bulls': 'Chicago Bulls',
-  'heat': 'Miami Heat',
-  'nets': 'Brooklyn Nets',
-  'knicks': 'New York Knicks',
-  'sixers': 'Philadelphia 76ers',
-  '76ers': 'Philadelphia 76ers',
-  'bucks': 'Milwaukee Bucks',
-  'suns': 'Phoenix Suns',
-  'mavs': 'Dallas Mavericks',
-  'mavericks': 'Dallas Mavericks',
-  'nuggets': 'Denver Nuggets',
-  'clippers': 'Los Angeles Clippers',
-  'rockets': 'Houston Rockets',
-  'spurs': 'San Antonio Spurs',
-  // NFL
-  'chiefs': 'Kansas City Chiefs',
-  'eagles': 'Philadelphia Eagles',
-  'cowboys': 'Dallas Cowboys',
-  'packers': 'Green Bay Packers',
-  'niners': 'San Francisco 49ers',
-  '49ers': 'San Francisco 49ers',
-  'bills': 'Buffalo Bills',
-  'ravens': 'Baltimore Ravens',
-  'bengals': 'Cincinnati Bengals',
-  // MLB
-  'yankees': 'New York Yankees',
-  'dodgers': 'Los Angeles Dodgers',
-  'red sox': 'Boston Red Sox',
-  'cubs': 'Chicago Cubs',
-  // NHL
-  'bruins': 'Boston Bruins',
-  'rangers': 'New York Rangers',
-  'maple leafs': 'Toronto Maple Leafs',
-  'canadiens': 'Montreal Canadiens',
-};
-
 /**
- * Normalize team name using aliases
- * @param {string} teamName - Raw team name
- * @returns {string} Normalized team name
+ * Normalize team name using the league-aware team registry
+ * @param {string} teamName - Raw team name, nickname, abbreviation or city
+ * @param {string} league - Optional league hint (e.g. "NHL")
+ * @returns {string|Object} Official team name, the input unchanged if unknown,
+ *   or { error: 'ambiguous_team_name', candidates } when several teams match
  */
-function normalizeTeamName(teamName) {
+function normalizeTeamName(teamName, league) {
   if (!teamName) return teamName;
-  const lower = teamName.toLowerCase().trim();
-  return TEAM_ALIASES[lower] || teamName;
+  const resolved = resolveTeam(teamName, league);
+  if (resolved.error === 'ambiguous_team_name') {
+    return { error: resolved.error, candidates: resolved.candidates };
+  }
+  return resolved.team ? resolved.team.name : teamName;
 }
 
 /**
@@ -110,12 +99,14 @@ function checkSafetyLimits() {
 }
 
 /**
- * Apply confidence floor - never go below minimum
+ * Apply confidence floor - never go below minimum. Sources that disagree keep
+ * their scaled-down confidence, so a split never looks like weak agreement.
  * @param {number} confidence - Raw confidence
+ * @param {boolean} conflict - Whether the sources disagreed
  * @returns {number} Adjusted confidence
  */
-function applyConfidenceFloor(confidence) {
-  if (confidence > 0 && confidence < SAFETY_LIMITS.minConfidenceFloor) {
+function applyConfidenceFloor(confidence, conflict = false) {
+  if (!conflict && confidence > 0 && confidence < SAFETY_LIMITS.minConfidenceFloor) {
     return SAFETY_LIMITS.minConfidenceFloor;
   }
   return confidence;
@@ -184,181 +175,877 @@ function logQuery(result) {
   saveStats(stats);
 }
 
-// TheSportsDB - Free tier (no API key required for basic queries)
-const SPORTSDB_BASE = 'https://www.thesportsdb.com/api/v1/json/3';
+// =============================================================================
+// MULTI-SOURCE CONSENSUS
+// =============================================================================
+
+// Source errors that mean "this source cannot answer", not "no game happened"
+const NON_ANSWERING_ERRORS = ['unauthorized', 'source_unavailable'];
+
+// Errors reported when the game exists but has no final result
+const NOT_FINAL_ERRORS = {
+  [GAME_STATUS.SCHEDULED]: 'game_not_started',
+  [GAME_STATUS.LIVE]: 'game_in_progress',
+  [GAME_STATUS.POSTPONED]: 'game_postponed',
+  [GAME_STATUS.CANCELLED]: 'game_cancelled',
+  [GAME_STATUS.ABANDONED]: 'game_abandoned',
+};
 
 /**
- * Query TheSportsDB for past events by team name and date
- * @param {string} teamName - Team to search for
- * @param {string} date - Date in YYYY-MM-DD format
- * @returns {Object|null} Event data or null
+ * Build a comparison key for a game so results from different sources can be
+ * grouped. Teams are keyed by registry name since providers disagree on city
+ * prefixes ("LA Clippers" vs "Los Angeles Clippers"), falling back to the full
+ * reported name - never just the last word, which "Red Sox" and "White Sox"
+ * share. A source still showing a game as live does not agree with one
+ * reporting it final.
+ * @param {Object} game - Normalized game record
+ * @returns {string} Comparison key
  */
-async function querySportsDB(teamName, date) {
-  try {
-    // Search for team first
-    const teamSearch = await axios.get(
-      `${SPORTSDB_BASE}/searchteams.php?t=${encodeURIComponent(teamName)}`
-    );
+function gameKey(game) {
+  const teamKey = name => canonicalTeamName(name, game.league) || (name || '').toLowerCase().trim();
+  return `${teamKey(game.homeTeam)}|${teamKey(game.awayTeam)}|${game.homeScore}-${game.awayScore}|${game.status}`;
+}
 
-    if (!teamSearch.data.teams || teamSearch.data.teams.length === 0) {
-      return { error: 'team_not_found', source: 'thesportsdb' };
+/**
+ * Reconcile per-source results into a consensus game
+ * @param {Array<Object>} results - Normalized results, in source priority order
+ * @param {Function} keyOf - Comparison key for a result (defaults to gameKey)
+ * @returns {Object} { game, consensusKey, agreed, answered }
+ */
+function reconcileResults(results, keyOf = gameKey) {
+  const games = results.filter(r => !r.error);
+  const groups = new Map();
+
+  for (const game of games) {
+    const key = keyOf(game);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(game);
+  }
+
+  // Largest group wins; ties go to the group holding the highest-priority source
+  let consensus = null;
+  for (const group of groups.values()) {
+    if (!consensus || group.length > consensus.length) {
+      consensus = group;
     }
+  }
 
-    const team = teamSearch.data.teams[0];
-    const teamId = team.idTeam;
+  return {
+    game: consensus ? consensus[0] : null,
+    consensusKey: consensus ? keyOf(consensus[0]) : null,
+    agreed: consensus ? consensus.length : 0,
+    answered: games.length,
+  };
+}
 
-    // Get last 5 events for this team
-    const eventsResponse = await axios.get(
-      `${SPORTSDB_BASE}/eventslast.php?id=${teamId}`
-    );
+// How far a requested start time may be from the listed one (minutes)
+const START_TIME_TOLERANCE_MIN = 90;
 
-    if (!eventsResponse.data.results) {
-      return { error: 'no_events', source: 'thesportsdb' };
-    }
+/**
+ * Minutes after midnight of a timestamp in a timezone
+ * @param {string} isoTime - ISO timestamp
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Minutes after local midnight
+ */
+function localMinutes(isoTime, timezone) {
+  const [hours, minutes] = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  }).format(new Date(isoTime)).split(':').map(n => parseInt(n, 10));
+  return (hours % 24) * 60 + minutes;
+}
 
-    // Find event matching the date
-    const event = eventsResponse.data.results.find(e =>
-      e.dateEvent === date
-    );
+/**
+ * Summarize a game for an ambiguity response
+ * @param {Object} game - Game record
+ * @param {number} index - Position in the day's schedule
+ * @returns {Object} Game summary
+ */
+function summarizeGame(game, index) {
+  return {
+    gameNumber: index + 1,
+    homeTeam: game.homeTeam,
+    awayTeam: game.awayTeam,
+    homeScore: game.homeScore,
+    awayScore: game.awayScore,
+    status: game.status,
+    startTime: game.startTime || null,
+    eventId: game.eventId
+  };
+}
+
+/**
+ * Narrow a source's same-day games to the one the query asks for
+ * @param {Object} result - Adapter result (single game, { games } or error)
+ * @param {Object} query - Query with optional gameNumber / startTime ("HH:MM")
+ * @returns {Object} A single game, or an error result
+ */
+function selectGame(result, query) {
+  if (result.error) return result;
 
-    if (!event) {
-      return { error: 'event_not_found_on_date', source: 'thesportsdb' };
+  const { gameNumber, startTime } = query;
+  if (!result.games && !gameNumber && !startTime) return result;
+
+  const games = result.games || [result];
+
+  if (gameNumber) {
+    return games[gameNumber - 1] ||
+      { error: 'game_number_not_found', source: result.source, games: games.map(summarizeGame) };
+  }
+
+  if (startTime) {
+    const [hours, minutes] = startTime.split(':').map(n => parseInt(n, 10));
+    const wanted = hours * 60 + (minutes || 0);
+    const timezone = query.timezone || DATE_DEFAULTS.timezone;
+
+    // A lone game without a listed time can't contradict the request
+    if (games.length === 1 && !games[0].startTime) return games[0];
+
+    let best = null;
+    let bestDiff = Infinity;
+    for (const game of games) {
+      if (!game.startTime) continue;
+      const diff = Math.abs(localMinutes(game.startTime, timezone) - wanted);
+      if (diff < bestDiff) {
+        best = game;
+        bestDiff = diff;
+      }
     }
 
-    const homeScore = parseInt(event.intHomeScore, 10);
-    const awayScore = parseInt(event.intAwayScore, 10);
+    if (best && bestDiff <= START_TIME_TOLERANCE_MIN) return best;
+    return { error: 'no_game_at_start_time', source: result.source, games: games.map(summarizeGame) };
+  }
 
-    return {
-      source: 'thesportsdb',
-      homeTeam: event.strHomeTeam,
-      awayTeam: event.strAwayTeam,
-      homeScore,
-      awayScore,
-      winner: homeScore > awayScore
-        ? event.strHomeTeam
-        : awayScore > homeScore
-          ? event.strAwayTeam
-          : 'tie',
-      date: event.dateEvent,
-      league: event.strLeague,
-      eventId: event.idEvent
-    };
-  } catch (error) {
-    return { error: error.message, source: 'thesportsdb' };
+  return { error: 'multiple_games_on_date', source: result.source, games: games.map(summarizeGame) };
+}
+
+/**
+ * Calculate confidence from source agreement
+ * Single source = 0.75 base, 0.85 with opponent match
+ * Multiple agreeing sources = 0.95, +0.02 per extra source (max 0.99)
+ * Disagreement scales confidence by the agreeing share
+ * @param {number} agreed - Sources agreeing with the consensus
+ * @param {number} answered - Sources that returned a game
+ * @param {boolean} opponentMatch - Whether a requested opponent was confirmed
+ * @returns {number} Confidence score
+ */
+function calculateConfidence(agreed, answered, opponentMatch) {
+  if (agreed === 0) return 0;
+
+  if (agreed === 1 && answered === 1) {
+    return opponentMatch ? 0.85 : 0.75;
   }
+
+  if (agreed === answered) {
+    return Math.min(0.95 + (agreed - 2) * 0.02, 0.99);
+  }
+
+  return Math.round(0.75 * (agreed / answered) * 100) / 100;
 }
 
 /**
- * Verify a sports result by querying multiple sources
+ * Verify a game result by querying multiple sources
  * @param {Object} query - Query parameters
  * @param {string} query.team - Team name to verify
  * @param {string} query.date - Date in YYYY-MM-DD format
  * @param {string} query.opponent - Optional opponent team name
+ * @param {Object} query.dateRange - Optional { start, end } to search when the game day is unknown
+ * @param {number} query.gameNumber - Optional game of the day (1 = first) for doubleheaders
+ * @param {string} query.startTime - Optional local start time ("HH:MM", 24h) for doubleheaders
+ * @param {string} query.timezone - Timezone for startTime (defaults to ORACLE_TIMEZONE)
+ * @param {Object} options - Verification options
+ * @param {Array<Object>} options.sources - Source adapters (defaults to registered sources)
  * @returns {Object} Verification result with confidence
  */
-async function verifyResult(query) {
+async function verifyGame(query, options = {}) {
   const { team, date, opponent } = query;
 
-  // Query primary source
-  const sportsDbResult = await querySportsDB(team, date);
+  // Query every source that can answer this query, in parallel
+  const sources = (options.sources || getSources())
+    .filter(source => !source.supports || source.supports(query));
+
+  // Week-style queries span several days; try the headline date first
+  const dates = [date];
+  if (query.dateRange) {
+    for (let d = query.dateRange.start; d <= query.dateRange.end; d = addDays(d, 1)) {
+      if (d !== date) dates.push(d);
+    }
+  }
+
+  let results = [];
+  for (const candidateDate of dates) {
+    results = await Promise.all(sources.map(async source => {
+      try {
+        return await source.query(team, candidateDate, { league: query.league });
+      } catch (error) {
+        return { error: error.message, source: source.name };
+      }
+    }));
+    if (results.some(r => !r.error)) break;
+  }
+
+  // Doubleheaders: narrow each source to the requested game, never guess
+  results = results.map(r => ({ ...selectGame(r, query), ...(r.cache && { cache: r.cache }) }));
+
+  const ambiguous = results.find(r => r.error === 'multiple_games_on_date');
+  if (ambiguous) {
+    return {
+      verified: false,
+      confidence: 0,
+      error: 'multiple_games_on_date',
+      games: ambiguous.games,
+      suggestion: 'Specify a game (e.g. "the second game" or "game 2 of the doubleheader") or start time (e.g. "the 7pm game")',
+      query,
+      sources: sources.map(s => s.name),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const sourceNames = sources.map(s => s.name);
+  const { game, consensusKey, agreed, answered } = reconcileResults(results);
 
-  // For MVP, we use single source with lower confidence
-  // In production, add more sources for higher confidence
+  const sourceResults = results.map(r => {
+    if (r.error) {
+      return { source: r.source, status: 'error', error: r.error, ...(r.games && { games: r.games }), ...(r.cache && { cache: r.cache }) };
+    }
+    return {
+      source: r.source,
+      status: gameKey(r) === consensusKey ? 'agreed' : 'disagreed',
+      homeTeam: r.homeTeam,
+      awayTeam: r.awayTeam,
+      homeScore: r.homeScore,
+      awayScore: r.awayScore,
+      gameStatus: r.status,
+      eventId: r.eventId,
+      lookupStrategy: r.lookupStrategy,
+      ...(r.cache && { cache: r.cache })
+    };
+  });
+
+  const queried = results.filter(r => !NON_ANSWERING_ERRORS.includes(r.error)).length;
 
-  if (sportsDbResult.error) {
+  if (!game) {
+    // Report the highest-priority source's error
+    const primaryError = results.find(r => !NON_ANSWERING_ERRORS.includes(r.error)) || results[0];
     return {
       verified: false,
       confidence: 0,
-      error: sportsDbResult.error,
+      error: primaryError ? primaryError.error : 'no_sources_available',
       query,
-      sources: ['thesportsdb'],
+      sources: sourceNames,
+      sourceResults,
+      sourcesAgreed: 0,
+      sourcesQueried: queried,
       timestamp: new Date().toISOString()
     };
   }
 
-  // Verify opponent matches if provided
-  let opponentMatch = true;
-  if (opponent) {
-    const oppLower = opponent.toLowerCase();
-    opponentMatch =
-      sportsDbResult.homeTeam.toLowerCase().includes(oppLower) ||
-      sportsDbResult.awayTeam.toLowerCase().includes(oppLower);
+  // The team played someone else that day: never pass that game off as the
+  // requested matchup, however many sources agree on it
+  if (opponent && ![game.homeTeam, game.awayTeam].some(name => teamNameMatches(name, opponent, game.league))) {
+    return {
+      verified: false,
+      confidence: 0,
+      error: 'teams_did_not_meet',
+      result: {
+        homeTeam: game.homeTeam,
+        awayTeam: game.awayTeam,
+        homeScore: game.homeScore,
+        awayScore: game.awayScore,
+        winner: game.status === GAME_STATUS.FINAL ? game.winner : null
+      },
+      league: game.league,
+      date: game.date,
+      query,
+      sources: sourceNames,
+      sourceResults,
+      sourcesAgreed: agreed,
+      sourcesQueried: queried,
+      timestamp: new Date().toISOString()
+    };
   }
 
-  // Calculate confidence
-  // Single source = 0.75 base
-  // With opponent match = 0.85
-  // Multiple agreeing sources = 0.95+ (future)
-  let confidence = 0.75;
-  if (opponentMatch && opponent) {
-    confidence = 0.85;
+  // Never declare a winner for a game that isn't over
+  if (game.status !== GAME_STATUS.FINAL) {
+    return {
+      verified: false,
+      confidence: 0,
+      error: NOT_FINAL_ERRORS[game.status] || 'game_not_final',
+      status: game.status,
+      ...(game.rescheduledDate && { rescheduledDate: game.rescheduledDate }),
+      result: {
+        homeTeam: game.homeTeam,
+        awayTeam: game.awayTeam,
+        homeScore: game.homeScore,
+        awayScore: game.awayScore,
+        winner: null
+      },
+      league: game.league,
+      date: game.date,
+      query,
+      sources: sourceNames,
+      sourceResults,
+      sourcesAgreed: agreed,
+      sourcesQueried: queried,
+      timestamp: new Date().toISOString()
+    };
   }
 
+  // A matched opponent is extra confirmation when only one source answered
+  const confidence = calculateConfidence(agreed, answered, !!opponent);
+
   return {
     verified: true,
     confidence,
     result: {
-      homeTeam: sportsDbResult.homeTeam,
-      awayTeam: sportsDbResult.awayTeam,
-      homeScore: sportsDbResult.homeScore,
-      awayScore: sportsDbResult.awayScore,
-      winner: sportsDbResult.winner,
-      finalScore: `${sportsDbResult.homeScore}-${sportsDbResult.awayScore}`
+      homeTeam: game.homeTeam,
+      awayTeam: game.awayTeam,
+      homeScore: game.homeScore,
+      awayScore: game.awayScore,
+      winner: game.winner,
+      finalScore: `${game.homeScore}-${game.awayScore}`
     },
-    league: sportsDbResult.league,
-    date: sportsDbResult.date,
+    status: game.status,
+    league: game.league,
+    date: game.date,
+    lookupStrategy: game.lookupStrategy,
     query,
-    sources: ['thesportsdb'],
-    sourcesAgreed: 1,
-    sourcesQueried: 1,
+    sources: sourceNames,
+    sourceResults,
+    sourcesAgreed: agreed,
+    sourcesQueried: queried,
+    conflict: agreed < answered,
     timestamp: new Date().toISOString()
   };
 }
 
 /**
- * Simple question parser for natural language queries
- * @param {string} question - Natural language question
- * @returns {Object} Parsed query parameters
+ * Verify a sports result, and check the claim when the query makes one
+ * @param {Object} query - Query parameters (see verifyGame)
+ * @param {Object} query.claim - Optional { type: 'win'|'loss'|'tie', margin?: { operator, value } }
+ * @param {Object} options - Verification options (see verifyGame)
+ * @returns {Object} Verification result, plus verdict and claim when query.claim is set
+ */
+async function verifyResult(query, options = {}) {
+  const verification = await verifyGame(query, options);
+
+  // Whether the sources' answers came from the cache, and how old they are
+  const cache = summarizeCache((verification.sourceResults || []).map(s => s.cache));
+  if (cache) verification.cache = cache;
+
+  if (query.claim) {
+    const { verdict, ...claim } = evaluateClaim(query.claim, query, verification);
+    verification.verdict = verdict;
+    verification.claim = claim;
+  }
+
+  return verification;
+}
+
+// =============================================================================
+// PLAYER STATS
+// =============================================================================
+
+/**
+ * Resolve a player name to a full name and current team
+ * @param {string} playerName - Full or partial player name
+ * @param {Array<Object>} sources - Source adapters (those with searchPlayers are used)
+ * @returns {Object} { name, team } or { error, candidates? }
+ */
+async function resolvePlayer(playerName, sources) {
+  let lastError = { error: 'player_search_unavailable' };
+
+  for (const source of sources.filter(s => typeof s.searchPlayers === 'function')) {
+    const found = await source.searchPlayers(playerName);
+    if (found.error) {
+      lastError = found;
+      continue;
+    }
+
+    const exact = found.players.filter(p => p.name.toLowerCase() === playerName.toLowerCase());
+    const candidates = exact.length > 0 ? exact : found.players;
+
+    if (candidates.length === 1) {
+      return { name: candidates[0].name, team: candidates[0].team };
+    }
+
+    return {
+      error: 'ambiguous_player_name',
+      candidates: candidates.slice(0, 10).map(p => ({ name: p.name, team: p.team, sport: p.sport }))
+    };
+  }
+
+  return { error: lastError.error };
+}
+
+/**
+ * Verify a player's box-score line for a game
+ * @param {Object} query - Query parameters
+ * @param {string} query.player - Player name
+ * @param {string} query.team - Optional player's team (skips player lookup)
+ * @param {string} query.date - Date in YYYY-MM-DD format
+ * @param {string} query.opponent - Optional opponent team name
+ * @param {string} query.stat - Optional stat of interest (e.g. "points", "passingYards")
+ * @param {Object} query.threshold - Optional { operator: '>'|'>='|'<'|'<='|'==', value }
+ * @param {Object} options - Verification options
+ * @param {Array<Object>} options.sources - Source adapters (defaults to registered sources)
+ * @returns {Object} Player stat result with confidence
+ */
+async function verifyPlayerStat(query, options = {}) {
+  const sources = options.sources || getSources();
+  const base = { query, timestamp: new Date().toISOString() };
+
+  let playerName = query.player;
+  let team = query.team;
+
+  if (!team) {
+    const resolved = await resolvePlayer(query.player, sources);
+    if (resolved.error) {
+      return { verified: false, confidence: 0, error: resolved.error, candidates: resolved.candidates, ...base };
+    }
+    playerName = resolved.name;
+    team = resolved.team;
+  }
+
+  const normalizedTeam = normalizeTeamName(team, query.league);
+  if (normalizedTeam && !normalizedTeam.error) team = normalizedTeam;
+
+  // Find the game exactly as a team query would
+  const game = await verifyGame({
+    team,
+    date: query.date,
+    opponent: query.opponent,
+    league: query.league,
+    dateRange: query.dateRange,
+    gameNumber: query.gameNumber,
+    startTime: query.startTime,
+    timezone: query.timezone
+  }, { sources });
+
+  if (!game.verified) {
+    return { ...game, player: playerName, team, query, timestamp: new Date().toISOString() };
+  }
+
+  // Fetch box scores from every source that agreed on the game
+  const boxSources = sources.filter(s => typeof s.queryBoxScore === 'function');
+  const boxResults = await Promise.all(boxSources.map(async source => {
+    const agreed = game.sourceResults.find(r => r.source === source.name && r.status === 'agreed');
+    if (!agreed) return null;
+    try {
+      return await source.queryBoxScore(agreed.eventId, { league: game.league });
+    } catch (error) {
+      return { error: error.message, source: source.name };
+    }
+  }));
+
+  const sourceResults = [];
+  const lines = [];
+  for (const box of boxResults.filter(Boolean)) {
+    if (box.error) {
+      sourceResults.push({ source: box.source, status: 'error', error: box.error });
+      continue;
+    }
+    const line = findPlayerLine(box.lines, playerName);
+    if (!line) {
+      sourceResults.push({ source: box.source, status: 'error', error: 'player_not_in_box_score' });
+      continue;
+    }
+    lines.push({ source: box.source, line });
+  }
+
+  const gameSummary = {
+    homeTeam: game.result.homeTeam,
+    awayTeam: game.result.awayTeam,
+    homeScore: game.result.homeScore,
+    awayScore: game.result.awayScore,
+    winner: game.result.winner,
+    date: game.date,
+    league: game.league
+  };
+
+  if (lines.length === 0) {
+    const noBoxScore = sourceResults.length === 0 ||
+      sourceResults.every(r => r.error !== 'player_not_in_box_score');
+    return {
+      verified: false,
+      confidence: 0,
+      error: noBoxScore ? 'box_score_unavailable' : 'player_not_in_box_score',
+      player: playerName,
+      team,
+      game: gameSummary,
+      sources: boxSources.map(s => s.name),
+      sourceResults,
+      ...base
+    };
+  }
+
+  // Sources agree when they report the same value for the stat asked about,
+  // or the same value for every stat they share when no stat was named
+  const primary = lines[0].line;
+  const sameLine = other => {
+    const keys = query.stat
+      ? [query.stat]
+      : Object.keys(primary.stats).filter(key => key in other.stats);
+    return keys.every(key => primary.stats[key] === other.stats[key]);
+  };
+
+  let agreed = 0;
+  for (const { source, line } of lines) {
+    const matches = sameLine(line);
+    if (matches) agreed++;
+    sourceResults.push({ source, status: matches ? 'agreed' : 'disagreed', stats: line.stats });
+  }
+
+  let confidence;
+  if (agreed < lines.length) {
+    confidence = 0.6;
+  } else {
+    confidence = Math.min(game.confidence, agreed > 1 ? 0.95 : 0.8);
+  }
+
+  const value = query.stat ? primary.stats[query.stat] : undefined;
+
+  const result = {
+    verified: true,
+    confidence,
+    player: primary.player,
+    team: primary.team || team,
+    statLine: primary.stats,
+    game: gameSummary,
+    sources: boxSources.map(s => s.name),
+    sourceResults,
+    sourcesAgreed: agreed,
+    sourcesQueried: lines.length,
+    ...base
+  };
+
+  if (query.stat) {
+    result.stat = query.stat;
+    result.value = value === undefined ? null : value;
+  }
+
+  if (query.threshold) {
+    result.verdict = value === undefined
+      ? VERDICTS.UNDETERMINABLE
+      : evaluateThreshold(value, query.threshold);
+    result.claim = {
+      claimed: { player: playerName, stat: query.stat, ...query.threshold },
+      observed: { player: primary.player, stat: query.stat, value: result.value }
+    };
+  }
+
+  return result;
+}
+
+// =============================================================================
+// SEASON QUERIES (records, standings, head-to-head)
+// =============================================================================
+
+/**
+ * Comparison key for a win-loss record or standings row
+ * @param {Object} record - { wins, losses, ties }
+ * @returns {string} Comparison key
+ */
+function recordKey(record) {
+  return `${record.wins}-${record.losses}-${record.ties}`;
+}
+
+/**
+ * Work out the league and seasons a season query covers
+ * @param {Object} query - { team, league?, season?, dateRange?, timezone? }
+ * @returns {Object} { league, seasons }
  */
-function parseQuestion(question) {
-  // Extract date patterns
-  const datePatterns = [
-    /(\d{4}-\d{2}-\d{2})/,  // YYYY-MM-DD
-    /on (\w+ \d+,? \d{4})/i,  // on January 30, 2026
-    /(yesterday|today|last night)/i
-  ];
-
-  let date = null;
-  for (const pattern of datePatterns) {
-    const match = question.match(pattern);
-    if (match) {
-      if (match[1] === 'yesterday' || match[1] === 'last night') {
-        const d = new Date();
-        d.setDate(d.getDate() - 1);
-        date = d.toISOString().split('T')[0];
-      } else if (match[1] === 'today') {
-        date = new Date().toISOString().split('T')[0];
-      } else {
-        // Try to parse the date
-        const parsed = new Date(match[1]);
-        if (!isNaN(parsed)) {
-          date = parsed.toISOString().split('T')[0];
+function seasonScope(query) {
+  const resolved = resolveTeam(query.team, query.league);
+  const league = resolved.team ? resolved.team.league : query.league || null;
+
+  let seasons;
+  if (query.season) {
+    seasons = [query.season];
+  } else if (query.dateRange) {
+    seasons = seasonsBetween(league, query.dateRange);
+  } else {
+    seasons = [seasonFor(league, todayIn(query.timezone || DATE_DEFAULTS.timezone))];
+  }
+
+  return { league, seasons };
+}
+
+/**
+ * Source adapters that can answer a season query
+ * @param {Object} query - Season query
+ * @param {string} method - Adapter method needed ('querySeason' or 'queryStandings')
+ * @param {Object} options - Verification options (sources)
+ * @returns {Array<Object>} Source adapters
+ */
+function seasonSources(query, method, options) {
+  return (options.sources || getSources()).filter(source =>
+    typeof source[method] === 'function' &&
+    (typeof source.supports !== 'function' || source.supports(query))
+  );
+}
+
+/**
+ * Build the response for a season query from per-source answers
+ * @param {Object} query - The query
+ * @param {Array<Object>} sources - Sources asked
+ * @param {Array<Object>} answers - Per-source { source, value } or { source, error }
+ * @param {string} field - Response field holding the consensus value
+ * @returns {Object} Season query result
+ */
+function seasonResult(query, sources, answers, field) {
+  const { game: consensus, consensusKey, agreed, answered } =
+    reconcileResults(answers, answer => recordKey(answer.value));
+
+  const sourceResults = answers.map(answer => {
+    if (answer.error) {
+      return { source: answer.source, status: 'error', error: answer.error };
+    }
+    const { games, ...summary } = answer.value;
+    return {
+      source: answer.source,
+      status: recordKey(answer.value) === consensusKey ? 'agreed' : 'disagreed',
+      [field]: summary
+    };
+  });
+
+  const base = {
+    type: query.type,
+    team: query.team,
+    ...(query.opponent && { opponent: query.opponent }),
+    league: query.league,
+    ...(query.dateRange ? { dateRange: query.dateRange } : { season: query.season }),
+    query,
+    sources: sources.map(s => s.name),
+    sourceResults,
+    sourcesAgreed: agreed,
+    sourcesQueried: sources.length,
+    timestamp: new Date().toISOString()
+  };
+
+  if (!consensus) {
+    const reported = answers.find(a => a.error && !NON_ANSWERING_ERRORS.includes(a.error)) || answers[0];
+    return {
+      verified: false,
+      confidence: 0,
+      error: reported ? reported.error : 'no_season_sources',
+      ...base
+    };
+  }
+
+  return {
+    verified: true,
+    confidence: calculateConfidence(agreed, answered, false),
+    [field]: consensus.value,
+    conflict: agreed < answered,
+    ...base
+  };
+}
+
+/**
+ * Tally a team's record (optionally against one opponent) from each source's
+ * season schedules
+ * @param {Object} query - { team, opponent?, league?, season?, dateRange?, type }
+ * @param {Object} options - Verification options (sources)
+ * @param {string} field - Response field ('record' or 'headToHead')
+ * @returns {Object} Season query result
+ */
+async function tallySeasonRecord(query, options, field) {
+  const { league, seasons } = seasonScope(query);
+  const scoped = { ...query, league, season: query.dateRange ? undefined : seasons[0] };
+  const sources = seasonSources(scoped, 'querySeason', options);
+
+  const answers = await Promise.all(sources.map(async source => {
+    const games = [];
+    let lastError = null;
+
+    for (const season of seasons) {
+      try {
+        const result = await source.querySeason(query.team, season, { league });
+        if (result.error) {
+          lastError = result.error;
         } else {
-          date = match[1];
+          games.push(...result.games);
         }
+      } catch (error) {
+        lastError = error.message;
       }
-      break;
     }
+
+    if (games.length === 0) {
+      return { source: source.name, error: lastError || 'season_not_found' };
+    }
+
+    const record = computeRecord(games, query.team, {
+      opponent: query.opponent,
+      dateRange: query.dateRange,
+      league
+    });
+    // A season record lists no games; a head-to-head lists the meetings
+    if (field === 'record') delete record.games;
+
+    return { source: source.name, value: record };
+  }));
+
+  return seasonResult(scoped, sources, answers, field);
+}
+
+/**
+ * Get a team's win-loss record for a season or date range
+ * @param {Object} query - Query parameters
+ * @param {string} query.team - Team name
+ * @param {string} query.league - Optional league code
+ * @param {string} query.season - Optional season label ("2025-2026" or "2025"), defaults to the current season
+ * @param {Object} query.dateRange - Optional { start, end } instead of a season
+ * @param {Object} options - Verification options
+ * @param {Array<Object>} options.sources - Source adapters (defaults to registered sources)
+ * @returns {Object} Record result with confidence
+ */
+async function getTeamRecord(query, options = {}) {
+  return tallySeasonRecord({ ...query, type: SEASON_QUERY_TYPES.RECORD }, options, 'record');
+}
+
+/**
+ * Get the head-to-head record between two teams for a season or date range
+ * @param {Object} query - Query parameters
+ * @param {string} query.team - Team whose wins and losses are counted
+ * @param {string} query.opponent - Opponent team name
+ * @param {string} query.league - Optional league code
+ * @param {string} query.season - Optional season label, defaults to the current season
+ * @param {Object} query.dateRange - Optional { start, end } instead of a season
+ * @param {Object} options - Verification options
+ * @param {Array<Object>} options.sources - Source adapters (defaults to registered sources)
+ * @returns {Object} Head-to-head result with confidence
+ */
+async function getHeadToHead(query, options = {}) {
+  if (!query.opponent) {
+    return {
+      verified: false,
+      confidence: 0,
+      error: 'opponent_required',
+      query,
+      timestamp: new Date().toISOString()
+    };
+  }
+  return tallySeasonRecord({ ...query, type: SEASON_QUERY_TYPES.HEAD_TO_HEAD }, options, 'headToHead');
+}
+
+/**
+ * Get a team's place in its league standings
+ * @param {Object} query - Query parameters
+ * @param {string} query.team - Team name
+ * @param {string} query.league - Optional league code
+ * @param {string} query.season - Optional season label, defaults to the current season
+ * @param {Object} options - Verification options
+ * @param {Array<Object>} options.sources - Source adapters (defaults to registered sources)
+ * @returns {Object} Standing result with confidence
+ */
+async function getStanding(query, options = {}) {
+  const { league, seasons } = seasonScope({ ...query, dateRange: undefined });
+  const scoped = { ...query, type: SEASON_QUERY_TYPES.STANDING, league, season: seasons[0] };
+  const sources = seasonSources(scoped, 'queryStandings', options);
+
+  const answers = await Promise.all(sources.map(async source => {
+    try {
+      const result = await source.queryStandings(query.team, scoped.season, { league });
+      if (result.error) return { source: source.name, error: result.error };
+
+      const row = findStandingRow(result.standings, query.team, league);
+      if (!row) return { source: source.name, error: 'team_not_in_standings' };
+
+      return { source: source.name, value: row };
+    } catch (error) {
+      return { source: source.name, error: error.message };
+    }
+  }));
+
+  return seasonResult(scoped, sources, answers, 'standing');
+}
+
+const ORDINAL_GAMES = { first: 1, opening: 1, '1st': 1, second: 2, '2nd': 2, nightcap: 2, third: 3, '3rd': 3 };
+const GAME_NUMBER_WORDS = { one: 1, two: 2, three: 3 };
+
+// "game 2" only picks a same-day game when the question is about a doubleheader
+const DOUBLEHEADER_PATTERN = /\b(?:double[\s-]?header|twin[\s-]?bill)\b/i;
+
+// Phrases after a game number or ordinal that mean something else: a relative
+// date ("game two days ago") or a series or season ("game 3 of the finals",
+// "first game of the season")
+const NOT_A_GAME_OF_THE_DAY = /^\s+(?:(?:days?|weeks?|months?|years?)\s+ago\b|(?:of|in)\s+(?:the|this|their)?\s*(?:[\w-]+\s+){0,3}?(?:series|finals?|playoffs?|postseason|season|round)\b)/i;
+
+/**
+ * Parse which of a team's same-day games a question means
+ * @param {string} question - Natural language question
+ * @returns {Object} { gameNumber?, startTime?, matchedText[] }
+ */
+function parseGameSelector(question) {
+  const selector = { matchedText: [] };
+  const followedBy = match => question.slice(match.index + match[0].length);
+
+  let numbered = question.match(/\bgame\s+([1-3]|one|two|three)\b(?!\s*[-/:])/i);
+  if (numbered && (!DOUBLEHEADER_PATTERN.test(question) || NOT_A_GAME_OF_THE_DAY.test(followedBy(numbered)))) {
+    numbered = null;
+  }
+  let ordinal = question.match(/\b(?:(first|opening|1st|second|2nd|third|3rd)\s+game|(nightcap))\b/i);
+  if (ordinal && NOT_A_GAME_OF_THE_DAY.test(followedBy(ordinal))) {
+    ordinal = null;
   }
+  if (numbered) {
+    const n = numbered[1].toLowerCase();
+    selector.gameNumber = GAME_NUMBER_WORDS[n] || parseInt(n, 10);
+    selector.matchedText.push(numbered[0]);
+  } else if (ordinal) {
+    selector.gameNumber = ORDINAL_GAMES[(ordinal[1] || ordinal[2]).toLowerCase()];
+    selector.matchedText.push(ordinal[0]);
+  }
+
+  const time = question.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/i);
+  if (time) {
+    let hours = parseInt(time[1], 10) % 12;
+    if (time[3].toLowerCase() === 'pm') hours += 12;
+    selector.startTime = `${String(hours).padStart(2, '0')}:${time[2] || '00'}`;
+    selector.matchedText.push(time[0]);
+  }
+
+  return selector;
+}
 
-  // Extract team names (simplified - looks for capitalized words)
-  const teamPattern = /\b([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)\b/g;
+/**
+ * Simple question parser for natural language queries
+ * @param {string} question - Natural language question
+ * @param {Object} options - Parse options
+ * @param {string} options.timezone - Reference timezone for relative dates
+ * @param {Date} options.referenceDate - Moment treated as "now"
+ * @returns {Object} Parsed query parameters
+ */
+function parseQuestion(question, options = {}) {
+  const parsedDate = parseDate(question, options);
+
+  const selector = parseGameSelector(question);
+
+  const seasonQuery = parseSeasonQuery(question, options);
+
+  // Drop date, game and season phrases so month, weekday and ordinal words aren't read as teams
+  let teamText = question;
+  const phrases = [parsedDate.matchedText, ...selector.matchedText, ...(seasonQuery ? seasonQuery.matchedText : [])];
+  for (const text of phrases) {
+    if (text) teamText = teamText.replace(text, ' ');
+  }
+
+  // League hint, e.g. "NHL" or "Premier League"
+  const league = findLeagueInText(question);
+
+  // Extract team names (simplified - looks for capitalized words or abbreviations like "LAL")
+  const teamPattern = /\b([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*|[A-Z]{2,4})\b/g;
   const teams = [];
   let teamMatch;
-  while ((teamMatch = teamPattern.exec(question)) !== null) {
+  while ((teamMatch = teamPattern.exec(teamText)) !== null) {
     const team = teamMatch[1];
-    // Filter out common non-team words
-    if (!['Who', 'What', 'Did', 'The', 'How', 'When'].includes(team)) {
+    // Filter out common non-team words and league names
+    if (!['Who', 'What', 'Did', 'The', 'How', 'When', 'Where', 'Will', 'Is', 'Are', 'Do', 'Does', 'Head'].includes(team) &&
+        !findLeagueInText(team)) {
       teams.push(team);
     }
   }
@@ -366,43 +1053,53 @@ function parseQuestion(question) {
   return {
     team: teams[0] || null,
     opponent: teams[1] || null,
-    date: date || new Date().toISOString().split('T')[0],
+    league,
+    date: parsedDate.date,
+    dateSource: parsedDate.dateSource,
+    ...(parsedDate.error && { error: parsedDate.error, invalidDate: parsedDate.matchedText }),
+    ...(parsedDate.dateRange && { dateRange: parsedDate.dateRange, week: parsedDate.week }),
+    timezone: parsedDate.timezone,
+    ...(selector.gameNumber && { gameNumber: selector.gameNumber }),
+    ...(selector.startTime && { startTime: selector.startTime }),
+    claim: seasonQuery ? null : parseClaim(question),
+    seasonQuery,
     originalQuestion: question
   };
 }
 
 /**
- * Main oracle function - answer a sports verification question
- * @param {string} question - Natural language question
- * @returns {Object} Oracle response
+ * Normalize the teams of a parsed question in place. An unambiguous team
+ * also tells us the league, which can settle an ambiguous opponent.
+ * @param {Object} parsed - Result of parseQuestion
+ * @returns {Object|null} Error result, or null when the teams are usable
  */
-async function askOracle(question) {
-  // SAFETY CHECK: Verify we're within limits
-  const safetyCheck = checkSafetyLimits();
-  if (!safetyCheck.safe) {
-    console.error(`🛑 SAFETY RAIL: ${safetyCheck.reason}`);
-    return {
-      verified: false,
-      confidence: 0,
-      error: safetyCheck.reason,
-      message: safetyCheck.message,
-      safetyTriggered: true,
-      timestamp: new Date().toISOString()
-    };
+function normalizeParsedTeams(parsed) {
+  if (!parsed.league) {
+    const known = [parsed.team, parsed.opponent]
+      .map(name => name && resolveTeam(name).team)
+      .find(Boolean);
+    if (known) parsed.league = known.league;
   }
 
-  const parsed = parseQuestion(question);
-
-  // Normalize team name for better success rate
-  if (parsed.team) {
-    parsed.team = normalizeTeamName(parsed.team);
-  }
-  if (parsed.opponent) {
-    parsed.opponent = normalizeTeamName(parsed.opponent);
+  for (const field of ['team', 'opponent']) {
+    if (!parsed[field]) continue;
+    const normalized = normalizeTeamName(parsed[field], parsed.league);
+    if (normalized && normalized.error) {
+      return {
+        verified: false,
+        confidence: 0,
+        error: normalized.error,
+        candidates: normalized.candidates,
+        suggestion: 'Please include the league (e.g. NHL) or the full team name',
+        parsed,
+        timestamp: new Date().toISOString()
+      };
+    }
+    parsed[field] = normalized;
   }
 
   if (!parsed.team) {
-    const result = {
+    return {
       verified: false,
       confidence: 0,
       error: 'could_not_parse_team_name',
@@ -410,15 +1107,141 @@ async function askOracle(question) {
       parsed,
       timestamp: new Date().toISOString()
     };
+  }
+
+  return null;
+}
+
+/**
+ * Answer a parsed season-level question (record, standing or head-to-head)
+ * @param {Object} parsed - Result of parseQuestion with a seasonQuery
+ * @returns {Object} Season query result
+ */
+async function answerSeasonQuery(parsed) {
+  const { type, seasonStartYear: startYear, seasonOffset, dateRange } = parsed.seasonQuery;
+  const query = { team: parsed.team, opponent: parsed.opponent, league: parsed.league, timezone: parsed.timezone };
+
+  if (dateRange) {
+    query.dateRange = dateRange;
+  } else if (startYear) {
+    query.season = seasonLabel(parsed.league, startYear);
+  } else if (seasonOffset) {
+    const current = seasonStartYear(parsed.league, todayIn(parsed.timezone));
+    query.season = seasonLabel(parsed.league, current + seasonOffset);
+  }
+
+  if (type === SEASON_QUERY_TYPES.STANDING) return getStanding(query);
+  if (type === SEASON_QUERY_TYPES.HEAD_TO_HEAD) return getHeadToHead(query);
+  return getTeamRecord(query);
+}
+
+/**
+ * Response for a query refused by the safety rails
+ * @param {Object} safetyCheck - Failed checkSafetyLimits() result
+ * @returns {Object} Oracle response
+ */
+function safetyResult(safetyCheck) {
+  console.error(`🛑 SAFETY RAIL: ${safetyCheck.reason}`);
+  return {
+    verified: false,
+    confidence: 0,
+    error: safetyCheck.reason,
+    message: safetyCheck.message,
+    safetyTriggered: true,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Result for a question whose date doesn't exist (e.g. "2026-02-30")
+ * @param {Object} parsed - Parsed question carrying invalidDate
+ * @returns {Object} Error result
+ */
+function invalidDateResult(parsed) {
+  return {
+    verified: false,
+    confidence: 0,
+    error: parsed.error,
+    message: `"${parsed.invalidDate}" is not a real calendar date`,
+    suggestion: 'Please check the date (e.g. 2026-01-30 or January 30, 2026)',
+    parsed,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Main oracle function - answer a sports verification question
+ * @param {string} question - Natural language question
+ * @returns {Object} Oracle response
+ */
+async function askOracle(question) {
+  // SAFETY CHECK: Verify we're within limits
+  const safetyCheck = checkSafetyLimits();
+  if (!safetyCheck.safe) return safetyResult(safetyCheck);
+
+  // Player questions ("Did LeBron score 30+?") take their own path
+  const playerQuery = parsePlayerQuestion(question);
+  if (playerQuery && playerQuery.error) {
+    const invalid = invalidDateResult(playerQuery);
+    logQuery(invalid);
+    return invalid;
+  }
+  if (playerQuery) {
+    const result = await verifyPlayerStat(playerQuery);
+    if (result.verified && result.confidence > 0) {
+      result.confidence = applyConfidenceFloor(result.confidence, result.conflict);
+    }
     logQuery(result);
     return result;
   }
 
-  const result = await verifyResult(parsed);
+  const parsed = parseQuestion(question);
+  if (parsed.error) {
+    const invalid = invalidDateResult(parsed);
+    logQuery(invalid);
+    return invalid;
+  }
+
+  const invalid = normalizeParsedTeams(parsed);
+  if (invalid) {
+    logQuery(invalid);
+    return invalid;
+  }
+
+  const result = parsed.seasonQuery
+    ? await answerSeasonQuery(parsed)
+    : await verifyResult(parsed);
 
   // Apply confidence floor if verified
   if (result.verified && result.confidence > 0) {
-    result.confidence = applyConfidenceFloor(result.confidence);
+    result.confidence = applyConfidenceFloor(result.confidence, result.conflict);
+  }
+
+  logQuery(result);
+  return result;
+}
+
+/**
+ * Verify a game from structured fields, skipping the question parser. Same
+ * safety rails, team resolution, confidence floor and logging as askOracle.
+ * @param {Object} query - verifyResult query ({ team, date, opponent?, league?, gameNumber?, startTime?, timezone?, claim? })
+ * @param {Object} options - Verification options (see verifyGame)
+ * @returns {Object} Oracle response
+ */
+async function verifyGameQuery(query, options = {}) {
+  const safetyCheck = checkSafetyLimits();
+  if (!safetyCheck.safe) return safetyResult(safetyCheck);
+
+  const resolved = { ...query };
+  const invalid = normalizeParsedTeams(resolved);
+  if (invalid) {
+    logQuery(invalid);
+    return invalid;
+  }
+
+  const result = await verifyResult(resolved, options);
+  if (result.verified && result.confidence > 0) {
+    result.confidence = applyConfidenceFloor(result.confidence, result.conflict);
   }
 
   logQuery(result);
@@ -428,14 +1251,28 @@ async function askOracle(question) {
 // Export for use as a module
 module.exports = {
   askOracle,
+  verifyGameQuery,
   verifyResult,
+  verifyPlayerStat,
+  getTeamRecord,
+  getStanding,
+  getHeadToHead,
   parseQuestion,
+  parsePlayerQuestion,
   querySportsDB,
+  registerSource,
+  getSources,
+  CLAIM_TYPES,
+  VERDICTS,
+  GAME_STATUS,
+  SEASON_QUERY_TYPES,
   // Safety and utility exports
   normalizeTeamName,
+  normalizeParsedTeams,
+  resolveTeam,
+  loadTeamRegistry,
   checkSafetyLimits,
-  SAFETY_LIMITS,
-  TEAM_ALIASES
+  SAFETY_LIMITS
 };
 
 // CLI usage
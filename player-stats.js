@@ -0,0 +1,248 @@
+/**
+ * Player Stat Queries
+ *
+ * Natural language parsing and box-score helpers for player-level questions
+ * like "Did LeBron score 30+ against the Raptors?" or
+ * "How many passing yards did Mahomes have in week 12?".
+ */
+
+const { resolveTeam, findLeagueInText } = require('./team-registry');
+const { parseDate } = require('./date-parser');
+const { VERDICTS } = require('./claims');
+
+// Spoken stat names => box-score keys (longest phrases first)
+const STAT_ALIASES = [
+  ['passing yards', 'passingYards'],
+  ['rushing yards', 'rushingYards'],
+  ['receiving yards', 'receivingYards'],
+  ['touchdown passes', 'passingTouchdowns'],
+  ['passing touchdowns', 'passingTouchdowns'],
+  ['three-pointers', 'threePointFieldGoalsMade'],
+  ['3-pointers', 'threePointFieldGoalsMade'],
+  ['threes', 'threePointFieldGoalsMade'],
+  ['home runs', 'homeRuns'],
+  ['homers', 'homeRuns'],
+  ['points', 'points'],
+  ['pts', 'points'],
+  ['rebounds', 'rebounds'],
+  ['boards', 'rebounds'],
+  ['assists', 'assists'],
+  ['dimes', 'assists'],
+  ['steals', 'steals'],
+  ['blocks', 'blocks'],
+  ['turnovers', 'turnovers'],
+  ['yards', 'totalYards'],
+  ['touchdowns', 'touchdowns'],
+  ['tds', 'touchdowns'],
+  ['receptions', 'receptions'],
+  ['catches', 'receptions'],
+  ['goals', 'goals'],
+  ['saves', 'saves'],
+  ['shots', 'shots'],
+  ['hits', 'hits'],
+  ['rbis', 'RBIs'],
+  ['strikeouts', 'strikeouts'],
+];
+
+const STAT_PATTERN = STAT_ALIASES.map(([phrase]) => phrase.replace(/[-+]/g, '\\$&')).join('|');
+
+// Bare "yards" takes its meaning from the verb ("threw for 300 yards");
+// with no verb it stays total yards
+const YARDS_VERBS = [
+  [/\b(throw|throws|threw|thrown|pass|passes|passed)\b/i, 'passingYards'],
+  [/\b(run|runs|ran|rush|rushes|rushed)\b/i, 'rushingYards'],
+  [/\b(catch|caught|receive|receives|received|receiving)\b/i, 'receivingYards'],
+];
+
+// Threshold wording => comparison operator
+const THRESHOLD_OPERATORS = {
+  'more than': '>',
+  'over': '>',
+  'at least': '>=',
+  'under': '<',
+  'fewer than': '<',
+  'less than': '<',
+  'exactly': '==',
+};
+
+const COMPARATORS = {
+  '>': (value, target) => value > target,
+  '>=': (value, target) => value >= target,
+  '<': (value, target) => value < target,
+  '<=': (value, target) => value <= target,
+  '==': (value, target) => value === target,
+};
+
+// Capitalized words that start questions rather than name players
+const NON_NAME_WORDS = ['Did', 'Does', 'Do', 'How', 'What', 'Who', 'The', 'Will', 'Was', 'Has', 'Had', 'Is', 'In', 'On', 'Against'];
+
+/**
+ * Look up the box-score key for a spoken stat name
+ * @param {string} phrase - Stat phrase (e.g. "boards")
+ * @param {string} question - Full question, to read the verb for bare "yards"
+ * @returns {string|null} Box-score key
+ */
+function statKey(phrase, question = '') {
+  const entry = STAT_ALIASES.find(([alias]) => alias === phrase.toLowerCase());
+  if (!entry) return null;
+  if (entry[1] !== 'totalYards') return entry[1];
+
+  const verb = YARDS_VERBS.find(([pattern]) => pattern.test(question));
+  return verb ? verb[1] : entry[1];
+}
+
+/**
+ * Parse the stat and optional threshold a question asks about
+ * @param {string} question - Natural language question
+ * @returns {Object|null} { stat, threshold, matchedText } or null
+ */
+function parseStatQuery(question) {
+  const comparison = '(more than|over|at least|under|fewer than|less than|exactly)';
+
+  // "30+ points", "at least 10 rebounds", "300 passing yards or more"
+  const numbered = question.match(new RegExp(
+    `\\b(?:${comparison}\\s+)?(\\d+)(\\+)?\\s*(${STAT_PATTERN})\\b(\\s+or (?:more|fewer))?`, 'i'
+  ));
+  if (numbered) {
+    return {
+      stat: statKey(numbered[4], question),
+      threshold: buildThreshold(numbered[1], numbered[3] || numbered[5], parseInt(numbered[2], 10)),
+      matchedText: numbered[0]
+    };
+  }
+
+  // "score 30+", "scored more than 25"
+  const scored = question.match(new RegExp(
+    `\\bscored?\\s+(?:${comparison}\\s+)?(\\d+)(\\+|\\s+or (?:more|fewer))?`, 'i'
+  ));
+  if (scored) {
+    return {
+      stat: 'points',
+      threshold: buildThreshold(scored[1], scored[3], parseInt(scored[2], 10)),
+      matchedText: scored[0]
+    };
+  }
+
+  // "How many rebounds did ..."
+  const howMany = question.match(new RegExp(`\\bhow many\\s+(${STAT_PATTERN})\\b`, 'i'));
+  if (howMany) {
+    return { stat: statKey(howMany[1], question), threshold: null, matchedText: howMany[0] };
+  }
+
+  // "What was LeBron's stat line ..."
+  const statLine = question.match(/\b(stat line|box score|stats)\b/i);
+  if (statLine) {
+    return { stat: null, threshold: null, matchedText: statLine[0] };
+  }
+
+  return null;
+}
+
+/**
+ * Build a threshold from its wording
+ * @param {string} words - Comparison words ("more than", ...) if any
+ * @param {string} suffix - "+", " or more" or " or fewer" if any
+ * @param {number} value - Target value
+ * @returns {Object} { operator, value }
+ */
+function buildThreshold(words, suffix, value) {
+  if (words) {
+    return { operator: THRESHOLD_OPERATORS[words.toLowerCase()], value };
+  }
+  if (suffix && suffix.trim().toLowerCase() === 'or fewer') {
+    return { operator: '<=', value };
+  }
+  // "30 points" and "30+ points" both settle as "at least 30"
+  return { operator: '>=', value };
+}
+
+/**
+ * Parse a player-level question. Returns null when the question is about a
+ * team rather than a player, so the caller can fall back to team parsing.
+ * @param {string} question - Natural language question
+ * @param {Object} options - Parse options (timezone, referenceDate)
+ * @returns {Object|null} Parsed player query
+ */
+function parsePlayerQuestion(question, options = {}) {
+  const statQuery = parseStatQuery(question);
+  if (!statQuery) return null;
+
+  const parsedDate = parseDate(question, options);
+
+  let text = question;
+  for (const phrase of [parsedDate.matchedText, statQuery.matchedText]) {
+    if (phrase) text = text.replace(phrase, ' ');
+  }
+
+  // Opponent follows "against", "vs" or "versus"
+  let opponent = null;
+  const opponentMatch = text.match(/\b(?:against|vs\.?|versus|facing)\s+(?:the\s+)?([A-Z][\w'.-]*(?:\s+[A-Z][\w'.-]*)*)/);
+  if (opponentMatch) {
+    opponent = opponentMatch[1];
+    text = text.replace(opponentMatch[0], ' ');
+  }
+
+  const namePattern = /\b([A-Z][A-Za-z'.-]*(?:\s+[A-Z][A-Za-z'.-]*)*)/g;
+  const names = [];
+  let nameMatch;
+  while ((nameMatch = namePattern.exec(text)) !== null) {
+    const words = nameMatch[1].split(/\s+/).filter(w => !NON_NAME_WORDS.includes(w));
+    if (words.length > 0) names.push(words.join(' ').replace(/'s$/, ''));
+  }
+
+  // The subject must not be a team - "Did the Chiefs score 30?" is a team question
+  const league = findLeagueInText(question);
+  const player = names.find(name => !findLeagueInText(name));
+  if (!player) return null;
+  const asTeam = resolveTeam(player, league);
+  if (asTeam.team || asTeam.error === 'ambiguous_team_name') return null;
+
+  return {
+    type: 'player_stat',
+    player,
+    opponent,
+    league,
+    stat: statQuery.stat,
+    threshold: statQuery.threshold,
+    date: parsedDate.date,
+    dateSource: parsedDate.dateSource,
+    ...(parsedDate.error && { error: parsedDate.error, invalidDate: parsedDate.matchedText }),
+    ...(parsedDate.dateRange && { dateRange: parsedDate.dateRange, week: parsedDate.week }),
+    timezone: parsedDate.timezone,
+    originalQuestion: question
+  };
+}
+
+/**
+ * Find a player's line in a box score
+ * @param {Array<Object>} lines - Box-score lines ({ player, team, stats })
+ * @param {string} playerName - Full or partial player name
+ * @returns {Object|null} Matching line
+ */
+function findPlayerLine(lines, playerName) {
+  const wanted = playerName.toLowerCase();
+  return lines.find(line => line.player.toLowerCase() === wanted) ||
+    lines.find(line => line.player.toLowerCase().includes(wanted)) ||
+    lines.find(line => wanted.includes(line.player.toLowerCase())) ||
+    null;
+}
+
+/**
+ * Check a stat value against a threshold
+ * @param {number} value - Observed stat value
+ * @param {Object} threshold - { operator, value }
+ * @returns {string} VERDICTS value
+ */
+function evaluateThreshold(value, threshold) {
+  const compare = COMPARATORS[threshold.operator];
+  if (!compare || typeof value !== 'number') return VERDICTS.UNDETERMINABLE;
+  return compare(value, threshold.value) ? VERDICTS.TRUE : VERDICTS.FALSE;
+}
+
+module.exports = {
+  parsePlayerQuestion,
+  parseStatQuery,
+  findPlayerLine,
+  evaluateThreshold,
+  STAT_ALIASES
+};
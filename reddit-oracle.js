@@ -8,6 +8,10 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { analyzeSentiment, summarizeSentiment } = require('./sentiment');
+const { aggregateTickers } = require('./tickers');
+const { loadSnapshots, saveSnapshot, computeTrends, TREND_DEFAULTS } = require('./reddit-trends');
+const { cached, CACHE_TTLS } = require('./cache');
 
 // Stats file for dashboard
 const STATS_FILE = path.join(__dirname, 'dashboard', 'reddit-stats.json');
@@ -22,14 +26,60 @@ const SAFETY_LIMITS = {
   maxConsecutiveErrors: 5,     // Circuit breaker
   minConfidenceFloor: 0.5,     // Never report confidence below 0.5
   requestDelayMs: 2000,        // 2 second delay between requests
+  oauthRequestDelayMs: 600,    // Minimum delay with OAuth (Reddit allows ~100/min)
+  maxRetries: 3,               // Retries after a 429
+  maxBackoffMs: 60000,         // Longest wait before a retry
+  maxPostsPerQuery: 500,       // Ceiling for multi-page listings
+  maxPagesPerQuery: 5,         // Ceiling on listing requests per query
+  maxCommentsPerQuery: 500,    // Ceiling for full comment trees
+  maxCommentDepth: 10,         // Deepest reply level returned (top-level comments are depth 0)
+  maxMoreRequests: 5,          // Ceiling on "load more comments" requests per post
+  maxSubredditsPerQuery: 5,    // Ceiling on subreddits in one comparison
 };
 
+// Reddit returns at most 100 posts per listing request
+const PAGE_SIZE = 100;
+
+// Reddit expands at most 100 "more" ids per morechildren request
+const MORE_CHILDREN_BATCH = 100;
+
+// Cache lifetime of a listing, by sort (see cache.js)
+const LISTING_CACHE_KINDS = {
+  hot: 'redditHot',
+  new: 'redditNew',
+  top: 'redditTop',
+};
+
+// Base URL can be overridden to run against a local fixture server
+const REDDIT_BASE_URL = process.env.REDDIT_BASE_URL || 'https://www.reddit.com';
+
+// App-only OAuth (client credentials) is used when both are set; the public
+// .json endpoints stay as the fallback when they aren't or no token can be had
+const REDDIT_CLIENT_ID = process.env.REDDIT_CLIENT_ID;
+const REDDIT_CLIENT_SECRET = process.env.REDDIT_CLIENT_SECRET;
+const REDDIT_TOKEN_URL = process.env.REDDIT_TOKEN_URL || 'https://www.reddit.com/api/v1/access_token';
+const REDDIT_OAUTH_BASE_URL = process.env.REDDIT_OAUTH_BASE_URL || 'https://oauth.reddit.com';
+
+// After a failed token request, stay on the public endpoints this long
+const TOKEN_RETRY_MS = 5 * 60 * 1000;
+
 // User agent is REQUIRED by Reddit
 const USER_AGENT = 'RedditOracle/1.0 (OpenClaw Agent; +https://openclaw.ai)';
 
 // Last request timestamp for rate limiting
 let lastRequestTime = 0;
 
+// Requests waiting for their turn under the rate limit, chained so concurrent
+// callers (batch lanes) go out one delay apart instead of all at once
+let rateLimitQueue = Promise.resolve();
+
+// Latest X-Ratelimit-* reading: { remaining, resetAt }
+let rateLimit = null;
+
+// App-only token: { value, expiresAt }, and when to try again after a failure
+let accessToken = null;
+let tokenRetryAt = 0;
+
 // =============================================================================
 // QUERY TYPES
 // =============================================================================
@@ -40,6 +90,33 @@ const QUERY_TYPES = {
   TOP: 'top',           // Top posts on r/{subreddit}?
   POST: 'post',         // Get specific post details
   SEARCH: 'search',     // Search r/{subreddit} for {keyword}
+  TICKERS: 'tickers',   // What tickers are trending on r/{subreddit}?
+  TRENDS: 'trends',     // What's rising fastest on r/{subreddit}?
+  USER: 'user',         // Tell me about u/{username}
+  COMPARE: 'compare',   // Compare r/{a} and r/{b}
+};
+
+// Posts scanned for ticker questions unless the question asks for a number
+const DEFAULT_TICKER_SCAN = 100;
+
+// Posts fetched per subreddit for comparisons unless the question asks for a number
+const DEFAULT_COMPARE_SCAN = 50;
+
+// Recent submissions and comments fetched for user profiles
+const USER_ACTIVITY_LIMIT = 25;
+
+// Listing snapshotted for trend questions and by the collector
+const SNAPSHOT_SORT = 'hot';
+const SNAPSHOT_SIZE = 100;
+
+// Time windows for "top" listings (Reddit's t= parameter)
+const TOP_PERIODS = {
+  HOUR: 'hour',
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+  YEAR: 'year',
+  ALL: 'all',
 };
 
 // =============================================================================
@@ -133,106 +210,478 @@ function checkSafetyLimits() {
   return { safe: true };
 }
 
-async function enforceRateLimit() {
+// =============================================================================
+// REDDIT HTTP
+// =============================================================================
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait for this request's turn. Callers are served one at a time, each
+ * waiting out the delay after the one before.
+ * @param {boolean} authenticated - Whether the request uses OAuth
+ */
+function enforceRateLimit(authenticated = false) {
+  const turn = rateLimitQueue.then(() => waitForRequestSlot(authenticated));
+  rateLimitQueue = turn.catch(() => {});
+  return turn;
+}
+
+/**
+ * Wait out the request delay. With OAuth, what's left of Reddit's rate limit
+ * window is spread over the time until it resets.
+ * @param {boolean} authenticated - Whether the request uses OAuth
+ */
+async function waitForRequestSlot(authenticated) {
   const now = Date.now();
   const elapsed = now - lastRequestTime;
-  if (elapsed < SAFETY_LIMITS.requestDelayMs) {
-    await new Promise(resolve => setTimeout(resolve, SAFETY_LIMITS.requestDelayMs - elapsed));
+  let wait = (authenticated ? SAFETY_LIMITS.oauthRequestDelayMs : SAFETY_LIMITS.requestDelayMs) - elapsed;
+
+  if (rateLimit && rateLimit.resetAt > now) {
+    const untilReset = rateLimit.resetAt - now;
+    if (rateLimit.remaining < 1) {
+      wait = Math.max(wait, untilReset);
+    } else if (authenticated) {
+      wait = Math.max(wait, untilReset / rateLimit.remaining - elapsed);
+    }
   }
+
+  if (wait > 0) await sleep(wait);
   lastRequestTime = Date.now();
+  if (rateLimit) rateLimit.remaining--;
 }
 
-// =============================================================================
-// REDDIT API FUNCTIONS
-// =============================================================================
+/**
+ * Record Reddit's X-Ratelimit-Remaining / X-Ratelimit-Reset headers
+ * @param {Object} headers - Response headers
+ */
+function readRateLimitHeaders(headers) {
+  const remaining = parseFloat(headers?.['x-ratelimit-remaining']);
+  const reset = parseFloat(headers?.['x-ratelimit-reset']);
+  if (isNaN(remaining) || isNaN(reset)) return;
+  rateLimit = { remaining, resetAt: Date.now() + reset * 1000 };
+}
 
 /**
- * Fetch subreddit posts
- * @param {string} subreddit - Subreddit name (without r/)
- * @param {string} sort - Sort type (hot, new, top)
- * @param {number} limit - Number of posts (max 100)
- * @returns {Object} Posts data
+ * How long to back off before retrying a 429
+ * @param {Object} headers - Response headers
+ * @param {number} retry - Retries made so far
+ * @returns {number} Milliseconds
  */
-async function fetchSubreddit(subreddit, sort = 'hot', limit = 10) {
-  await enforceRateLimit();
+function retryDelay(headers, retry) {
+  const retryAfter = parseFloat(headers?.['retry-after']);
+  const reset = parseFloat(headers?.['x-ratelimit-reset']);
+  const seconds = !isNaN(retryAfter) ? retryAfter : !isNaN(reset) ? reset : 2 ** retry * 2;
+  return Math.min(seconds * 1000, SAFETY_LIMITS.maxBackoffMs);
+}
+
+/**
+ * Get an app-only access token, reusing it until shortly before it expires
+ * @param {boolean} refresh - Discard the cached token (after a 401)
+ * @returns {string|null} Token, or null to use the public endpoints
+ */
+async function getAccessToken(refresh = false) {
+  if (!REDDIT_CLIENT_ID || !REDDIT_CLIENT_SECRET) return null;
+  if (!refresh && accessToken && Date.now() < accessToken.expiresAt) return accessToken.value;
+  if (!refresh && Date.now() < tokenRetryAt) return null;
 
   try {
-    const url = `https://www.reddit.com/r/${subreddit}/${sort}.json?limit=${limit}`;
-    const response = await axios.get(url, {
-      headers: { 'User-Agent': USER_AGENT },
+    const response = await axios.post(REDDIT_TOKEN_URL, 'grant_type=client_credentials', {
+      auth: { username: REDDIT_CLIENT_ID, password: REDDIT_CLIENT_SECRET },
+      headers: { 'User-Agent': USER_AGENT, 'Content-Type': 'application/x-www-form-urlencoded' },
       timeout: 10000
     });
+    const { access_token: value, expires_in: expiresIn } = response.data || {};
+    if (!value) throw new Error(response.data?.error || 'no access token in response');
 
-    if (!response.data || !response.data.data) {
-      return { error: 'invalid_response', source: 'reddit' };
+    // Refresh a minute early so no request goes out with an expiring token
+    accessToken = { value, expiresAt: Date.now() + Math.max((expiresIn || 3600) - 60, 0) * 1000 };
+    return value;
+  } catch (error) {
+    console.error(`Reddit OAuth token request failed, using public endpoints: ${error.message}`);
+    accessToken = null;
+    tokenRetryAt = Date.now() + TOKEN_RETRY_MS;
+    return null;
+  }
+}
+
+/**
+ * GET a Reddit JSON endpoint through the rate limiter, with OAuth when
+ * configured. Retries 429s after backing off; other errors are thrown.
+ * @param {string} pathname - Path and query (e.g. "/r/nba/hot.json?limit=10")
+ * @returns {Object} Response body
+ */
+async function redditGet(pathname) {
+  let token = await getAccessToken();
+  let refreshed = false;
+  let retries = 0;
+
+  for (;;) {
+    await enforceRateLimit(Boolean(token));
+
+    try {
+      const response = await axios.get(`${token ? REDDIT_OAUTH_BASE_URL : REDDIT_BASE_URL}${pathname}`, {
+        headers: { 'User-Agent': USER_AGENT, ...(token && { Authorization: `Bearer ${token}` }) },
+        timeout: 10000
+      });
+      readRateLimitHeaders(response.headers);
+      return response.data;
+    } catch (error) {
+      readRateLimitHeaders(error.response?.headers);
+      const status = error.response?.status;
+
+      // Expired or revoked token: refresh once (falling back to public endpoints if that fails)
+      if (status === 401 && token && !refreshed) {
+        refreshed = true;
+        token = await getAccessToken(true);
+        continue;
+      }
+
+      if (status === 429 && retries < SAFETY_LIMITS.maxRetries) {
+        await sleep(retryDelay(error.response.headers, retries));
+        retries++;
+        continue;
+      }
+
+      throw error;
     }
+  }
+}
 
-    const posts = response.data.data.children.map(child => ({
-      id: child.data.id,
-      title: child.data.title,
-      author: child.data.author,
-      score: child.data.score,
-      upvoteRatio: child.data.upvote_ratio,
-      numComments: child.data.num_comments,
-      url: child.data.url,
-      permalink: `https://reddit.com${child.data.permalink}`,
-      createdUtc: child.data.created_utc,
-      isSelf: child.data.is_self,
-      selftext: child.data.selftext ? child.data.selftext.substring(0, 500) : null,
-      domain: child.data.domain,
-      thumbnail: child.data.thumbnail
-    }));
 
-    return {
-      success: true,
-      source: 'reddit',
-      subreddit,
-      sort,
-      posts,
-      count: posts.length,
-      after: response.data.data.after // For pagination
-    };
-  } catch (error) {
-    if (error.response?.status === 404) {
-      return { error: 'subreddit_not_found', source: 'reddit' };
+// =============================================================================
+// REDDIT API FUNCTIONS
+// =============================================================================
+
+/**
+ * Convert a Reddit listing child to a post record
+ * @param {Object} data - Listing child data
+ * @returns {Object} Post
+ */
+function toPost(data) {
+  return {
+    id: data.id,
+    title: data.title,
+    author: data.author,
+    score: data.score,
+    upvoteRatio: data.upvote_ratio,
+    numComments: data.num_comments,
+    url: data.url,
+    permalink: `https://reddit.com${data.permalink}`,
+    createdUtc: data.created_utc,
+    isSelf: data.is_self,
+    selftext: data.selftext ? data.selftext.substring(0, 500) : null,
+    domain: data.domain,
+    thumbnail: data.thumbnail,
+    crosspostParent: data.crosspost_parent || null,
+    ...postFlags(data),
+    sentiment: itemSentiment(data.title, data.selftext)
+  };
+}
+
+/**
+ * Content flags of a post
+ * @param {Object} data - Listing child data
+ * @returns {Object} { nsfw, spoiler, stickied, locked, removed, flair }
+ */
+function postFlags(data) {
+  return {
+    nsfw: Boolean(data.over_18),
+    spoiler: Boolean(data.spoiler),
+    stickied: Boolean(data.stickied),
+    locked: Boolean(data.locked),
+    removed: data.removed_by_category || null, // "moderator", "deleted", "automod_filtered", ...
+    flair: data.link_flair_text || null
+  };
+}
+
+// =============================================================================
+// CONTENT FILTERS
+// =============================================================================
+
+/**
+ * Check content filters from a structured request
+ * @param {Object} filters - { excludeNsfw, excludeSpoilers, excludeStickied, excludeRemoved, flair }
+ * @returns {string|null} Problem description or null if valid
+ */
+function validateFilters(filters) {
+  if (filters === undefined || filters === null) return null;
+  if (typeof filters !== 'object' || Array.isArray(filters)) return 'filters must be an object';
+  for (const key of ['excludeNsfw', 'excludeSpoilers', 'excludeStickied', 'excludeRemoved']) {
+    if (filters[key] !== undefined && typeof filters[key] !== 'boolean') return `filters.${key} must be a boolean`;
+  }
+  const flairs = [].concat(filters.flair ?? []);
+  if (flairs.some(f => typeof f !== 'string' || !f.trim())) {
+    return 'filters.flair must be a flair name or a list of them';
+  }
+  return null;
+}
+
+/**
+ * Whether a post passes the content filters
+ * @param {Object} post - Post with content flags
+ * @param {Object} filters - Content filters
+ * @returns {boolean} True to keep the post
+ */
+function passesFilters(post, filters) {
+  if (!filters) return true;
+  if (filters.excludeNsfw && post.nsfw) return false;
+  if (filters.excludeSpoilers && post.spoiler) return false;
+  if (filters.excludeStickied && post.stickied) return false;
+  if (filters.excludeRemoved && post.removed) return false;
+  if (filters.flair) {
+    const wanted = [].concat(filters.flair).map(f => f.trim().toLowerCase());
+    if (!post.flair || !wanted.includes(post.flair.trim().toLowerCase())) return false;
+  }
+  return true;
+}
+
+/**
+ * Whether any content filter is set
+ * @param {Object} filters - Content filters
+ * @returns {boolean} True if some filter applies
+ */
+function hasFilters(filters) {
+  return Boolean(filters) && Object.values(filters).some(v => v !== undefined && v !== false);
+}
+
+/**
+ * Score a post or comment, keeping just the fields worth returning per item
+ * @param {...string} texts - Title, selftext or comment body
+ * @returns {Object} { score, label }
+ */
+function itemSentiment(...texts) {
+  const { score, label } = analyzeSentiment(texts.filter(Boolean).join('\n'));
+  return { score, label };
+}
+
+/**
+ * Map a failed Reddit request to an error code
+ * @param {Error} error - Axios error
+ * @param {string} subject - What was requested ('subreddit', 'user' or 'post')
+ * @returns {string} Error code
+ */
+function redditError(error, subject = 'subreddit') {
+  if (error.response?.status === 404) return `${subject}_not_found`;
+  // Reddit answers 403 for private subreddits, suspended accounts' listings
+  // and posts in subreddits we can't read
+  if (error.response?.status === 403) {
+    return { user: 'user_suspended', post: 'forbidden' }[subject] || 'subreddit_private';
+  }
+  if (error.response?.status === 429) return 'rate_limited';
+  // Server errors, timeouts and dropped connections
+  return 'reddit_unavailable';
+}
+
+/**
+ * Fetch subreddit posts, following the listing cursor across pages
+ * @param {string} subreddit - Subreddit name (without r/)
+ * @param {string} sort - Sort type (hot, new, top)
+ * @param {number} limit - Number of posts (capped at SAFETY_LIMITS.maxPostsPerQuery)
+ * @param {Object} options - Listing options
+ * @param {string} options.time - Time window for top listings (hour, day, week, month, year, all)
+ * @param {string} options.after - Cursor to continue from a previous call
+ * @param {Object} options.filters - Content filters; limit counts posts that pass them
+ * @param {boolean} options.fresh - Skip the response cache
+ * @returns {Object} Posts data, with cache ({ hit, ageSeconds, storedAt }) unless fresh
+ */
+async function fetchSubreddit(subreddit, sort = 'hot', limit = 10, options = {}) {
+  const load = () => loadSubreddit(subreddit, sort, limit, options);
+  if (options.fresh) return load();
+  return cachedReddit(
+    LISTING_CACHE_KINDS[sort] || LISTING_CACHE_KINDS.hot,
+    [subreddit.toLowerCase(), sort, limit, options.time, options.after, options.filters],
+    load
+  );
+}
+
+/**
+ * Run a Reddit fetch through the response cache. Errors and partial results
+ * aren't cached.
+ * @param {string} kind - CACHE_TTLS key
+ * @param {Array} keyParts - Values that identify the request
+ * @param {Function} fetch - Async function returning the data
+ * @returns {Object} The data, with cache ({ hit, ageSeconds, storedAt })
+ */
+async function cachedReddit(kind, keyParts, fetch) {
+  const { value, cache } = await cached(kind, JSON.stringify(keyParts), fetch,
+    data => (data.error || data.partial ? 0 : CACHE_TTLS[kind]));
+  return { ...value, cache };
+}
+
+/**
+ * Fetch subreddit posts from Reddit, bypassing the cache
+ * @param {string} subreddit - Subreddit name
+ * @param {string} sort - Sort type
+ * @param {number} limit - Number of posts
+ * @param {Object} options - fetchSubreddit options
+ * @returns {Object} Posts data
+ */
+async function loadSubreddit(subreddit, sort, limit, options) {
+  const wanted = Math.min(limit, SAFETY_LIMITS.maxPostsPerQuery);
+  const posts = [];
+  const seen = new Set();
+  let after = options.after || null;
+  let pages = 0;
+  let filtered = 0;
+
+  do {
+    const params = new URLSearchParams({ limit: String(Math.min(wanted - posts.length, PAGE_SIZE)) });
+    if (sort === QUERY_TYPES.TOP && options.time) params.set('t', options.time);
+    if (after) params.set('after', after);
+
+    let listing;
+    try {
+      listing = (await redditGet(`/r/${subreddit}/${sort}.json?${params}`))?.data;
+    } catch (error) {
+      if (pages === 0) return { error: redditError(error), source: 'reddit' };
+      // Keep what earlier pages returned
+      return listingResult(subreddit, sort, options, { posts, after, pages, filtered, pageError: redditError(error) });
     }
-    if (error.response?.status === 403) {
-      return { error: 'subreddit_private', source: 'reddit' };
+
+    if (!listing || !Array.isArray(listing.children)) {
+      if (pages === 0) return { error: 'invalid_response', source: 'reddit' };
+      return listingResult(subreddit, sort, options, { posts, after, pages, filtered, pageError: 'invalid_response' });
     }
-    if (error.response?.status === 429) {
-      return { error: 'rate_limited', source: 'reddit' };
+
+    // Listings shift while paging, so a post can appear on two pages
+    for (const child of listing.children) {
+      if (seen.has(child.data.id)) continue;
+      seen.add(child.data.id);
+      const post = toPost(child.data);
+      if (passesFilters(post, options.filters)) {
+        posts.push(post);
+      } else {
+        filtered++;
+      }
     }
-    return { error: error.message, source: 'reddit' };
-  }
+
+    after = listing.after;
+    pages++;
+  } while (after && posts.length < wanted && pages < SAFETY_LIMITS.maxPagesPerQuery);
+
+  return listingResult(subreddit, sort, options, { posts: posts.slice(0, wanted), after, pages, filtered });
+}
+
+/**
+ * Build a listing response
+ * @param {string} subreddit - Subreddit name
+ * @param {string} sort - Sort type
+ * @param {Object} options - fetchSubreddit options (time, filters)
+ * @param {Object} page - Paging state
+ * @param {Array<Object>} page.posts - Collected posts
+ * @param {string|null} page.after - Cursor for the next page
+ * @param {number} page.pages - Pages fetched
+ * @param {number} page.filtered - Posts dropped by the content filters
+ * @param {string} page.pageError - Error that stopped paging early, if any
+ * @returns {Object} Posts data
+ */
+function listingResult(subreddit, sort, options, page) {
+  const { posts, after, pages, filtered, pageError } = page;
+  return {
+    success: true,
+    source: 'reddit',
+    subreddit,
+    sort,
+    ...(sort === QUERY_TYPES.TOP && options.time && { time: options.time }),
+    posts,
+    count: posts.length,
+    pages,
+    after, // Pass back as options.after to continue
+    ...(hasFilters(options.filters) && { filters: options.filters, filtered }),
+    ...(pageError && { partial: true, pageError })
+  };
 }
 
 /**
  * Fetch a specific post with comments
  * @param {string} subreddit - Subreddit name
  * @param {string} postId - Post ID
+ * @param {Object} options - Comment options
+ * @param {boolean} options.tree - Return the full threaded tree instead of the first 20 top-level comments
+ * @param {number} options.maxDepth - Deepest reply level in the tree (capped at SAFETY_LIMITS.maxCommentDepth)
+ * @param {number} options.maxComments - Comments in the tree (capped at SAFETY_LIMITS.maxCommentsPerQuery)
+ * @returns {Object} Post data with comments, and cache ({ hit, ageSeconds, storedAt })
+ */
+async function fetchPost(subreddit, postId, options = {}) {
+  return cachedReddit(
+    'redditPost',
+    [subreddit.toLowerCase(), postId, Boolean(options.tree), options.maxDepth, options.maxComments],
+    () => loadPost(subreddit, postId, options)
+  );
+}
+
+/**
+ * Fetch a post with comments from Reddit, bypassing the cache
+ * @param {string} subreddit - Subreddit name
+ * @param {string} postId - Post ID
+ * @param {Object} options - fetchPost options
  * @returns {Object} Post data with comments
  */
-async function fetchPost(subreddit, postId) {
-  await enforceRateLimit();
+async function loadPost(subreddit, postId, options) {
+  const thread = options.tree ? newThread(options) : null;
 
   try {
-    const url = `https://www.reddit.com/r/${subreddit}/comments/${postId}.json`;
-    const response = await axios.get(url, {
-      headers: { 'User-Agent': USER_AGENT },
-      timeout: 10000
-    });
+    let url = `/r/${subreddit}/comments/${postId}.json`;
+    if (thread) {
+      // Reddit counts depth from 1, the tree counts top-level comments as 0
+      const params = new URLSearchParams({
+        limit: String(thread.maxComments),
+        depth: String(thread.maxDepth + 1),
+        raw_json: '1'
+      });
+      url += `?${params}`;
+    }
+
+    const body = await redditGet(url);
 
-    if (!response.data || !Array.isArray(response.data)) {
+    if (!body || !Array.isArray(body)) {
       return { error: 'invalid_response', source: 'reddit' };
     }
 
-    const postData = response.data[0]?.data?.children?.[0]?.data;
-    const commentsData = response.data[1]?.data?.children || [];
+    const postData = body[0]?.data?.children?.[0]?.data;
+    const commentsData = body[1]?.data?.children || [];
 
     if (!postData) {
       return { error: 'post_not_found', source: 'reddit' };
     }
 
+    const post = {
+      id: postData.id,
+      title: postData.title,
+      author: postData.author,
+      score: postData.score,
+      upvoteRatio: postData.upvote_ratio,
+      numComments: postData.num_comments,
+      selftext: postData.selftext,
+      url: postData.url,
+      permalink: `https://reddit.com${postData.permalink}`,
+      createdUtc: postData.created_utc,
+      sentiment: itemSentiment(postData.title, postData.selftext)
+    };
+
+    if (thread) {
+      const linkName = postData.name || `t3_${postData.id}`;
+      addComments(commentsData, null, 0, thread);
+      const moreRequests = await expandMoreComments(linkName, thread);
+
+      return {
+        success: true,
+        source: 'reddit',
+        post,
+        comments: thread.comments,
+        commentCount: thread.count,
+        thread: {
+          maxDepth: thread.maxDepth,
+          maxComments: thread.maxComments,
+          moreRequests,
+          moreRemaining: thread.stubs.reduce((sum, stub) => sum + (stub.ids.length || stub.count), 0),
+          truncated: thread.truncated || thread.stubs.length > 0,
+          ...(thread.moreError && { partial: true, moreError: thread.moreError })
+        }
+      };
+    }
+
     const comments = commentsData
       .filter(c => c.kind === 't1')
       .slice(0, 20)
@@ -241,62 +690,210 @@ async function fetchPost(subreddit, postId) {
         author: c.data.author,
         body: c.data.body?.substring(0, 500),
         score: c.data.score,
-        createdUtc: c.data.created_utc
+        createdUtc: c.data.created_utc,
+        sentiment: itemSentiment(c.data.body)
       }));
 
     return {
       success: true,
       source: 'reddit',
-      post: {
-        id: postData.id,
-        title: postData.title,
-        author: postData.author,
-        score: postData.score,
-        upvoteRatio: postData.upvote_ratio,
-        numComments: postData.num_comments,
-        selftext: postData.selftext,
-        url: postData.url,
-        permalink: `https://reddit.com${postData.permalink}`,
-        createdUtc: postData.created_utc
-      },
+      post,
       comments,
       commentCount: comments.length
     };
   } catch (error) {
-    return { error: error.message, source: 'reddit' };
+    return { error: redditError(error, 'post'), source: 'reddit' };
   }
 }
 
+/**
+ * Start an empty comment tree
+ * @param {Object} options - fetchPost options
+ * @returns {Object} Tree state
+ */
+function newThread(options) {
+  return {
+    maxDepth: Math.min(options.maxDepth ?? SAFETY_LIMITS.maxCommentDepth, SAFETY_LIMITS.maxCommentDepth),
+    maxComments: Math.min(options.maxComments || SAFETY_LIMITS.maxCommentsPerQuery, SAFETY_LIMITS.maxCommentsPerQuery),
+    comments: [],
+    byName: new Map(), // "t1_abc" -> comment, for attaching expanded replies
+    stubs: [],         // "more" entries still to expand
+    count: 0,
+    truncated: false
+  };
+}
+
+/**
+ * Convert a Reddit comment to a tree node
+ * @param {Object} data - Comment data
+ * @param {number} depth - Reply level (0 for top-level comments)
+ * @returns {Object} Comment
+ */
+function toComment(data, depth) {
+  return {
+    id: data.id,
+    parentId: data.parent_id?.startsWith('t1_') ? data.parent_id.slice(3) : null,
+    depth,
+    author: data.author,
+    authorFlair: data.author_flair_text || null,
+    body: data.body,
+    score: data.score,
+    controversiality: data.controversiality || 0,
+    createdUtc: data.created_utc,
+    sentiment: itemSentiment(data.body),
+    replies: []
+  };
+}
+
+/**
+ * Add comments and their nested replies to the tree, queueing "more" stubs
+ * @param {Array<Object>} children - Listing children (t1 comments and more stubs)
+ * @param {Object|null} parent - Parent comment, or null for top-level
+ * @param {number} depth - Reply level of the children
+ * @param {Object} thread - Tree state
+ */
+function addComments(children, parent, depth, thread) {
+  for (const child of children) {
+    if (depth > thread.maxDepth) {
+      thread.truncated = true;
+      return;
+    }
+
+    if (child.kind === 'more') {
+      // An empty id list is a "continue this thread" link, which morechildren can't expand
+      thread.stubs.push({ parent, depth, ids: [...(child.data.children || [])], count: child.data.count || 0 });
+      continue;
+    }
+    if (child.kind !== 't1') continue;
+
+    if (thread.count >= thread.maxComments) {
+      thread.truncated = true;
+      return;
+    }
+
+    const comment = toComment(child.data, depth);
+    (parent ? parent.replies : thread.comments).push(comment);
+    thread.byName.set(child.data.name || `t1_${child.data.id}`, comment);
+    thread.count++;
+
+    // Reddit sends "" rather than a listing when there are no replies
+    const replies = child.data.replies?.data?.children;
+    if (replies) addComments(replies, comment, depth + 1, thread);
+  }
+}
+
+/**
+ * Expand queued "more" stubs through /api/morechildren
+ * @param {string} linkName - Post fullname ("t3_abc")
+ * @param {Object} thread - Tree state
+ * @returns {number} Requests made
+ */
+async function expandMoreComments(linkName, thread) {
+  let requests = 0;
+
+  while (thread.stubs.length > 0 && thread.count < thread.maxComments &&
+         requests < SAFETY_LIMITS.maxMoreRequests) {
+    const stub = thread.stubs.find(s => s.ids.length > 0);
+    if (!stub) break;
+
+    const ids = stub.ids.splice(0, MORE_CHILDREN_BATCH);
+    if (stub.ids.length === 0) thread.stubs.splice(thread.stubs.indexOf(stub), 1);
+
+    const params = new URLSearchParams({
+      api_type: 'json',
+      link_id: linkName,
+      children: ids.join(','),
+      limit_children: 'false',
+      raw_json: '1'
+    });
+
+    let things;
+    try {
+      things = (await redditGet(`/api/morechildren.json?${params}`))?.json?.data?.things;
+    } catch (error) {
+      // Keep the comments fetched so far
+      thread.moreError = redditError(error);
+      break;
+    }
+    requests++;
+
+    if (!Array.isArray(things)) {
+      thread.moreError = 'invalid_response';
+      break;
+    }
+
+    // Expanded comments arrive as a flat list, parents before their replies
+    for (const thing of things) {
+      const parentName = thing.data?.parent_id;
+      const parent = parentName === linkName ? null : thread.byName.get(parentName);
+      // Parent was cut by the depth or count limit
+      if (parent === undefined) continue;
+      addComments([thing], parent, parent ? parent.depth + 1 : 0, thread);
+    }
+  }
+
+  return requests;
+}
+
+/**
+ * Flatten a comment tree into a list
+ * @param {Array<Object>} comments - Comments, possibly with nested replies
+ * @returns {Array<Object>} Every comment in the tree
+ */
+function flattenComments(comments) {
+  return comments.flatMap(c => [c, ...flattenComments(c.replies || [])]);
+}
+
 /**
  * Search a subreddit
  * @param {string} subreddit - Subreddit name
  * @param {string} query - Search query
+ * @param {number} limit - Number of results (before content filters)
+ * @param {Object} options - Search options
+ * @param {Object} options.filters - Content filters
+ * @param {string} options.sort - Result order (relevance, new, top, comments)
+ * @param {string} options.time - Time window (hour, day, week, month, year, all)
+ * @returns {Object} Search results, with cache ({ hit, ageSeconds, storedAt })
+ */
+async function searchSubreddit(subreddit, query, limit = 10, options = {}) {
+  return cachedReddit(
+    'redditSearch',
+    [subreddit.toLowerCase(), query, limit, options.sort, options.time, options.filters],
+    () => loadSearch(subreddit, query, limit, options)
+  );
+}
+
+/**
+ * Search a subreddit on Reddit, bypassing the cache
+ * @param {string} subreddit - Subreddit name
+ * @param {string} query - Search query
  * @param {number} limit - Number of results
+ * @param {Object} options - searchSubreddit options
  * @returns {Object} Search results
  */
-async function searchSubreddit(subreddit, query, limit = 10) {
-  await enforceRateLimit();
-
+async function loadSearch(subreddit, query, limit, options) {
   try {
-    const url = `https://www.reddit.com/r/${subreddit}/search.json?q=${encodeURIComponent(query)}&restrict_sr=on&limit=${limit}`;
-    const response = await axios.get(url, {
-      headers: { 'User-Agent': USER_AGENT },
-      timeout: 10000
-    });
+    const params = new URLSearchParams({ q: query, restrict_sr: 'on', limit: String(limit) });
+    if (options.sort) params.set('sort', options.sort);
+    if (options.time) params.set('t', options.time);
+    const body = await redditGet(`/r/${subreddit}/search.json?${params}`);
 
-    if (!response.data || !response.data.data) {
+    if (!body || !body.data) {
       return { error: 'invalid_response', source: 'reddit' };
     }
 
-    const posts = response.data.data.children.map(child => ({
+    const results = body.data.children.map(child => ({
       id: child.data.id,
       title: child.data.title,
       author: child.data.author,
       score: child.data.score,
       numComments: child.data.num_comments,
       permalink: `https://reddit.com${child.data.permalink}`,
-      createdUtc: child.data.created_utc
+      createdUtc: child.data.created_utc,
+      ...postFlags(child.data),
+      sentiment: itemSentiment(child.data.title, child.data.selftext)
     }));
+    const posts = results.filter(post => passesFilters(post, options.filters));
 
     return {
       success: true,
@@ -304,17 +901,382 @@ async function searchSubreddit(subreddit, query, limit = 10) {
       subreddit,
       query,
       posts,
-      count: posts.length
+      count: posts.length,
+      ...(hasFilters(options.filters) && { filters: options.filters, filtered: results.length - posts.length })
     };
   } catch (error) {
-    return { error: error.message, source: 'reddit' };
+    return { error: redditError(error), source: 'reddit' };
+  }
+}
+
+/**
+ * Engagement metrics for a listing
+ * @param {Array<Object>} posts - Posts (at least one)
+ * @returns {Object} { totalScore, totalComments, avgScore, avgComments, avgUpvoteRatio, engagement, sentiment }
+ */
+function engagementMetrics(posts) {
+  const totalScore = posts.reduce((sum, p) => sum + p.score, 0);
+  const totalComments = posts.reduce((sum, p) => sum + p.numComments, 0);
+  const avgUpvoteRatio = posts.reduce((sum, p) => sum + (p.upvoteRatio || 0.5), 0) / posts.length;
+
+  return {
+    totalScore,
+    totalComments,
+    avgScore: Math.round(totalScore / posts.length),
+    avgComments: Math.round(totalComments / posts.length),
+    avgUpvoteRatio: avgUpvoteRatio.toFixed(2),
+    engagement: totalScore + totalComments * 2, // Simple engagement formula
+    sentiment: summarizeSentiment(posts)
+  };
+}
+
+// =============================================================================
+// COMPARISONS
+// =============================================================================
+
+/**
+ * Fetch several subreddits and compare them side by side
+ * @param {Array<string>} subreddits - Subreddit names (capped at SAFETY_LIMITS.maxSubredditsPerQuery)
+ * @param {string} sort - Sort type (hot, new, top)
+ * @param {number} limit - Posts per subreddit
+ * @param {Object} options - Listing options (time)
+ * @returns {Object} { subreddits, ranking, overlap }
+ */
+async function compareSubreddits(subreddits, sort = 'hot', limit = DEFAULT_COMPARE_SCAN, options = {}) {
+  const names = subreddits.slice(0, SAFETY_LIMITS.maxSubredditsPerQuery);
+  const listings = [];
+
+  // One at a time, so every page goes through the rate limiter
+  for (const name of names) {
+    listings.push({ name, listing: await fetchSubreddit(name, sort, limit, options) });
+  }
+
+  const fetched = listings.filter(l => !l.listing.error && l.listing.posts.length > 0);
+  if (fetched.length === 0) {
+    return { error: listings[0]?.listing.error || 'no_posts', source: 'reddit' };
+  }
+
+  const compared = listings.map(({ name, listing }) => listing.error
+    ? { subreddit: name, error: listing.error }
+    : {
+      subreddit: name,
+      count: listing.posts.length,
+      metrics: listing.posts.length > 0 ? engagementMetrics(listing.posts) : null,
+      topPost: listing.posts[0]
+        ? { id: listing.posts[0].id, title: listing.posts[0].title, score: listing.posts[0].score, permalink: listing.posts[0].permalink }
+        : null,
+      ...(listing.partial && { partial: true })
+    });
+
+  const withMetrics = compared.filter(c => c.metrics);
+  const rankBy = value => [...withMetrics]
+    .sort((a, b) => value(b) - value(a))
+    .map(c => c.subreddit);
+
+  return {
+    success: true,
+    source: 'reddit',
+    sort,
+    ...(sort === QUERY_TYPES.TOP && options.time && { time: options.time }),
+    subreddits: compared,
+    ranking: {
+      engagement: rankBy(c => c.metrics.engagement),
+      avgScore: rankBy(c => c.metrics.avgScore),
+      avgComments: rankBy(c => c.metrics.avgComments),
+      sentiment: rankBy(c => c.metrics.sentiment.average)
+    },
+    leader: rankBy(c => c.metrics.engagement)[0],
+    overlap: crosspostOverlap(fetched),
+    ...(subreddits.length > names.length && { skipped: subreddits.slice(names.length) })
+  };
+}
+
+/**
+ * Find links posted to more than one of the compared subreddits
+ * @param {Array<Object>} listings - [{ name, listing }]
+ * @returns {Array<Object>} [{ link, title, subreddits, posts }] by number of subreddits
+ */
+function crosspostOverlap(listings) {
+  const byLink = new Map();
+
+  // Link posts match on the URL, self posts on their id
+  const ownKeys = new Map();
+  for (const { listing } of listings) {
+    for (const post of listing.posts) {
+      ownKeys.set(post.id, !post.isSelf && post.url
+        ? post.url.replace(/^https?:\/\/(www\.)?/i, '').replace(/\/+$/, '')
+        : `t3_${post.id}`);
+    }
+  }
+
+  for (const { name, listing } of listings) {
+    for (const post of listing.posts) {
+      // Crossposts group with their original
+      const parentId = post.crosspostParent?.replace(/^t3_/, '');
+      const link = parentId ? ownKeys.get(parentId) || `t3_${parentId}` : ownKeys.get(post.id);
+      if (!byLink.has(link)) byLink.set(link, { link, title: post.title, posts: [] });
+      byLink.get(link).posts.push({ subreddit: name, id: post.id, score: post.score, permalink: post.permalink });
+    }
+  }
+
+  return [...byLink.values()]
+    .map(entry => ({ ...entry, subreddits: [...new Set(entry.posts.map(p => p.subreddit))] }))
+    .filter(entry => entry.subreddits.length > 1)
+    .sort((a, b) => b.subreddits.length - a.subreddits.length ||
+      b.posts.reduce((sum, p) => sum + p.score, 0) - a.posts.reduce((sum, p) => sum + p.score, 0));
+}
+
+// =============================================================================
+// USER PROFILES
+// =============================================================================
+
+/**
+ * Tell a shadowbanned account from one that never existed. Both 404 on
+ * about.json, but a shadowbanned name is still taken. Deleted accounts also
+ * keep their name, so they read as shadowbanned too.
+ * @param {string} username - Username
+ * @returns {string} Error code
+ */
+async function missingUserError(username) {
+  try {
+    const available = await redditGet(`/api/username_available.json?user=${encodeURIComponent(username)}`);
+    return available === false ? 'user_shadowbanned' : 'user_not_found';
+  } catch (error) {
+    return 'user_not_found';
+  }
+}
+
+/**
+ * Fetch a user's profile, recent submissions and comments
+ * @param {string} username - Username (without u/)
+ * @param {number} limit - Recent submissions and comments to fetch (each)
+ * @returns {Object} { user, submissions, comments, activeSubreddits }
+ */
+async function fetchUser(username, limit = USER_ACTIVITY_LIMIT) {
+  let about;
+  try {
+    about = (await redditGet(`/user/${username}/about.json`))?.data;
+  } catch (error) {
+    const code = redditError(error, 'user');
+    return { error: code === 'user_not_found' ? await missingUserError(username) : code, source: 'reddit' };
+  }
+
+  if (!about || !about.name) {
+    return { error: 'invalid_response', source: 'reddit' };
+  }
+
+  // Suspended accounts still answer about.json, with little more than the flag
+  if (about.is_suspended) {
+    return { error: 'user_suspended', source: 'reddit', username: about.name };
+  }
+
+  const createdUtc = about.created_utc;
+  const user = {
+    name: about.name,
+    id: about.id,
+    createdUtc,
+    accountAgeDays: createdUtc ? Math.floor((Date.now() / 1000 - createdUtc) / 86400) : null,
+    linkKarma: about.link_karma,
+    commentKarma: about.comment_karma,
+    totalKarma: about.total_karma ?? (about.link_karma || 0) + (about.comment_karma || 0),
+    verified: Boolean(about.verified),
+    hasVerifiedEmail: Boolean(about.has_verified_email),
+    isMod: Boolean(about.is_mod),
+    isEmployee: Boolean(about.is_employee),
+    isPremium: Boolean(about.is_gold)
+  };
+
+  const activityErrors = [];
+  const listing = async kind => {
+    try {
+      return (await redditGet(`/user/${username}/${kind}.json?limit=${limit}`))?.data?.children || [];
+    } catch (error) {
+      // Keep the profile when a listing fails
+      activityErrors.push(`${kind}: ${redditError(error, 'user')}`);
+      return [];
+    }
+  };
+
+  const submissions = (await listing('submitted'))
+    .filter(c => c.kind === 't3')
+    .map(c => ({ ...toPost(c.data), subreddit: c.data.subreddit }));
+
+  const comments = (await listing('comments'))
+    .filter(c => c.kind === 't1')
+    .map(c => ({
+      id: c.data.id,
+      subreddit: c.data.subreddit,
+      body: c.data.body?.substring(0, 500),
+      score: c.data.score,
+      linkTitle: c.data.link_title,
+      permalink: `https://reddit.com${c.data.permalink}`,
+      createdUtc: c.data.created_utc,
+      sentiment: itemSentiment(c.data.body)
+    }));
+
+  return {
+    success: true,
+    source: 'reddit',
+    user,
+    submissions,
+    comments,
+    activeSubreddits: activeSubreddits(submissions, comments),
+    ...(activityErrors.length > 0 && { partial: true, activityErrors })
+  };
+}
+
+/**
+ * Rank the subreddits a user posts and comments in
+ * @param {Array<Object>} submissions - Recent submissions
+ * @param {Array<Object>} comments - Recent comments
+ * @returns {Array<Object>} [{ subreddit, posts, comments, score }] by activity
+ */
+function activeSubreddits(submissions, comments) {
+  const bySubreddit = new Map();
+  const entry = name => {
+    if (!bySubreddit.has(name)) bySubreddit.set(name, { subreddit: name, posts: 0, comments: 0, score: 0 });
+    return bySubreddit.get(name);
+  };
+
+  for (const post of submissions) {
+    const e = entry(post.subreddit);
+    e.posts++;
+    e.score += post.score || 0;
+  }
+  for (const comment of comments) {
+    const e = entry(comment.subreddit);
+    e.comments++;
+    e.score += comment.score || 0;
   }
+
+  return [...bySubreddit.values()]
+    .sort((a, b) => (b.posts + b.comments) - (a.posts + a.comments) || b.score - a.score);
+}
+
+// =============================================================================
+// SNAPSHOTS
+// =============================================================================
+
+/**
+ * Fetch a listing and store it as a trend snapshot
+ * @param {string} subreddit - Subreddit name
+ * @returns {Object} { success, snapshot } or { error, source }
+ */
+async function takeSnapshot(subreddit) {
+  // Snapshots must be fresh, or two close together would show no movement
+  const listing = await fetchSubreddit(subreddit, SNAPSHOT_SORT, SNAPSHOT_SIZE, { fresh: true });
+  if (listing.error) return listing;
+  return { success: true, snapshot: saveSnapshot(subreddit, SNAPSHOT_SORT, listing.posts) };
+}
+
+/**
+ * Snapshot subreddits on a schedule so trend questions have history to compare
+ * @param {Array<string>} subreddits - Subreddit names
+ * @param {number} intervalMinutes - Minutes between rounds
+ * @returns {Object} { stop } - Call stop() to end collection
+ */
+function startSnapshotCollector(subreddits, intervalMinutes = 15) {
+  let running = false;
+
+  const collect = async () => {
+    // A slow round (rate limiting) shouldn't overlap the next one
+    if (running) return;
+    const safetyCheck = checkSafetyLimits();
+    if (!safetyCheck.safe) {
+      console.error(`SAFETY RAIL: snapshot collection skipped (${safetyCheck.reason})`);
+      return;
+    }
+
+    running = true;
+    try {
+      for (const subreddit of subreddits) {
+        const result = await takeSnapshot(subreddit);
+        if (result.error) console.error(`Snapshot of r/${subreddit} failed: ${result.error}`);
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  collect();
+  const timer = setInterval(collect, intervalMinutes * 60000);
+  timer.unref();
+
+  return { stop: () => clearInterval(timer) };
 }
 
 // =============================================================================
 // QUESTION PARSING
 // =============================================================================
 
+/**
+ * Parse the time window a question asks about ("this week", "all time")
+ * @param {string} question - Natural language question
+ * @returns {string|null} TOP_PERIODS value or null
+ */
+function parseTimePeriod(question) {
+  const lowerQ = question.toLowerCase();
+
+  if (/\ball[- ]time\b|\bof all time\b|\bever\b/.test(lowerQ)) return TOP_PERIODS.ALL;
+  if (/\b(this|past|last)\s+year\b|\bof the year\b/.test(lowerQ)) return TOP_PERIODS.YEAR;
+  if (/\b(this|past|last)\s+month\b|\bof the month\b/.test(lowerQ)) return TOP_PERIODS.MONTH;
+  if (/\b(this|past|last)\s+week\b|\bof the week\b/.test(lowerQ)) return TOP_PERIODS.WEEK;
+  if (/\btoday\b|\b(past|last)\s+(day|24 hours)\b|\bof the day\b/.test(lowerQ)) return TOP_PERIODS.DAY;
+  if (/\b(this|past|last)\s+hour\b/.test(lowerQ)) return TOP_PERIODS.HOUR;
+
+  return null;
+}
+
+/**
+ * Parse the comparison window of a trend question ("in the last 30 minutes")
+ * @param {string} question - Natural language question
+ * @returns {number|null} Window in minutes or null
+ */
+function parseTrendWindow(question) {
+  const match = question.match(/\b(?:last|past)\s+(\d+\s*)?(minutes?|mins?|hours?|hrs?|days?)\b/i);
+  if (!match) return null;
+  const amount = match[1] ? parseInt(match[1], 10) : 1;
+  const unit = match[2].toLowerCase();
+  if (unit.startsWith('d')) return amount * 1440;
+  if (unit.startsWith('h')) return amount * 60;
+  return amount;
+}
+
+/**
+ * Parse content filters from a question ("no NSFW", "without stickied posts",
+ * "flair DD")
+ * @param {string} question - Natural language question
+ * @returns {Object} { filters, matchedText } - filters is null when none are named
+ */
+function parseContentFilters(question) {
+  const not = '(?:no|exclude|excluding|without|skip|skipping|hide|ignore|ignoring|minus|non[- ]?)';
+  const patterns = [
+    ['excludeNsfw', new RegExp(`\\b${not}\\s*(?:nsfw|18\\+|over[- ]18)(?:\\s+(?:posts?|content))?|\\b(?:sfw|safe[- ]for[- ]work)(?:\\s+only)?\\b`, 'i')],
+    ['excludeSpoilers', new RegExp(`\\b${not}\\s*spoilers?(?:\\s+posts?)?\\b`, 'i')],
+    ['excludeStickied', new RegExp(`\\b${not}\\s*(?:stickied|stickies|sticky|pinned|mega ?threads?)(?:\\s+(?:posts?|threads?|mega ?threads?))?\\b`, 'i')],
+    ['excludeRemoved', new RegExp(`\\b${not}\\s*(?:removed|deleted)(?:\\s+posts?)?\\b`, 'i')]
+  ];
+
+  const filters = {};
+  const matchedText = [];
+  for (const [key, pattern] of patterns) {
+    const match = question.match(pattern);
+    if (match) {
+      filters[key] = true;
+      matchedText.push(match[0]);
+    }
+  }
+
+  // flair "Daily Discussion", flair:DD, flaired News
+  const flair = question.match(/\b(?:with\s+)?(?:link\s+)?flair(?:ed)?\s*(?:is|=|:|of|equals)?\s*(?:"([^"]+)"|'([^']+)'|([A-Za-z0-9_-]+))/i);
+  if (flair) {
+    filters.flair = flair[1] || flair[2] || flair[3];
+    matchedText.push(flair[0]);
+  }
+
+  return { filters: matchedText.length > 0 ? filters : null, matchedText };
+}
+
 /**
  * Parse a natural language question about Reddit
  * @param {string} question - Natural language question
@@ -327,55 +1289,118 @@ function parseQuestion(question) {
     postId: null,
     keyword: null,
     limit: 10,
+    time: null,
+    window: null,
+    username: null,
+    subreddits: [],
+    fullThread: false,
+    filters: null,
     originalQuestion: question
   };
 
   // Extract subreddit: r/name or "on name" or "from name"
   const subredditPatterns = [
-    /r\/([a-zA-Z0-9_]+)/i,
+    /(?:^|[^a-z0-9_])r\/([a-zA-Z0-9_]+(?:\+[a-zA-Z0-9_]+)*)/i, // not the "r/" in "user/"
     /(?:on|from|in)\s+([a-zA-Z0-9_]+)\s+(?:subreddit)?/i,
     /subreddit\s+([a-zA-Z0-9_]+)/i
   ];
 
+  let subredditText = null;
   for (const pattern of subredditPatterns) {
     const match = question.match(pattern);
     if (match) {
       result.subreddit = match[1];
+      subredditText = match[0];
       break;
     }
   }
 
-  // Detect query type
-  const lowerQ = question.toLowerCase();
+  // Every r/ mention - "r/nba and r/nfl", or the multireddit "r/nba+nfl"
+  const mentions = [...question.matchAll(/(?:^|[^a-z0-9_])r\/([a-zA-Z0-9_]+(?:\+[a-zA-Z0-9_]+)*)/gi)].map(m => m[1]);
+  result.subreddits = [...new Set(mentions.flatMap(m => m.split('+')).map(name => name.toLowerCase()))];
+
+  // u/name, reddit.com/user/name or "redditor name"
+  const userMatch = question.match(/(?:^|[^a-z0-9_])u(?:ser)?\/([a-zA-Z0-9_-]{3,20})/i) ||
+    question.match(/\bredditor\s+([a-zA-Z0-9_-]{3,20})\b/i);
+
+  // Filter phrases are left out of type detection, so "non-removed posts" isn't a post question
+  const { filters, matchedText } = parseContentFilters(question);
+  result.filters = filters;
+  const text = matchedText.reduce((q, phrase) => q.replace(phrase, ' '), question);
 
-  if (lowerQ.includes('hot') || lowerQ.includes('trending') || lowerQ.includes('popular')) {
+  // Detect query type
+  const lowerQ = text.toLowerCase();
+  // Without the subreddit, so r/stocks isn't read as a ticker question or r/climbing as a trend
+  const withoutSubreddit = (subredditText ? lowerQ.replace(subredditText.toLowerCase(), ' ') : lowerQ)
+    .replace(/r\/[a-z0-9_+]+/g, ' ');
+  // A multireddit is one combined listing unless the question asks for a comparison
+  const comparing = result.subreddits.length > 1 &&
+    (mentions.length > 1 || /\b(compare|comparison|comparing|versus|vs\.?|side[- ]by[- ]side)\b/.test(withoutSubreddit));
+
+  if (userMatch) {
+    result.type = QUERY_TYPES.USER;
+    result.username = userMatch[1];
+  } else if (comparing) {
+    result.type = QUERY_TYPES.COMPARE;
+    result.subreddit = result.subreddits.join('+');
+  } else if (/\b(tickers?|cashtags?|stocks?|symbols?|coins?)\b/.test(withoutSubreddit)) {
+    result.type = QUERY_TYPES.TICKERS;
+  } else if (/\b(rising|risers?|fastest|velocity|momentum|gaining|climbing|dropping|falling|movers?)\b/.test(withoutSubreddit)) {
+    result.type = QUERY_TYPES.TRENDS;
+    result.window = parseTrendWindow(question);
+  } else if (withoutSubreddit.includes('hot') || withoutSubreddit.includes('trending') || withoutSubreddit.includes('popular')) {
     result.type = QUERY_TYPES.HOT;
-  } else if (lowerQ.includes('new') || lowerQ.includes('latest') || lowerQ.includes('recent')) {
+  } else if (withoutSubreddit.includes('new') || withoutSubreddit.includes('latest') || withoutSubreddit.includes('recent')) {
     result.type = QUERY_TYPES.NEW;
-  } else if (lowerQ.includes('top') || lowerQ.includes('best')) {
+  } else if (withoutSubreddit.includes('top') || withoutSubreddit.includes('best')) {
     result.type = QUERY_TYPES.TOP;
-  } else if (lowerQ.includes('search') || lowerQ.includes('find') || lowerQ.includes('looking for')) {
+  } else if (withoutSubreddit.includes('search') || withoutSubreddit.includes('find') || withoutSubreddit.includes('looking for')) {
     result.type = QUERY_TYPES.SEARCH;
     // Extract search keyword
-    const searchMatch = question.match(/(?:search|find|looking for)\s+(?:for\s+)?["']?([^"'?]+)["']?/i);
+    const searchMatch = text.match(/(?:search|find|looking for)\s+(?:for\s+)?["']?([^"'?]+)["']?/i);
     if (searchMatch) {
       result.keyword = searchMatch[1].trim();
     }
-  } else if (lowerQ.includes('post') && question.match(/[a-z0-9]{6,}/i)) {
+  } else if (lowerQ.includes('post') && text.match(/[a-z0-9]{6,}/i)) {
     result.type = QUERY_TYPES.POST;
     // Extract post ID from URL or raw ID
-    const urlMatch = question.match(/comments\/([a-z0-9]+)/i);
-    const idMatch = question.match(/\b([a-z0-9]{6,8})\b/i);
+    const urlMatch = text.match(/comments\/([a-z0-9]+)/i);
+    const idMatch = text.match(/\b([a-z0-9]{6,8})\b/i);
     result.postId = urlMatch?.[1] || idMatch?.[1];
+    result.fullThread = /\b(full|whole|entire|all)\s+(?:comment\s+)?(?:thread|tree|comments|discussion)\b|\bcomment tree\b/i.test(question);
   } else {
     // Default to hot
     result.type = QUERY_TYPES.HOT;
   }
 
-  // Extract limit
+  // Extract limit (more than 100 is fetched across several pages)
   const limitMatch = question.match(/(\d+)\s+(?:posts?|results?|items?)/i);
   if (limitMatch) {
-    result.limit = Math.min(parseInt(limitMatch[1], 10), 100);
+    result.limit = Math.min(parseInt(limitMatch[1], 10), SAFETY_LIMITS.maxPostsPerQuery);
+  }
+
+  // Time window - only "top" listings take one
+  if (result.type === QUERY_TYPES.TOP) {
+    result.time = parseTimePeriod(question);
+  }
+
+  // Comparisons: top of a period if one is named ("today"), otherwise new or hot
+  if (result.type === QUERY_TYPES.COMPARE) {
+    result.time = parseTimePeriod(question);
+    result.sort = result.time ? QUERY_TYPES.TOP
+      : /\b(new|latest|recent)\b/.test(withoutSubreddit) ? QUERY_TYPES.NEW
+      : QUERY_TYPES.HOT;
+    if (!limitMatch) result.limit = DEFAULT_COMPARE_SCAN;
+  }
+
+  // Ticker questions scan a larger listing: top of a period if one is named,
+  // otherwise new or hot posts
+  if (result.type === QUERY_TYPES.TICKERS) {
+    result.time = parseTimePeriod(question);
+    result.sort = result.time || /\btop\b/.test(lowerQ) ? QUERY_TYPES.TOP
+      : /\b(new|latest|recent)\b/.test(lowerQ) ? QUERY_TYPES.NEW
+      : QUERY_TYPES.HOT;
+    if (!limitMatch) result.limit = DEFAULT_TICKER_SCAN;
   }
 
   return result;
@@ -388,26 +1413,32 @@ function parseQuestion(question) {
 /**
  * Main oracle function - answer a Reddit question
  * @param {string} question - Natural language question
+ * @param {Object} options - Structured options
+ * @param {Object} options.filters - Content filters, merged over any named in the question
  * @returns {Object} Oracle response
  */
-async function askOracle(question) {
+async function askOracle(question, options = {}) {
   // SAFETY CHECK
   const safetyCheck = checkSafetyLimits();
-  if (!safetyCheck.safe) {
-    console.error(`SAFETY RAIL: ${safetyCheck.reason}`);
+  if (!safetyCheck.safe) return safetyResult(safetyCheck);
+
+  const parsed = parseQuestion(question);
+
+  const filterProblem = validateFilters(options.filters);
+  if (filterProblem) {
     return {
       success: false,
       confidence: 0,
-      error: safetyCheck.reason,
-      message: safetyCheck.message,
-      safetyTriggered: true,
+      error: 'invalid_filters',
+      message: filterProblem,
       timestamp: new Date().toISOString()
     };
   }
+  if (options.filters) {
+    parsed.filters = { ...parsed.filters, ...options.filters };
+  }
 
-  const parsed = parseQuestion(question);
-
-  if (!parsed.subreddit) {
+  if (!parsed.subreddit && parsed.type !== QUERY_TYPES.USER) {
     const result = {
       success: false,
       confidence: 0,
@@ -437,7 +1468,7 @@ async function askOracle(question) {
         logQuery(result);
         return result;
       }
-      data = await fetchPost(parsed.subreddit, parsed.postId);
+      data = await fetchPost(parsed.subreddit, parsed.postId, { tree: parsed.fullThread });
       break;
 
     case QUERY_TYPES.SEARCH:
@@ -453,18 +1484,92 @@ async function askOracle(question) {
         logQuery(result);
         return result;
       }
-      data = await searchSubreddit(parsed.subreddit, parsed.keyword, parsed.limit);
+      data = await searchSubreddit(parsed.subreddit, parsed.keyword, parsed.limit, { filters: parsed.filters });
       confidence = 0.80; // Slightly lower for search results
       break;
 
+    case QUERY_TYPES.TICKERS:
+      data = await fetchSubreddit(parsed.subreddit, parsed.sort, parsed.limit, { time: parsed.time, filters: parsed.filters });
+      if (!data.error) {
+        data.tickers = aggregateTickers(data.posts);
+      }
+      break;
+
+    case QUERY_TYPES.COMPARE:
+      data = await compareSubreddits(parsed.subreddits, parsed.sort, parsed.limit, { time: parsed.time, filters: parsed.filters });
+      break;
+
+    case QUERY_TYPES.USER:
+      data = await fetchUser(parsed.username);
+      break;
+
+    case QUERY_TYPES.TRENDS: {
+      // Every trend question adds a snapshot, so history builds up even without the collector
+      const latest = await takeSnapshot(parsed.subreddit);
+      if (latest.error) {
+        data = latest;
+        break;
+      }
+      const trends = computeTrends(loadSnapshots(parsed.subreddit), {
+        sort: SNAPSHOT_SORT,
+        windowMinutes: parsed.window
+      });
+      if (!trends) {
+        const minMinutes = Math.ceil((parsed.window || TREND_DEFAULTS.windowMinutes) * TREND_DEFAULTS.minWindowFraction);
+        const result = {
+          success: false,
+          confidence: 0,
+          error: 'insufficient_snapshots',
+          suggestion: `No snapshot of r/${parsed.subreddit} from at least ${minMinutes} minutes ago yet. Ask again later, or add it to REDDIT_SNAPSHOT_SUBREDDITS.`,
+          parsed,
+          timestamp: new Date().toISOString()
+        };
+        logQuery(result);
+        return result;
+      }
+      data = { success: true, source: 'reddit', subreddit: parsed.subreddit, ...trends };
+      // Snapshots far from the asked-for window answer a different question
+      const ratio = trends.windowMinutes / trends.requestedWindowMinutes;
+      if (ratio < 0.5 || ratio > 2) confidence = 0.7;
+      break;
+    }
+
     case QUERY_TYPES.NEW:
     case QUERY_TYPES.TOP:
     case QUERY_TYPES.HOT:
     default:
-      data = await fetchSubreddit(parsed.subreddit, parsed.type, parsed.limit);
+      data = await fetchSubreddit(parsed.subreddit, parsed.type, parsed.limit, { time: parsed.time, filters: parsed.filters });
       break;
   }
 
+  return finishQuery(parsed, data, confidence);
+}
+
+/**
+ * Response for a query refused by the safety rails
+ * @param {Object} safetyCheck - Failed checkSafetyLimits() result
+ * @returns {Object} Oracle response
+ */
+function safetyResult(safetyCheck) {
+  console.error(`SAFETY RAIL: ${safetyCheck.reason}`);
+  return {
+    success: false,
+    confidence: 0,
+    error: safetyCheck.reason,
+    message: safetyCheck.message,
+    safetyTriggered: true,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Turn fetched data into an oracle response: metrics, confidence and logging
+ * @param {Object} parsed - Query the data answers
+ * @param {Object} data - Result of a fetch function
+ * @param {number} confidence - Confidence when the fetch succeeded
+ * @returns {Object} Oracle response
+ */
+function finishQuery(parsed, data, confidence) {
   if (data.error) {
     const result = {
       success: false,
@@ -480,17 +1585,14 @@ async function askOracle(question) {
 
   // Calculate engagement metrics for subreddit queries
   if (data.posts && data.posts.length > 0) {
-    const totalScore = data.posts.reduce((sum, p) => sum + p.score, 0);
-    const totalComments = data.posts.reduce((sum, p) => sum + p.numComments, 0);
-    const avgUpvoteRatio = data.posts.reduce((sum, p) => sum + (p.upvoteRatio || 0.5), 0) / data.posts.length;
+    data.metrics = engagementMetrics(data.posts);
+  }
 
+  // Post queries: the discussion's mood, alongside the post's own
+  if (data.post) {
     data.metrics = {
-      totalScore,
-      totalComments,
-      avgScore: Math.round(totalScore / data.posts.length),
-      avgComments: Math.round(totalComments / data.posts.length),
-      avgUpvoteRatio: avgUpvoteRatio.toFixed(2),
-      engagement: totalScore + totalComments * 2 // Simple engagement formula
+      postSentiment: data.post.sentiment,
+      sentiment: summarizeSentiment(flattenComments(data.comments))
     };
   }
 
@@ -502,6 +1604,7 @@ async function askOracle(question) {
     queryType: parsed.type,
     query: parsed,
     sources: ['reddit'],
+    ...(data.cache && { cache: data.cache }),
     timestamp: new Date().toISOString()
   };
 
@@ -509,19 +1612,52 @@ async function askOracle(question) {
   return result;
 }
 
+/**
+ * Answer a structured query, skipping the question parser. Same safety rails,
+ * metrics and logging as askOracle.
+ * @param {Object} query - Query fields ({ type, subreddit, ... }), echoed back as "query"
+ * @param {Function} fetch - Async function returning fetchSubreddit / fetchPost / searchSubreddit data
+ * @param {number} confidence - Confidence when the fetch succeeds (default 0.85)
+ * @returns {Object} Oracle response
+ */
+async function answerStructuredQuery(query, fetch, confidence = 0.85) {
+  const safetyCheck = checkSafetyLimits();
+  if (!safetyCheck.safe) return safetyResult(safetyCheck);
+
+  const filterProblem = validateFilters(query.filters);
+  if (filterProblem) {
+    return {
+      success: false,
+      confidence: 0,
+      error: 'invalid_filters',
+      message: filterProblem,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  return finishQuery(query, await fetch(), confidence);
+}
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
 
 module.exports = {
   askOracle,
+  answerStructuredQuery,
   fetchSubreddit,
   fetchPost,
   searchSubreddit,
+  fetchUser,
+  compareSubreddits,
+  takeSnapshot,
+  startSnapshotCollector,
   parseQuestion,
   checkSafetyLimits,
+  validateFilters,
   SAFETY_LIMITS,
-  QUERY_TYPES
+  QUERY_TYPES,
+  TOP_PERIODS
 };
 
 // CLI usage
@@ -0,0 +1,188 @@
+/**
+ * Reddit Trends
+ *
+ * Stores periodic snapshots of subreddit listings (one JSON file per
+ * subreddit under data/snapshots, override with REDDIT_SNAPSHOT_DIR) and
+ * compares them to answer "what's rising fastest on r/nba in the last hour":
+ * per-post score and comment velocity, posts that newly entered the listing,
+ * and posts that are dropping or fell out of it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_DIR = process.env.REDDIT_SNAPSHOT_DIR ||
+  path.join(__dirname, 'data', 'snapshots');
+
+const TREND_DEFAULTS = {
+  windowMinutes: 60,     // Comparison window when the question doesn't name one
+  retentionHours: 48,    // Snapshots older than this are pruned on save
+  maxSnapshots: 500,     // Hard ceiling per subreddit file
+  listSize: 10,          // Posts per rising / new / dropping list
+  minWindowFraction: 0.25, // Shortest baseline gap, as a share of the window - closer snapshots blow up per-hour rates
+};
+
+// =============================================================================
+// SNAPSHOT STORE
+// =============================================================================
+
+/**
+ * Path of a subreddit's snapshot file
+ * @param {string} subreddit - Subreddit name
+ * @returns {string} File path
+ */
+function snapshotFile(subreddit) {
+  return path.join(SNAPSHOT_DIR, `${subreddit.toLowerCase()}.json`);
+}
+
+/**
+ * Load a subreddit's stored snapshots, oldest first
+ * @param {string} subreddit - Subreddit name
+ * @returns {Array<Object>} Snapshots ({ takenAt, sort, posts })
+ */
+function loadSnapshots(subreddit) {
+  try {
+    const file = snapshotFile(subreddit);
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf8')).snapshots || [];
+    }
+  } catch (e) { /* ignore */ }
+  return [];
+}
+
+/**
+ * Store a snapshot of a listing, pruning old ones
+ * @param {string} subreddit - Subreddit name
+ * @param {string} sort - Listing sort the posts came from
+ * @param {Array<Object>} posts - Posts in listing order
+ * @param {Date} takenAt - Time of the snapshot (defaults to now)
+ * @returns {Object} Stored snapshot
+ */
+function saveSnapshot(subreddit, sort, posts, takenAt = new Date()) {
+  const snapshot = {
+    takenAt: takenAt.toISOString(),
+    sort,
+    posts: posts.map((p, i) => ({
+      id: p.id,
+      title: p.title,
+      score: p.score,
+      numComments: p.numComments,
+      permalink: p.permalink,
+      createdUtc: p.createdUtc,
+      rank: i + 1
+    }))
+  };
+
+  const cutoff = takenAt.getTime() - TREND_DEFAULTS.retentionHours * 3600000;
+  const snapshots = loadSnapshots(subreddit)
+    .filter(s => new Date(s.takenAt).getTime() >= cutoff)
+    .concat(snapshot)
+    .slice(-TREND_DEFAULTS.maxSnapshots);
+
+  try {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(snapshotFile(subreddit), JSON.stringify({ subreddit, snapshots }));
+  } catch (e) { /* ignore */ }
+
+  return snapshot;
+}
+
+// =============================================================================
+// VELOCITY
+// =============================================================================
+
+/**
+ * Pick the snapshot to compare the latest one against
+ * @param {Array<Object>} snapshots - Snapshots of one sort, oldest first
+ * @param {number} windowMinutes - Requested comparison window
+ * @returns {Object|null} Baseline snapshot, closest to the start of the window
+ */
+function pickBaseline(snapshots, windowMinutes) {
+  const latest = snapshots[snapshots.length - 1];
+  const target = new Date(latest.takenAt).getTime() - windowMinutes * 60000;
+  let best = null;
+  for (const snapshot of snapshots.slice(0, -1)) {
+    const distance = Math.abs(new Date(snapshot.takenAt).getTime() - target);
+    if (!best || distance < best.distance) best = { snapshot, distance };
+  }
+  return best ? best.snapshot : null;
+}
+
+/**
+ * Compare the latest snapshot against one from the start of a window
+ * @param {Array<Object>} snapshots - Stored snapshots, oldest first
+ * @param {Object} options - Trend options
+ * @param {number} options.windowMinutes - Comparison window (default 60)
+ * @param {string} options.sort - Only compare snapshots of this sort (default: the latest's)
+ * @param {number} options.limit - Posts per list (default 10)
+ * @returns {Object|null} { from, to, windowMinutes, rising, newEntries, dropping, postsTracked }, or null
+ *   with fewer than two snapshots or none far enough before the latest
+ */
+function computeTrends(snapshots, options = {}) {
+  const windowMinutes = options.windowMinutes || TREND_DEFAULTS.windowMinutes;
+  const limit = options.limit || TREND_DEFAULTS.listSize;
+  const sort = options.sort || snapshots[snapshots.length - 1]?.sort;
+  const comparable = snapshots.filter(s => s.sort === sort);
+  if (comparable.length < 2) return null;
+
+  const latest = comparable[comparable.length - 1];
+  const baseline = pickBaseline(comparable, windowMinutes);
+  const hours = (new Date(latest.takenAt) - new Date(baseline.takenAt)) / 3600000;
+  if (hours * 60 < windowMinutes * TREND_DEFAULTS.minWindowFraction) return null;
+
+  const perHour = n => Math.round((n / hours) * 10) / 10;
+  const before = new Map(baseline.posts.map(p => [p.id, p]));
+  const after = new Set(latest.posts.map(p => p.id));
+
+  const tracked = [];
+  const newEntries = [];
+  for (const post of latest.posts) {
+    const prev = before.get(post.id);
+    if (!prev) {
+      newEntries.push({ ...post, entered: true });
+      continue;
+    }
+    tracked.push({
+      ...post,
+      previousRank: prev.rank,
+      rankChange: prev.rank - post.rank,
+      scoreChange: post.score - prev.score,
+      commentChange: post.numComments - prev.numComments,
+      scoreVelocity: perHour(post.score - prev.score),
+      commentVelocity: perHour(post.numComments - prev.numComments)
+    });
+  }
+
+  // Posts that fell out of the listing count as dropping past its last rank
+  const left = baseline.posts
+    .filter(p => !after.has(p.id))
+    .map(p => ({ ...p, previousRank: p.rank, rank: null, rankChange: p.rank - (latest.posts.length + 1), left: true }));
+
+  return {
+    sort,
+    from: baseline.takenAt,
+    to: latest.takenAt,
+    windowMinutes: Math.round(hours * 60),
+    requestedWindowMinutes: windowMinutes,
+    rising: tracked
+      .filter(p => p.scoreVelocity > 0)
+      .sort((a, b) => b.scoreVelocity - a.scoreVelocity || b.commentVelocity - a.commentVelocity)
+      .slice(0, limit),
+    newEntries: newEntries.slice(0, limit),
+    dropping: tracked
+      .filter(p => p.rankChange < 0)
+      .concat(left)
+      .sort((a, b) => a.rankChange - b.rankChange)
+      .slice(0, limit),
+    postsTracked: tracked.length,
+    snapshotsStored: snapshots.length
+  };
+}
+
+module.exports = {
+  loadSnapshots,
+  saveSnapshot,
+  computeTrends,
+  TREND_DEFAULTS,
+  SNAPSHOT_DIR
+};
@@ -58,6 +58,11 @@ async function registerAgent() {
     const agentApi = {
       endpoints: [
         { POST: 'https://sports-oracle.openclaw.ai/api/verify' },
+        { POST: 'https://sports-oracle.openclaw.ai/api/resolve' },
+        { POST: 'https://sports-oracle.openclaw.ai/api/game-threads' },
+        { GET: 'https://sports-oracle.openclaw.ai/api/v2/sports/games' },
+        { POST: 'https://sports-oracle.openclaw.ai/api/v2/sports/games' },
+        { POST: 'https://sports-oracle.openclaw.ai/api/batch' },
       ],
       agentDefinitionUrl: 'https://sports-oracle.openclaw.ai/openapi.json',
     };
@@ -58,6 +58,13 @@ async function registerAgent() {
     const agentApi = {
       endpoints: [
         { POST: 'https://web-production-159d9.up.railway.app/api/reddit' },
+        { GET: 'https://web-production-159d9.up.railway.app/api/v2/reddit/listings' },
+        { POST: 'https://web-production-159d9.up.railway.app/api/v2/reddit/listings' },
+        { GET: 'https://web-production-159d9.up.railway.app/api/v2/reddit/posts' },
+        { POST: 'https://web-production-159d9.up.railway.app/api/v2/reddit/posts' },
+        { GET: 'https://web-production-159d9.up.railway.app/api/v2/reddit/search' },
+        { POST: 'https://web-production-159d9.up.railway.app/api/v2/reddit/search' },
+        { POST: 'https://web-production-159d9.up.railway.app/api/batch' },
       ],
       agentDefinitionUrl: 'https://web-production-159d9.up.railway.app/openapi.json',
     };
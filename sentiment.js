@@ -0,0 +1,191 @@
+/**
+ * Sentiment Analysis
+ *
+ * Offline, lexicon-based sentiment scoring for Reddit posts and comments.
+ * The lexicon (data/sentiment-lexicon.json, override with
+ * SENTIMENT_LEXICON_FILE) has a general word list plus finance slang
+ * ("moon", "bagholder", "puts", 🚀) so r/wallstreetbets reads sensibly.
+ *
+ * Scoring follows VADER's approach: sum word valences, flip after a
+ * negation, scale after an intensifier, then squash to a -1..1 compound.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LEXICON_FILE = process.env.SENTIMENT_LEXICON_FILE ||
+  path.join(__dirname, 'data', 'sentiment-lexicon.json');
+
+const SENTIMENT_LABELS = {
+  POSITIVE: 'positive',
+  NEUTRAL: 'neutral',
+  NEGATIVE: 'negative',
+};
+
+// Compound scores inside (-threshold, threshold) are neutral
+const NEUTRAL_THRESHOLD = 0.05;
+
+// How far a negation reaches, and how much it dampens the flipped word
+const NEGATION_WINDOW = 3;
+const NEGATION_SCALAR = -0.74;
+
+// Normalization constant from VADER: compound = sum / sqrt(sum^2 + alpha)
+const NORMALIZATION_ALPHA = 15;
+
+// Active lexicon, loaded lazily on first use
+let lexicon = null;
+
+/**
+ * Load a sentiment lexicon and make it the active lexicon
+ * @param {string} filePath - Path to a JSON file with { general, finance, negations, intensifiers }
+ * @returns {Object} Loaded lexicon
+ */
+function loadLexicon(filePath = DEFAULT_LEXICON_FILE) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  // Multi-word entries ("diamond_hands") are matched as phrases in the text
+  const phrases = Object.keys({ ...data.general, ...data.finance, ...data.intensifiers })
+    .filter(term => term.includes('_'))
+    .sort((a, b) => b.length - a.length)
+    .map(term => ({ term, pattern: new RegExp(`\\b${term.replace(/_/g, '[\\s-]+')}\\b`, 'g') }));
+
+  // Maps, so words like "constructor" don't pick up Object.prototype members
+  lexicon = {
+    file: filePath,
+    general: new Map(Object.entries(data.general || {})),
+    finance: new Map(Object.entries(data.finance || {})),
+    negations: new Set(data.negations || []),
+    intensifiers: new Map(Object.entries(data.intensifiers || {})),
+    phrases
+  };
+  return lexicon;
+}
+
+/**
+ * Get the active lexicon, loading the default file if needed
+ * @returns {Object} Active lexicon
+ */
+function getLexicon() {
+  return lexicon || loadLexicon();
+}
+
+/**
+ * Split text into lexicon tokens, joining known phrases with underscores
+ * @param {string} text - Raw text
+ * @param {Array<Object>} phrases - Phrase patterns from the lexicon
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text, phrases) {
+  let lower = text.toLowerCase().replace(/[’]/g, "'");
+  for (const { term, pattern } of phrases) {
+    lower = lower.replace(pattern, ` ${term} `);
+  }
+  return lower.match(/[a-z0-9_']+|\p{Extended_Pictographic}/gu) || [];
+}
+
+/**
+ * Score the sentiment of a piece of text
+ * @param {string} text - Text to score
+ * @param {Object} options - Scoring options
+ * @param {boolean} options.finance - Include finance slang (default true)
+ * @returns {Object} { score, label, positive, negative, terms }
+ */
+function analyzeSentiment(text, options = {}) {
+  const { general, finance, negations, intensifiers, phrases } = getLexicon();
+  const useFinance = options.finance !== false;
+
+  if (!text || typeof text !== 'string') {
+    return { score: 0, label: SENTIMENT_LABELS.NEUTRAL, positive: 0, negative: 0, terms: [] };
+  }
+
+  const tokens = tokenize(text, phrases);
+  let sum = 0;
+  let positive = 0;
+  let negative = 0;
+  const terms = [];
+
+  tokens.forEach((token, i) => {
+    let valence = (useFinance && finance.has(token)) ? finance.get(token) : general.get(token);
+    if (valence === undefined) return;
+
+    // An intensifier right before the word scales it
+    const previous = tokens[i - 1];
+    if (previous && intensifiers.has(previous)) {
+      valence += Math.sign(valence) * intensifiers.get(previous);
+    }
+
+    // "not bullish", "don't think it will moon"
+    const window = tokens.slice(Math.max(0, i - NEGATION_WINDOW), i);
+    if (window.some(t => negations.has(t))) {
+      valence *= NEGATION_SCALAR;
+    }
+
+    sum += valence;
+    if (valence > 0) positive += valence;
+    if (valence < 0) negative += -valence;
+    terms.push(token);
+  });
+
+  const score = sum === 0 ? 0 : sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA);
+  const rounded = Math.round(score * 1000) / 1000;
+
+  return {
+    score: rounded,
+    label: sentimentLabel(rounded),
+    positive: Math.round(positive * 100) / 100,
+    negative: Math.round(negative * 100) / 100,
+    terms: [...new Set(terms)]
+  };
+}
+
+/**
+ * Label a compound score
+ * @param {number} score - Compound score (-1..1)
+ * @returns {string} SENTIMENT_LABELS value
+ */
+function sentimentLabel(score) {
+  if (score >= NEUTRAL_THRESHOLD) return SENTIMENT_LABELS.POSITIVE;
+  if (score <= -NEUTRAL_THRESHOLD) return SENTIMENT_LABELS.NEGATIVE;
+  return SENTIMENT_LABELS.NEUTRAL;
+}
+
+/**
+ * Aggregate per-item sentiment into a distribution
+ * @param {Array<Object>} items - Items with a sentiment field ({ score, label })
+ * @returns {Object} { average, label, distribution, percentages, count }
+ */
+function summarizeSentiment(items) {
+  const scored = items.filter(item => item && item.sentiment);
+  const distribution = { positive: 0, neutral: 0, negative: 0 };
+
+  for (const { sentiment } of scored) {
+    distribution[sentiment.label]++;
+  }
+
+  const count = scored.length;
+  const average = count > 0
+    ? Math.round((scored.reduce((sum, item) => sum + item.sentiment.score, 0) / count) * 1000) / 1000
+    : 0;
+
+  const percent = n => (count > 0 ? Math.round((n / count) * 1000) / 10 : 0);
+
+  return {
+    average,
+    label: sentimentLabel(average),
+    distribution,
+    percentages: {
+      positive: percent(distribution.positive),
+      neutral: percent(distribution.neutral),
+      negative: percent(distribution.negative)
+    },
+    count
+  };
+}
+
+module.exports = {
+  analyzeSentiment,
+  summarizeSentiment,
+  loadLexicon,
+  SENTIMENT_LABELS,
+  DEFAULT_LEXICON_FILE
+};
@@ -2,7 +2,9 @@
  * Sports Oracle - Payment-Gated API Server
  *
  * Validates Nevermined x402 access tokens before processing queries.
- * Each query deducts 1 credit from the subscriber's balance.
+ * Each answered query deducts credits from the subscriber's balance per the
+ * charging policy (charging.js); failed queries are free. With a signing key
+ * configured, every response is signed (attestation.js).
  */
 
 import 'dotenv/config';
@@ -13,6 +15,12 @@ import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 const sportsOracle = require('./oracle.js');
 const redditOracle = require('./reddit-oracle.js');
+const marketResolution = require('./market-resolution.js');
+const gameThreads = require('./game-threads.js');
+const apiSchemas = require('./api-schemas.js');
+const { mapWithConcurrency, summarizeBatch } = require('./batch.js');
+const charging = require('./charging.js');
+const attestations = require('./attestation.js');
 const metaEvolution = require('./meta-evolution.js');
 
 const PORT = process.env.PORT || 3000;
@@ -82,6 +90,155 @@ function sendJSON(res, statusCode, data) {
   res.end(JSON.stringify(data, null, 2));
 }
 
+/**
+ * OpenAPI path item for a structured v2 endpoint: the same schema as a POST
+ * body or as GET query parameters (objects JSON-encoded)
+ */
+function structuredPath(summary, description, tag, schema) {
+  const responses = {
+    '200': { description: 'Oracle result' },
+    '400': { description: 'Request failed schema validation - see fields' },
+    '402': { description: 'Payment required - include x402 access token' },
+    '401': { description: 'Invalid or insufficient credits' }
+  };
+  const parameters = Object.entries(schema.properties).map(([name, fieldSchema]) => ({
+    name,
+    in: 'query',
+    required: schema.required.includes(name),
+    ...(fieldSchema.type === 'object' && { description: 'JSON-encoded object' }),
+    schema: fieldSchema
+  }));
+  return {
+    get: { summary, description, tags: [tag], parameters, responses },
+    post: {
+      summary,
+      description,
+      tags: [tag],
+      requestBody: { required: true, content: { 'application/json': { schema } } },
+      responses
+    }
+  };
+}
+
+/**
+ * Oracle endpoints by path. Endpoints that take more than a free-text
+ * question pass their own validate(body) and run(body); structured v2
+ * endpoints pass a schema instead, and also accept GET with a query string.
+ * Each names the oracle whose safety rails it runs under.
+ */
+const ORACLE_ENDPOINTS = {
+  // Sports Oracle endpoint
+  '/api/verify': {
+    oracle: sportsOracle,
+    planId: SPORTS_PLAN_ID,
+    agentId: SPORTS_AGENT_ID,
+    endpoint: '/api/verify',
+    name: 'Sports'
+  },
+
+  // Prediction market resolution endpoint (billed against the sports plan)
+  '/api/resolve': {
+    oracle: sportsOracle,
+    planId: SPORTS_PLAN_ID,
+    agentId: SPORTS_AGENT_ID,
+    endpoint: '/api/resolve',
+    name: 'Market',
+    validate: body => {
+      const problem = marketResolution.validateMarket(body.market);
+      return problem ? { error: 'invalid_market', message: problem } : null;
+    },
+    run: body => marketResolution.resolveMarket(body.market),
+    describe: body => `market ${body.market.id || JSON.stringify(body.market.event)}`
+  },
+
+  // Game thread lookup (billed against the sports plan)
+  '/api/game-threads': {
+    oracle: sportsOracle,
+    planId: SPORTS_PLAN_ID,
+    agentId: SPORTS_AGENT_ID,
+    endpoint: '/api/game-threads',
+    name: 'GameThreads',
+    validate: body => {
+      if (body.question || (body.game && body.game.team && body.game.date)) return null;
+      return { error: 'missing_game', message: 'Request must include a "question", or a "game" with team and date' };
+    },
+    run: body => body.game
+      ? gameThreads.findGameThreads(body.game, { subreddits: body.subreddits })
+      : gameThreads.askGameThreads(body.question, { subreddits: body.subreddits }),
+    describe: body => body.game ? `game threads ${JSON.stringify(body.game)}` : `"${body.question}"`
+  },
+
+  // Reddit Oracle endpoint
+  '/api/reddit': {
+    oracle: redditOracle,
+    planId: REDDIT_PLAN_ID || SPORTS_PLAN_ID, // Fallback to sports if reddit not registered
+    agentId: REDDIT_AGENT_ID || SPORTS_AGENT_ID,
+    endpoint: '/api/reddit',
+    name: 'Reddit',
+    validate: body => {
+      if (!body.question) return { error: 'missing_question', message: 'Request must include a "question" field' };
+      const problem = redditOracle.validateFilters(body.filters);
+      return problem ? { error: 'invalid_filters', message: problem } : null;
+    },
+    run: body => redditOracle.askOracle(body.question, { filters: body.filters })
+  },
+
+  // Structured v2 endpoints: schema-validated fields instead of a question
+  '/api/v2/sports/games': {
+    oracle: sportsOracle,
+    planId: SPORTS_PLAN_ID,
+    agentId: SPORTS_AGENT_ID,
+    endpoint: '/api/v2/sports/games',
+    name: 'Sports',
+    schema: apiSchemas.SPORTS_GAME_SCHEMA,
+    run: body => sportsOracle.verifyGameQuery(body),
+    describe: body => `game ${JSON.stringify(body)}`
+  },
+
+  '/api/v2/reddit/listings': {
+    oracle: redditOracle,
+    planId: REDDIT_PLAN_ID || SPORTS_PLAN_ID,
+    agentId: REDDIT_AGENT_ID || SPORTS_AGENT_ID,
+    endpoint: '/api/v2/reddit/listings',
+    name: 'Reddit',
+    schema: apiSchemas.REDDIT_LISTING_SCHEMA,
+    run: ({ subreddit, sort, limit, period, after, filters }) => redditOracle.answerStructuredQuery(
+      { type: sort, subreddit, limit, time: period, after, filters },
+      () => redditOracle.fetchSubreddit(subreddit, sort, limit, { time: period, after, filters })
+    ),
+    describe: body => `${body.sort} r/${body.subreddit}`
+  },
+
+  '/api/v2/reddit/posts': {
+    oracle: redditOracle,
+    planId: REDDIT_PLAN_ID || SPORTS_PLAN_ID,
+    agentId: REDDIT_AGENT_ID || SPORTS_AGENT_ID,
+    endpoint: '/api/v2/reddit/posts',
+    name: 'Reddit',
+    schema: apiSchemas.REDDIT_POST_SCHEMA,
+    run: ({ subreddit, postId, tree, maxDepth, maxComments }) => redditOracle.answerStructuredQuery(
+      { type: redditOracle.QUERY_TYPES.POST, subreddit, postId, fullThread: tree },
+      () => redditOracle.fetchPost(subreddit, postId, { tree, maxDepth, maxComments })
+    ),
+    describe: body => `post ${body.postId} in r/${body.subreddit}`
+  },
+
+  '/api/v2/reddit/search': {
+    oracle: redditOracle,
+    planId: REDDIT_PLAN_ID || SPORTS_PLAN_ID,
+    agentId: REDDIT_AGENT_ID || SPORTS_AGENT_ID,
+    endpoint: '/api/v2/reddit/search',
+    name: 'Reddit',
+    schema: apiSchemas.REDDIT_SEARCH_SCHEMA,
+    run: ({ subreddit, query, limit, sort, period, filters }) => redditOracle.answerStructuredQuery(
+      { type: redditOracle.QUERY_TYPES.SEARCH, subreddit, keyword: query, limit, time: period, filters },
+      () => redditOracle.searchSubreddit(subreddit, query, limit, { filters, sort, time: period }),
+      0.80 // Slightly lower for search results, as in askOracle
+    ),
+    describe: body => `search r/${body.subreddit} for "${body.query}"`
+  }
+};
+
 /**
  * Main request handler
  */
@@ -117,7 +274,7 @@ async function handleRequest(req, res) {
         '/api/verify': {
           post: {
             summary: 'Verify a sports game result',
-            description: 'Query the oracle to verify who won a sports game. Costs 1 credit per query.',
+            description: 'Query the oracle to verify who won a sports game. Charged per answer (1 credit by default).',
             tags: ['Sports Oracle'],
             requestBody: {
               required: true,
@@ -140,10 +297,105 @@ async function handleRequest(req, res) {
             }
           }
         },
+        '/api/resolve': {
+          post: {
+            summary: 'Resolve a prediction market',
+            description: 'Resolve a structured market definition against verified game results. Returns the winning outcome, or unresolved/too_early with a reason. Charged per answer (1 credit by default).',
+            tags: ['Sports Oracle'],
+            requestBody: {
+              required: true,
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      market: {
+                        type: 'object',
+                        properties: {
+                          id: { type: 'string', example: 'lakers-celtics-2026-01-30' },
+                          event: {
+                            type: 'object',
+                            description: 'Either { question } or { team, opponent, date, league }',
+                            example: { team: 'Lakers', opponent: 'Celtics', date: '2026-01-30' }
+                          },
+                          outcomes: {
+                            type: 'array',
+                            items: { oneOf: [{ type: 'string' }, { type: 'object' }] },
+                            example: ['Lakers', 'Celtics']
+                          },
+                          rules: {
+                            type: 'object',
+                            properties: {
+                              minConfidence: { type: 'number', example: 0.9 },
+                              onPostponed: { type: 'string', description: 'Outcome id to settle on if postponed' },
+                              onCancelled: { type: 'string', description: 'Outcome id to settle on if cancelled' },
+                              disputeWindowMinutes: { type: 'integer', example: 120 }
+                            }
+                          },
+                          deadline: { type: 'string', format: 'date-time', example: '2026-01-31T12:00:00Z' }
+                        },
+                        required: ['event', 'outcomes']
+                      }
+                    },
+                    required: ['market']
+                  }
+                }
+              }
+            },
+            responses: {
+              '200': { description: 'Resolution with outcome, evidence, source data, confidence and finalAfter timestamp' },
+              '400': { description: 'Invalid market definition' },
+              '402': { description: 'Payment required - include x402 access token' },
+              '401': { description: 'Invalid or insufficient credits' }
+            }
+          }
+        },
+        '/api/game-threads': {
+          post: {
+            summary: 'Find Reddit game threads for a verified game',
+            description: 'Verify a game, then find its game thread and post-game thread in the league and team subreddits. Returns thread links, comment volume and top comments alongside the score. Charged per answer (1 credit by default).',
+            tags: ['Sports Oracle'],
+            requestBody: {
+              required: true,
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    description: 'Either a question or a structured game',
+                    properties: {
+                      question: { type: 'string', example: 'Reddit reaction to the Lakers game last night' },
+                      game: {
+                        type: 'object',
+                        properties: {
+                          team: { type: 'string', example: 'Lakers' },
+                          opponent: { type: 'string', example: 'Celtics' },
+                          date: { type: 'string', format: 'date', example: '2026-01-30' },
+                          league: { type: 'string', example: 'NBA' }
+                        },
+                        required: ['team', 'date']
+                      },
+                      subreddits: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Subreddits to search instead of the league and team subreddits'
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            responses: {
+              '200': { description: 'Game result with game/post-game threads, comment volume and top comments' },
+              '400': { description: 'Missing question or game' },
+              '402': { description: 'Payment required - include x402 access token' },
+              '401': { description: 'Invalid or insufficient credits' }
+            }
+          }
+        },
         '/api/reddit': {
           post: {
             summary: 'Query Reddit data',
-            description: 'Fetch and analyze Reddit subreddit data. Costs 1 credit per query.',
+            description: 'Fetch and analyze Reddit subreddit data. Charged per answer (1 credit by default).',
             tags: ['Reddit Oracle'],
             requestBody: {
               required: true,
@@ -152,7 +404,21 @@ async function handleRequest(req, res) {
                   schema: {
                     type: 'object',
                     properties: {
-                      question: { type: 'string', example: 'What\'s hot on r/wallstreetbets?' }
+                      question: { type: 'string', example: 'What\'s hot on r/wallstreetbets?' },
+                      filters: {
+                        type: 'object',
+                        description: 'Content filters for listings and search. Metrics cover only posts that pass them.',
+                        properties: {
+                          excludeNsfw: { type: 'boolean' },
+                          excludeSpoilers: { type: 'boolean' },
+                          excludeStickied: { type: 'boolean' },
+                          excludeRemoved: { type: 'boolean' },
+                          flair: {
+                            oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+                            example: 'DD'
+                          }
+                        }
+                      }
                     },
                     required: ['question']
                   }
@@ -165,31 +431,126 @@ async function handleRequest(req, res) {
               '401': { description: 'Invalid or insufficient credits' }
             }
           }
+        },
+        '/api/v2/sports/games': structuredPath(
+          'Verify a game by team and date',
+          'Structured form of /api/verify: no question parsing. Charged per answer (1 credit by default).',
+          'Sports Oracle',
+          apiSchemas.SPORTS_GAME_SCHEMA
+        ),
+        '/api/v2/reddit/listings': structuredPath(
+          'Subreddit listing',
+          'Posts from a subreddit (or multireddit) by sort, with engagement metrics. Charged per answer (1 credit by default).',
+          'Reddit Oracle',
+          apiSchemas.REDDIT_LISTING_SCHEMA
+        ),
+        '/api/v2/reddit/posts': structuredPath(
+          'Post and comments',
+          'A post with its comments, optionally as the full threaded tree. Charged per answer (1 credit by default).',
+          'Reddit Oracle',
+          apiSchemas.REDDIT_POST_SCHEMA
+        ),
+        '/api/v2/reddit/search': structuredPath(
+          'Search a subreddit',
+          'Posts in a subreddit matching a search query. Charged per answer (1 credit by default).',
+          'Reddit Oracle',
+          apiSchemas.REDDIT_SEARCH_SCHEMA
+        ),
+        '/api/batch': {
+          post: {
+            summary: 'Run many queries in one request',
+            description: 'Send every item to one endpoint, a few at a time. Credits for all items are verified up front; each item is then charged per the charging policy, so failed items are free. Returns per-item results and errors.',
+            tags: ['Batch'],
+            requestBody: {
+              required: true,
+              content: { 'application/json': { schema: apiSchemas.BATCH_SCHEMA } }
+            },
+            responses: {
+              '200': { description: 'Per-item results ({ index, answered, credits, charge, result } or { index, answered, credits, error, message }), a summary and the payment block' },
+              '400': { description: 'Request failed schema validation - see fields' },
+              '402': { description: 'Payment required - include x402 access token' },
+              '401': { description: 'Invalid or insufficient credits for the whole batch' }
+            }
+          }
+        },
+        '/.well-known/oracle-signing-key.json': {
+          get: {
+            summary: 'Public key for response attestations',
+            description: 'Ed25519 public key (PEM and JWK) and key ID. Every paid response carries an attestation signed with the matching private key.',
+            tags: ['Attestations'],
+            responses: {
+              '200': { description: '{ algorithm, keyId, publicKey, jwk }' },
+              '404': { description: 'Signing is not configured on this server' }
+            }
+          }
+        },
+        '/api/attestations/verify': {
+          post: {
+            summary: 'Verify a signed oracle response',
+            description: 'Check that a response, with its attestation, was signed by this server and has not been changed. Free.',
+            tags: ['Attestations'],
+            requestBody: {
+              required: true,
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    description: 'An oracle response exactly as received, including attestation',
+                    properties: {
+                      attestation: {
+                        type: 'object',
+                        properties: {
+                          algorithm: { type: 'string', example: 'Ed25519' },
+                          keyId: { type: 'string' },
+                          signedAt: { type: 'string', format: 'date-time' },
+                          signature: { type: 'string', description: 'Base64 Ed25519 signature' }
+                        },
+                        required: ['algorithm', 'keyId', 'signature']
+                      }
+                    },
+                    required: ['attestation']
+                  }
+                }
+              }
+            },
+            responses: {
+              '200': { description: '{ valid: true, keyId, signedAt } or { valid: false, reason }' },
+              '400': { description: 'Invalid JSON' }
+            }
+          }
         }
       }
     });
   }
 
-  // Sports Oracle endpoint
-  if (url.pathname === '/api/verify' && req.method === 'POST') {
-    return handleOracleRequest(req, res, {
-      oracle: sportsOracle,
-      planId: SPORTS_PLAN_ID,
-      agentId: SPORTS_AGENT_ID,
-      endpoint: '/api/verify',
-      name: 'Sports'
-    });
+  // Oracle endpoints (see ORACLE_ENDPOINTS); structured ones also take GET
+  const oracleEndpoint = ORACLE_ENDPOINTS[url.pathname];
+  if (oracleEndpoint && (req.method === 'POST' || (oracleEndpoint.schema && req.method === 'GET'))) {
+    return handleOracleRequest(req, res, oracleEndpoint);
   }
 
-  // Reddit Oracle endpoint
-  if (url.pathname === '/api/reddit' && req.method === 'POST') {
-    return handleOracleRequest(req, res, {
-      oracle: redditOracle,
-      planId: REDDIT_PLAN_ID || SPORTS_PLAN_ID, // Fallback to sports if reddit not registered
-      agentId: REDDIT_AGENT_ID || SPORTS_AGENT_ID,
-      endpoint: '/api/reddit',
-      name: 'Reddit'
-    });
+  // Public key for checking response attestations
+  if (url.pathname === '/.well-known/oracle-signing-key.json') {
+    const key = attestations.publicKeyInfo();
+    return key
+      ? sendJSON(res, 200, key)
+      : sendJSON(res, 404, { error: 'signing_disabled', message: 'This server has no signing key configured' });
+  }
+
+  // Check a signed result (free)
+  if (url.pathname === '/api/attestations/verify' && req.method === 'POST') {
+    let body;
+    try {
+      body = await parseBody(req);
+    } catch (e) {
+      return sendJSON(res, 400, { error: 'invalid_json', message: 'Request body must be valid JSON' });
+    }
+    return sendJSON(res, 200, { ...attestations.verifyAttestation(body), timestamp: new Date().toISOString() });
+  }
+
+  // Batch of queries to one endpoint, paid for in one verification
+  if (url.pathname === '/api/batch' && req.method === 'POST') {
+    return handleBatchRequest(req, res);
   }
 
   // 404 for unknown routes
@@ -197,70 +558,123 @@ async function handleRequest(req, res) {
 }
 
 /**
- * Generic oracle request handler
+ * Access token from the payment-signature or Authorization header
+ */
+function paymentToken(req) {
+  return req.headers['payment-signature'] || req.headers['authorization']?.replace('Bearer ', '');
+}
+
+/**
+ * 402 body for requests without an access token
+ */
+function paymentRequiredError(planId, agentId) {
+  return {
+    error: 'payment_required',
+    message: `This API requires Nevermined credits. Include x402 access token in payment-signature header.`,
+    planId,
+    agentId,
+    pricePerQuery: '$0.05',
+    pricing: charging.describePolicy(),
+    purchaseUrl: `https://nevermined.app/agents/${agentId}`
+  };
+}
+
+/**
+ * Check a request body against an endpoint's schema or validate().
+ * Returns { body } (with schema defaults filled in) or { invalid }.
+ */
+function prepareBody(config, body) {
+  if (config.schema) {
+    const fields = apiSchemas.validate(config.schema, body);
+    if (fields.length > 0) {
+      return {
+        invalid: {
+          error: 'invalid_request',
+          message: fields.map(f => `${f.field} ${f.message}`).join('; '),
+          fields
+        }
+      };
+    }
+    return { body: apiSchemas.withDefaults(config.schema, body) };
+  }
+
+  const validate = config.validate || (b => b.question
+    ? null
+    : { error: 'missing_question', message: 'Request must include a "question" field' });
+  const invalid = validate(body);
+  return invalid ? { invalid } : { body };
+}
+
+/**
+ * Run an endpoint's query and log the result for meta-evolution
+ */
+async function runOracle(config, body) {
+  const { oracle, name } = config;
+  const run = config.run || (b => oracle.askOracle(b.question));
+  const oracleResult = await run(body);
+
+  // Meta-evolution: Log result for continuous improvement
+  try {
+    if (name === 'Sports') {
+      metaEvolution.processSportsResult(oracleResult);
+    } else if (name === 'Reddit') {
+      metaEvolution.processRedditResult(oracleResult);
+    } else if ((name === 'Market' || name === 'GameThreads') && oracleResult.sourceData) {
+      metaEvolution.processSportsResult(oracleResult.sourceData);
+    }
+  } catch (e) {
+    console.log('[MetaEvolution] Logging failed:', e.message);
+  }
+
+  return oracleResult;
+}
+
+/**
+ * Oracle request handler for one query
  */
 async function handleOracleRequest(req, res, config) {
-  const { oracle, planId, agentId, endpoint, name } = config;
+  const { planId, agentId, endpoint, name } = config;
+  const describe = config.describe || (body => `"${body.question}"`);
 
   // Get x402 access token from header
-  const x402Token = req.headers['payment-signature'] || req.headers['authorization']?.replace('Bearer ', '');
+  const x402Token = paymentToken(req);
 
   if (!x402Token) {
-    return sendJSON(res, 402, {
-      error: 'payment_required',
-      message: `This API requires Nevermined credits. Include x402 access token in payment-signature header.`,
-      planId,
-      agentId,
-      pricePerQuery: '$0.05',
-      purchaseUrl: `https://nevermined.app/agents/${agentId}`
-    });
+    return sendJSON(res, 402, paymentRequiredError(planId, agentId));
   }
 
   // Parse request body
   let body;
-  try {
-    body = await parseBody(req);
-  } catch (e) {
-    return sendJSON(res, 400, { error: 'invalid_json', message: 'Request body must be valid JSON' });
+  if (config.schema && req.method === 'GET') {
+    body = apiSchemas.queryToBody(new URL(req.url, `http://localhost:${PORT}`).searchParams, config.schema);
+  } else {
+    try {
+      body = await parseBody(req);
+    } catch (e) {
+      return sendJSON(res, 400, { error: 'invalid_json', message: 'Request body must be valid JSON' });
+    }
   }
 
-  if (!body.question) {
-    return sendJSON(res, 400, { error: 'missing_question', message: 'Request must include a "question" field' });
+  const prepared = prepareBody(config, body);
+  if (prepared.invalid) {
+    return sendJSON(res, 400, prepared.invalid);
   }
+  body = prepared.body;
 
   // Build payment requirement
-  const paymentRequired = buildPaymentRequired(endpoint, 'POST', planId, agentId);
+  const paymentRequired = buildPaymentRequired(endpoint, req.method, planId, agentId);
 
-  // Verify subscriber has credits
-  let verification;
-  try {
-    verification = await payments.facilitator.verifyPermissions({
-      paymentRequired,
-      x402AccessToken: x402Token,
-      maxAmount: 1n
-    });
-
-    if (!verification.isValid) {
-      return sendJSON(res, 401, {
-        error: 'insufficient_credits',
-        message: 'Access token is invalid or you have insufficient credits',
-        purchaseUrl: `https://nevermined.app/agents/${agentId}`
-      });
-    }
-  } catch (err) {
-    console.error(`${name} verification error:`, err.message);
-    return sendJSON(res, 401, {
-      error: 'verification_failed',
-      message: err.message || 'Failed to verify access token',
-      purchaseUrl: `https://nevermined.app/agents/${agentId}`
-    });
+  // Verify subscriber has credits for the most this query can cost
+  const denied = await verifyCredits(paymentRequired, x402Token, charging.maxCreditsPerQuery(), config);
+  if (denied) {
+    return sendJSON(res, denied.status, denied.body);
   }
 
   // Process the oracle query
-  console.log(`[${name}] Processing paid query: "${body.question}"`);
+  console.log(`[${name}] Processing paid query: ${describe(body)}`);
   let oracleResult;
   try {
-    oracleResult = await oracle.askOracle(body.question);
+    oracleResult = await runOracle(config, body);
   } catch (err) {
     console.error(`${name} oracle error:`, err.message);
     return sendJSON(res, 500, {
@@ -270,46 +684,178 @@ async function handleOracleRequest(req, res, config) {
     });
   }
 
-  // Meta-evolution: Log result for continuous improvement
+  // Settle (burn) credits per the charging policy - nothing for failures
+  const charge = charging.chargeFor(oracleResult);
+  const payment = charge.credits > 0
+    ? await settleCredits(paymentRequired, x402Token, charge.credits, name)
+    : { creditsUsed: 0, timestamp: new Date().toISOString() };
+  oracleResult.payment = { ...payment, policy: { name: charging.getChargingPolicy().name, ...charge } };
+
+  // Sign the full response so it can be shown to third parties
+  const attestation = attestations.signResult(oracleResult);
+  if (attestation) oracleResult.attestation = attestation;
+
+  return sendJSON(res, 200, oracleResult);
+}
+
+/**
+ * Check that an access token covers `credits` credits.
+ * Returns null if it does, else { status, body } to send.
+ */
+async function verifyCredits(paymentRequired, x402Token, credits, config) {
+  const { agentId, name } = config;
   try {
-    if (name === 'Sports') {
-      metaEvolution.processSportsResult(oracleResult);
-    } else if (name === 'Reddit') {
-      metaEvolution.processRedditResult(oracleResult);
+    const verification = await payments.facilitator.verifyPermissions({
+      paymentRequired,
+      x402AccessToken: x402Token,
+      maxAmount: BigInt(credits)
+    });
+
+    if (!verification.isValid) {
+      return {
+        status: 401,
+        body: {
+          error: 'insufficient_credits',
+          message: 'Access token is invalid or you have insufficient credits',
+          purchaseUrl: `https://nevermined.app/agents/${agentId}`
+        }
+      };
     }
-  } catch (e) {
-    console.log('[MetaEvolution] Logging failed:', e.message);
+  } catch (err) {
+    console.error(`${name} verification error:`, err.message);
+    return {
+      status: 401,
+      body: {
+        error: 'verification_failed',
+        message: err.message || 'Failed to verify access token',
+        purchaseUrl: `https://nevermined.app/agents/${agentId}`
+      }
+    };
   }
+  return null;
+}
 
-  // Settle (burn) the credits after successful query
+/**
+ * Settle (burn) credits and describe it for the response's payment block
+ */
+async function settleCredits(paymentRequired, x402Token, credits, name) {
   try {
     const settlement = await payments.facilitator.settlePermissions({
       paymentRequired,
       x402AccessToken: x402Token,
-      maxAmount: 1n
+      maxAmount: BigInt(credits)
     });
 
     console.log(`[${name}] Credits settled:`, settlement);
-    oracleResult.payment = {
-      creditsUsed: 1,
+    return {
+      creditsUsed: credits,
       txHash: settlement.txHash,
       timestamp: new Date().toISOString()
     };
   } catch (err) {
     console.error(`${name} settlement error:`, err.message);
-    oracleResult.payment = {
+    return {
       creditsUsed: 0,
       error: 'settlement_failed',
       message: err.message
     };
   }
+}
 
-  return sendJSON(res, 200, oracleResult);
+/**
+ * Batch handler: { endpoint, items } runs every item against one endpoint
+ * (default /api/verify). Items are request bodies for that endpoint, or bare
+ * question strings. Credits for the whole batch are verified up front, and
+ * each item is settled per the charging policy.
+ */
+async function handleBatchRequest(req, res) {
+  let body;
+  try {
+    body = await parseBody(req);
+  } catch (e) {
+    return sendJSON(res, 400, { error: 'invalid_json', message: 'Request body must be valid JSON' });
+  }
+
+  const fields = apiSchemas.validate(apiSchemas.BATCH_SCHEMA, body);
+  const endpoint = body?.endpoint || '/api/verify';
+  // Own keys only, so "constructor" or "__proto__" isn't taken for an endpoint
+  const config = typeof endpoint === 'string' && Object.hasOwn(ORACLE_ENDPOINTS, endpoint)
+    ? ORACLE_ENDPOINTS[endpoint]
+    : null;
+  if (!config && typeof endpoint === 'string') {
+    fields.push({ field: 'endpoint', message: `must be one of: ${Object.keys(ORACLE_ENDPOINTS).join(', ')}` });
+  }
+  if (fields.length > 0) {
+    return sendJSON(res, 400, {
+      error: 'invalid_request',
+      message: fields.map(f => `${f.field} ${f.message}`).join('; '),
+      fields
+    });
+  }
+
+  const { planId, agentId, name } = config;
+  const x402Token = paymentToken(req);
+  if (!x402Token) {
+    return sendJSON(res, 402, paymentRequiredError(planId, agentId));
+  }
+
+  // One verification for the whole batch
+  const paymentRequired = buildPaymentRequired('/api/batch', 'POST', planId, agentId);
+  const creditsVerified = body.items.length * charging.maxCreditsPerQuery();
+  const denied = await verifyCredits(paymentRequired, x402Token, creditsVerified, config);
+  if (denied) {
+    return sendJSON(res, denied.status, denied.body);
+  }
+
+  console.log(`[${name}] Processing paid batch: ${body.items.length} queries to ${endpoint}`);
+  const items = await mapWithConcurrency(body.items, async (item, index) => {
+    const prepared = prepareBody(config, typeof item === 'string' ? { question: item } : item);
+    if (prepared.invalid) {
+      return { index, answered: false, credits: 0, ...prepared.invalid };
+    }
+
+    try {
+      // Rails are checked per item, so a batch stops at the daily limit or circuit breaker
+      const safetyCheck = config.oracle.checkSafetyLimits();
+      if (!safetyCheck.safe) {
+        return { index, answered: false, credits: 0, error: safetyCheck.reason, message: safetyCheck.message, safetyTriggered: true };
+      }
+
+      const result = await runOracle(config, prepared.body);
+      const charge = charging.chargeFor(result);
+      const attestation = attestations.signResult(result);
+      if (attestation) result.attestation = attestation;
+      return { index, answered: charge.outcome === charging.CHARGE_OUTCOMES.ANSWERED, credits: charge.credits, charge, result };
+    } catch (err) {
+      console.error(`${name} oracle error (batch item ${index}):`, err.message);
+      return { index, answered: false, credits: 0, error: 'oracle_error', message: 'Failed to process query', details: err.message };
+    }
+  });
+
+  const summary = summarizeBatch(items);
+  const payment = summary.credits > 0
+    ? await settleCredits(paymentRequired, x402Token, summary.credits, name)
+    : { creditsUsed: 0, timestamp: new Date().toISOString() };
+
+  return sendJSON(res, 200, {
+    endpoint,
+    items,
+    summary,
+    payment: { ...payment, creditsVerified, policy: charging.describePolicy() },
+    timestamp: new Date().toISOString()
+  });
 }
 
 // Create and start server
 const server = createServer(handleRequest);
 
+// Background snapshots for Reddit trend questions (comma-separated subreddits)
+const SNAPSHOT_SUBREDDITS = (process.env.REDDIT_SNAPSHOT_SUBREDDITS || '')
+  .split(',')
+  .map(s => s.trim().replace(/^r\//i, ''))
+  .filter(Boolean);
+const SNAPSHOT_INTERVAL_MINUTES = parseInt(process.env.REDDIT_SNAPSHOT_INTERVAL_MINUTES || '15', 10);
+
 server.listen(PORT, () => {
   console.log(`\n=== OpenClaw Oracles API ===`);
   console.log(`Running on port ${PORT}\n`);
@@ -321,12 +867,28 @@ server.listen(PORT, () => {
   console.log(`\nReddit Oracle:`);
   console.log(`  Plan ID: ${REDDIT_PLAN_ID || '(not registered)'}`);
   console.log(`  Agent ID: ${REDDIT_AGENT_ID || '(not registered)'}`);
+  if (SNAPSHOT_SUBREDDITS.length > 0) {
+    redditOracle.startSnapshotCollector(SNAPSHOT_SUBREDDITS, SNAPSHOT_INTERVAL_MINUTES);
+    console.log(`  Snapshots: r/${SNAPSHOT_SUBREDDITS.join(', r/')} every ${SNAPSHOT_INTERVAL_MINUTES} min`);
+  }
+
+  const signingKey = attestations.getSigningKey();
+  console.log(`\nAttestations: ${signingKey ? `Ed25519, key ID ${signingKey.keyId}` : 'off (run npm run keygen to enable)'}`);
 
   console.log(`\nEndpoints:`);
   console.log(`  GET  /health       - Health check`);
   console.log(`  GET  /openapi.json - API specification`);
   console.log(`  POST /api/verify   - Sports Oracle (requires payment)`);
+  console.log(`  POST /api/resolve  - Prediction market resolution (requires payment)`);
+  console.log(`  POST /api/game-threads - Reddit game threads for a verified game (requires payment)`);
   console.log(`  POST /api/reddit   - Reddit Oracle (requires payment)`);
+  console.log(`  GET|POST /api/v2/sports/games     - Structured game verification (requires payment)`);
+  console.log(`  GET|POST /api/v2/reddit/listings  - Structured subreddit listing (requires payment)`);
+  console.log(`  GET|POST /api/v2/reddit/posts     - Structured post and comments (requires payment)`);
+  console.log(`  GET|POST /api/v2/reddit/search    - Structured subreddit search (requires payment)`);
+  console.log(`  POST /api/batch    - Many queries to one endpoint (requires payment)`);
+  console.log(`  GET  /.well-known/oracle-signing-key.json - Attestation public key`);
+  console.log(`  POST /api/attestations/verify - Check a signed response`);
 
   console.log(`\nTest commands:`);
   console.log(`  curl -X POST http://localhost:${PORT}/api/verify -H "Content-Type: application/json" -d '{"question": "Who won the Lakers game yesterday?"}'`);
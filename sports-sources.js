@@ -0,0 +1,1097 @@
+/**
+ * Sports Data Sources
+ *
+ * Pluggable source adapters for the Sports Verification Oracle.
+ * Every adapter answers the same question - "what happened in this team's
+ * game on this date?" - and returns a normalized game record so the oracle
+ * can reconcile several providers into a consensus answer.
+ *
+ * Adapter interface:
+ *   {
+ *     name: string,                          // Unique source identifier
+ *     supports(query) => boolean,            // Optional - skip when false
+ *     query(teamName, date, context) => Promise<Game|{ source, games }|{ error, source }>,
+ *     queryBoxScore(eventId, context) => Promise<{ source, lines }|{ error, source }>,  // Optional
+ *     searchPlayers(name) => Promise<{ source, players }|{ error, source }>,           // Optional
+ *     querySeason(teamName, season, context) => Promise<{ source, season, games }|{ error, source }>,  // Optional
+ *     queryStandings(teamName, season, context) => Promise<{ source, season, standings }|{ error, source }>  // Optional
+ *   }
+ *
+ * A source returns { source, games } when the team played more than once
+ * that day (doubleheaders, tournaments), with games ordered by start time.
+ * context carries the query's league, when known, so a source covering
+ * several sports can stay within it.
+ *
+ * Game record:
+ *   { source, homeTeam, awayTeam, homeScore, awayScore, winner, status, date, league,
+ *     eventId, startTime?, lookupStrategy?, rescheduledDate? }
+ *
+ * Scores are null until a game starts, and winner is null until it is final.
+ *
+ * Box-score line:
+ *   { player, team, stats: { points, rebounds, passingYards, goals, ... } }
+ *
+ * Seasons are labelled the way TheSportsDB does: "2025-2026" for leagues that
+ * span two years, "2025" for single-year leagues (MLB, NFL).
+ *
+ * Standings row:
+ *   { rank, team, group, wins, losses, ties, played, points? }
+ */
+
+const axios = require('axios');
+const { todayIn, DATE_DEFAULTS } = require('./date-parser');
+const { cached, CACHE_TTLS } = require('./cache');
+const { canonicalTeamName } = require('./team-registry');
+
+// =============================================================================
+// SOURCE CONFIGURATION
+// =============================================================================
+
+// Base URLs can be overridden so adapters can run against local fixture servers
+const SOURCE_DEFAULTS = {
+  thesportsdb: {
+    baseUrl: process.env.SPORTSDB_BASE_URL || 'https://www.thesportsdb.com/api/v1/json/3',
+  },
+  balldontlie: {
+    baseUrl: process.env.BALLDONTLIE_BASE_URL || 'https://api.balldontlie.io/v1',
+    apiKey: process.env.BALLDONTLIE_API_KEY,
+  },
+  espn: {
+    baseUrl: process.env.ESPN_BASE_URL || 'https://site.api.espn.com/apis/site/v2/sports',
+    standingsBaseUrl: process.env.ESPN_STANDINGS_BASE_URL || 'https://site.api.espn.com/apis/v2/sports',
+    leagues: ['basketball/nba', 'football/nfl', 'baseball/mlb', 'hockey/nhl'],
+  },
+};
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Decide the winner from a final score
+ * @param {string} homeTeam - Home team name
+ * @param {string} awayTeam - Away team name
+ * @param {number} homeScore - Home team score
+ * @param {number} awayScore - Away team score
+ * @returns {string} Winning team name or 'tie'
+ */
+function pickWinner(homeTeam, awayTeam, homeScore, awayScore) {
+  if (homeScore > awayScore) return homeTeam;
+  if (awayScore > homeScore) return awayTeam;
+  return 'tie';
+}
+
+// Normalized game status reported by every source
+const GAME_STATUS = {
+  SCHEDULED: 'scheduled',
+  LIVE: 'live',
+  FINAL: 'final',
+  POSTPONED: 'postponed',
+  CANCELLED: 'cancelled',
+  ABANDONED: 'abandoned',
+};
+
+/**
+ * Parse a score, keeping "no score yet" distinct from zero
+ * @param {string|number|null} value - Raw score from a source
+ * @returns {number|null} Score or null
+ */
+function parseScore(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const score = parseInt(value, 10);
+  return isNaN(score) ? null : score;
+}
+
+/**
+ * Build a normalized game record. A winner is only declared for final games.
+ * @param {Object} fields - Game fields (see Game record above, minus winner)
+ * @returns {Object} Game record
+ */
+function buildGame(fields) {
+  const { homeTeam, awayTeam, homeScore, awayScore, status } = fields;
+  const scored = homeScore !== null && awayScore !== null;
+
+  return {
+    ...fields,
+    winner: status === GAME_STATUS.FINAL && scored
+      ? pickWinner(homeTeam, awayTeam, homeScore, awayScore)
+      : null
+  };
+}
+
+/**
+ * Wrap a team's games for one day into an adapter result
+ * @param {string} source - Source name
+ * @param {Array<Object>} games - Game records
+ * @returns {Object} The single game, or { source, games } ordered by start time
+ */
+function gamesResult(source, games) {
+  if (games.length === 1) return games[0];
+  const sorted = [...games].sort((a, b) =>
+    (a.startTime || '').localeCompare(b.startTime || '')
+  );
+  return { source, games: sorted };
+}
+
+/**
+ * Convert a source timestamp to ISO 8601 UTC
+ * @param {string} value - Timestamp from a source
+ * @returns {string|null} ISO timestamp or null
+ */
+function toISOTime(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return isNaN(d) ? null : d.toISOString();
+}
+
+/**
+ * Add combined stats (total yards and touchdowns) to a stat line
+ * @param {Object} stats - Stat line
+ * @returns {Object} Stat line with totals
+ */
+function addStatTotals(stats) {
+  const sum = keys => keys
+    .filter(key => typeof stats[key] === 'number')
+    .reduce((total, key) => total + stats[key], 0);
+
+  const yardKeys = ['passingYards', 'rushingYards', 'receivingYards'];
+  if (yardKeys.some(key => key in stats) && !('totalYards' in stats)) {
+    stats.totalYards = sum(yardKeys);
+  }
+
+  const touchdownKeys = ['passingTouchdowns', 'rushingTouchdowns', 'receivingTouchdowns'];
+  if (touchdownKeys.some(key => key in stats) && !('touchdowns' in stats)) {
+    stats.touchdowns = sum(touchdownKeys);
+  }
+
+  return stats;
+}
+
+/**
+ * Loose team name match - "Lakers" matches "Los Angeles Lakers", and
+ * "LA Clippers" matches "Los Angeles Clippers" through the team registry
+ * @param {string} candidate - Team name reported by a source
+ * @param {string} teamName - Team name being looked up
+ * @param {string} league - Optional league to disambiguate registry lookups
+ * @returns {boolean} True if the names refer to the same team
+ */
+function teamNameMatches(candidate, teamName, league) {
+  if (!candidate || !teamName) return false;
+  const a = candidate.toLowerCase();
+  const b = teamName.toLowerCase();
+  if (a === b || a.includes(b) || b.includes(a)) return true;
+
+  const wanted = canonicalTeamName(teamName, league);
+  return Boolean(wanted && canonicalTeamName(candidate, league) === wanted);
+}
+
+/**
+ * Split a season label into its start and end years
+ * @param {string} season - Season label ("2025-2026" or "2025")
+ * @returns {Object} { start, end }
+ */
+function seasonYears(season) {
+  const [start, end] = String(season).split('-').map(n => parseInt(n, 10));
+  return { start, end: end || start };
+}
+
+// =============================================================================
+// THESPORTSDB
+// =============================================================================
+
+// Lookup strategies, cheapest first
+const SPORTSDB_STRATEGIES = {
+  RECENT: 'recent_events',     // eventslast.php - the team's last few events
+  DAY: 'day_listing',          // eventsday.php - every event in the league that day
+  SEASON: 'season_listing',    // eventsseason.php - the league's full season schedule
+};
+
+/**
+ * Work out which TheSportsDB season labels may contain a date.
+ * Leagues that span two years (NBA, NHL, soccer) use "2025-2026";
+ * single-year leagues (MLB, NFL) use "2025", and NFL playoffs run into
+ * the following January/February.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Array<string>} Candidate season labels, most likely first
+ */
+function candidateSeasons(date) {
+  const [year, month] = date.split('-').map(n => parseInt(n, 10));
+  const seasons = month >= 7
+    ? [`${year}-${year + 1}`, `${year}`]
+    : [`${year - 1}-${year}`, `${year}`];
+  if (month <= 2) {
+    seasons.push(`${year - 1}`);
+  }
+  return seasons;
+}
+
+/**
+ * Map a TheSportsDB event to a normalized status
+ * @param {Object} event - TheSportsDB event
+ * @returns {string} GAME_STATUS value
+ */
+function sportsDBStatus(event) {
+  const raw = (event.strStatus || '').trim().toLowerCase();
+
+  if (event.strPostponed === 'yes' || ['postponed', 'post', 'pst'].includes(raw)) {
+    return GAME_STATUS.POSTPONED;
+  }
+  if (['cancelled', 'canceled', 'canc', 'can'].includes(raw)) {
+    return GAME_STATUS.CANCELLED;
+  }
+  if (['abandoned', 'abd', 'aban'].includes(raw)) {
+    return GAME_STATUS.ABANDONED;
+  }
+  if (['match finished', 'finished', 'final', 'ft', 'aet', 'aot', 'ap', 'pen', 'fin'].includes(raw)) {
+    return GAME_STATUS.FINAL;
+  }
+  if (['', 'not started', 'ns', 'tbd', 'time to be defined'].includes(raw)) {
+    // Older events often carry scores with no status at all
+    const scored = parseScore(event.intHomeScore) !== null && parseScore(event.intAwayScore) !== null;
+    return raw === '' && scored ? GAME_STATUS.FINAL : GAME_STATUS.SCHEDULED;
+  }
+
+  // Quarters, halves, periods, innings, breaks, suspensions
+  return GAME_STATUS.LIVE;
+}
+
+/**
+ * Check whether a TheSportsDB event involves the given team
+ * @param {Object} event - TheSportsDB event
+ * @param {Object} team - TheSportsDB team
+ * @returns {boolean} True if the team played in the event
+ */
+function eventInvolvesTeam(event, team) {
+  if (event.idHomeTeam || event.idAwayTeam) {
+    return event.idHomeTeam === team.idTeam || event.idAwayTeam === team.idTeam;
+  }
+  return teamNameMatches(event.strHomeTeam, team.strTeam) ||
+    teamNameMatches(event.strAwayTeam, team.strTeam);
+}
+
+/**
+ * Find the team's events on a date using progressively wider listings
+ * @param {Object} team - TheSportsDB team
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} baseUrl - API base URL
+ * @returns {Object|null} { matches, events, strategy } or null
+ */
+async function findSportsDBEvent(team, date, baseUrl) {
+  const lookups = [
+    {
+      strategy: SPORTSDB_STRATEGIES.RECENT,
+      url: `${baseUrl}/eventslast.php?id=${team.idTeam}`,
+      key: 'results'
+    }
+  ];
+
+  if (team.strLeague) {
+    lookups.push({
+      strategy: SPORTSDB_STRATEGIES.DAY,
+      url: `${baseUrl}/eventsday.php?d=${date}&l=${encodeURIComponent(team.strLeague)}`,
+      key: 'events'
+    });
+  }
+
+  if (team.idLeague) {
+    for (const season of candidateSeasons(date)) {
+      lookups.push({
+        strategy: SPORTSDB_STRATEGIES.SEASON,
+        url: `${baseUrl}/eventsseason.php?id=${team.idLeague}&s=${encodeURIComponent(season)}`,
+        key: 'events'
+      });
+    }
+  }
+
+  for (const lookup of lookups) {
+    let events;
+    try {
+      const response = await axios.get(lookup.url, { timeout: REQUEST_TIMEOUT_MS });
+      events = response.data?.[lookup.key];
+    } catch (error) {
+      continue; // Fall through to the next strategy
+    }
+
+    if (!Array.isArray(events)) continue;
+
+    const matches = events.filter(e =>
+      e.dateEvent === date && eventInvolvesTeam(e, team)
+    );
+
+    if (matches.length > 0) {
+      return { matches, events, strategy: lookup.strategy };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Look up a team on TheSportsDB
+ * @param {string} teamName - Team to search for
+ * @param {string} baseUrl - API base URL
+ * @returns {Object|null} TheSportsDB team or null
+ */
+async function findSportsDBTeam(teamName, baseUrl) {
+  const { value } = await cached('team', `${baseUrl}|${teamName.toLowerCase()}`, async () => {
+    const teamSearch = await axios.get(
+      `${baseUrl}/searchteams.php?t=${encodeURIComponent(teamName)}`,
+      { timeout: REQUEST_TIMEOUT_MS }
+    );
+    const teams = teamSearch.data.teams;
+    return Array.isArray(teams) && teams.length > 0 ? teams[0] : null;
+  }, team => (team ? CACHE_TTLS.team : 0));
+  return value;
+}
+
+/**
+ * Convert a TheSportsDB event to a game record
+ * @param {Object} event - TheSportsDB event
+ * @param {Object} extra - Additional fields (lookupStrategy, rescheduledDate, ...)
+ * @returns {Object} Game record
+ */
+function sportsDBGame(event, extra = {}) {
+  const hasTime = event.strTime && event.strTime !== '00:00:00';
+
+  return buildGame({
+    source: 'thesportsdb',
+    homeTeam: event.strHomeTeam,
+    awayTeam: event.strAwayTeam,
+    homeScore: parseScore(event.intHomeScore),
+    awayScore: parseScore(event.intAwayScore),
+    status: sportsDBStatus(event),
+    date: event.dateEvent,
+    league: event.strLeague,
+    eventId: event.idEvent,
+    startTime: toISOTime(event.strTimestamp) ||
+      (hasTime ? toISOTime(`${event.dateEvent}T${event.strTime}Z`) : null),
+    ...extra
+  });
+}
+
+/**
+ * How long to cache a TheSportsDB result: final games for good, anything that
+ * can still change for a minute, "no game that day" for a few minutes
+ * @param {Object} result - lookupSportsDB result
+ * @returns {number} Seconds (0 = don't cache)
+ */
+function sportsDBResultTTL(result) {
+  if (result.error === 'event_not_found_on_date') return CACHE_TTLS.gameMissing;
+  if (result.error) return 0;
+  const games = result.games || [result];
+  return games.every(g => g.status === GAME_STATUS.FINAL) ? CACHE_TTLS.gameFinal : CACHE_TTLS.gameNotFinal;
+}
+
+/**
+ * Query TheSportsDB for a team's event on any past date, through the cache
+ * @param {string} teamName - Team to search for
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} options - Source options
+ * @param {string} options.baseUrl - API base URL
+ * @returns {Object} Event data or error, with cache ({ hit, ageSeconds, storedAt })
+ */
+async function querySportsDB(teamName, date, options = {}) {
+  const baseUrl = options.baseUrl || SOURCE_DEFAULTS.thesportsdb.baseUrl;
+  const { value, cache } = await cached(
+    'sportsdbEvent',
+    `${baseUrl}|${teamName.toLowerCase()}|${date}`,
+    () => lookupSportsDB(teamName, date, baseUrl),
+    sportsDBResultTTL
+  );
+  return { ...value, cache };
+}
+
+/**
+ * Look up a team's event on TheSportsDB
+ * @param {string} teamName - Team to search for
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} baseUrl - API base URL
+ * @returns {Object} Event data or error
+ */
+async function lookupSportsDB(teamName, date, baseUrl) {
+  try {
+    // Search for team first
+    const team = await findSportsDBTeam(teamName, baseUrl);
+
+    if (!team) {
+      return { error: 'team_not_found', source: 'thesportsdb' };
+    }
+
+    const found = await findSportsDBEvent(team, date, baseUrl);
+
+    if (!found) {
+      return { error: 'event_not_found_on_date', source: 'thesportsdb' };
+    }
+
+    const { matches, events, strategy } = found;
+
+    const games = matches.map(event => {
+      // A postponed game reappears later in the listing between the same teams
+      let rescheduledDate = null;
+      if (sportsDBStatus(event) === GAME_STATUS.POSTPONED) {
+        const makeup = events.find(e =>
+          e.dateEvent > date &&
+          e.idEvent !== event.idEvent &&
+          [e.strHomeTeam, e.strAwayTeam].sort().join('|') ===
+            [event.strHomeTeam, event.strAwayTeam].sort().join('|')
+        );
+        rescheduledDate = makeup ? makeup.dateEvent : null;
+      }
+
+      return sportsDBGame(event, { lookupStrategy: strategy, rescheduledDate });
+    });
+
+    return gamesResult('thesportsdb', games);
+  } catch (error) {
+    return { error: error.message, source: 'thesportsdb' };
+  }
+}
+
+/**
+ * Create a TheSportsDB source adapter
+ * @param {Object} options - Adapter options
+ * @param {string} options.baseUrl - API base URL
+ * @returns {Object} Source adapter
+ */
+function createSportsDBSource(options = {}) {
+  const config = { ...SOURCE_DEFAULTS.thesportsdb, ...options };
+  return {
+    name: 'thesportsdb',
+    query: (teamName, date) => querySportsDB(teamName, date, config),
+    searchPlayers: name => searchSportsDBPlayers(name, config),
+    querySeason: (teamName, season) => querySportsDBSeason(teamName, season, config),
+    queryStandings: (teamName, season) => querySportsDBStandings(teamName, season, config)
+  };
+}
+
+/**
+ * Get every game a team has on TheSportsDB's season schedule
+ * @param {string} teamName - Team to search for
+ * @param {string} season - Season label ("2025-2026" or "2025")
+ * @param {Object} options - Source options
+ * @param {string} options.baseUrl - API base URL
+ * @returns {Object} { source, season, games } or error
+ */
+async function querySportsDBSeason(teamName, season, options = {}) {
+  const baseUrl = options.baseUrl || SOURCE_DEFAULTS.thesportsdb.baseUrl;
+
+  try {
+    const team = await findSportsDBTeam(teamName, baseUrl);
+    if (!team || !team.idLeague) {
+      return { error: 'team_not_found', source: 'thesportsdb' };
+    }
+
+    const response = await axios.get(
+      `${baseUrl}/eventsseason.php?id=${team.idLeague}&s=${encodeURIComponent(season)}`,
+      { timeout: REQUEST_TIMEOUT_MS }
+    );
+
+    const games = (response.data.events || [])
+      .filter(event => eventInvolvesTeam(event, team))
+      .map(event => sportsDBGame(event, { lookupStrategy: SPORTSDB_STRATEGIES.SEASON }));
+
+    if (games.length === 0) {
+      return { error: 'season_not_found', source: 'thesportsdb' };
+    }
+
+    return { source: 'thesportsdb', season, games };
+  } catch (error) {
+    return { error: error.message, source: 'thesportsdb' };
+  }
+}
+
+/**
+ * Get the league table containing a team from TheSportsDB
+ * @param {string} teamName - Team to search for
+ * @param {string} season - Season label ("2025-2026" or "2025")
+ * @param {Object} options - Source options
+ * @param {string} options.baseUrl - API base URL
+ * @returns {Object} { source, season, league, standings } or error
+ */
+async function querySportsDBStandings(teamName, season, options = {}) {
+  const baseUrl = options.baseUrl || SOURCE_DEFAULTS.thesportsdb.baseUrl;
+
+  try {
+    const team = await findSportsDBTeam(teamName, baseUrl);
+    if (!team || !team.idLeague) {
+      return { error: 'team_not_found', source: 'thesportsdb' };
+    }
+
+    const response = await axios.get(
+      `${baseUrl}/lookuptable.php?l=${team.idLeague}&s=${encodeURIComponent(season)}`,
+      { timeout: REQUEST_TIMEOUT_MS }
+    );
+
+    const table = response.data.table || [];
+    if (table.length === 0) {
+      return { error: 'standings_not_found', source: 'thesportsdb' };
+    }
+
+    const standings = table.map(row => ({
+      rank: parseScore(row.intRank),
+      team: row.strTeam,
+      group: row.strGroup || null,
+      wins: parseScore(row.intWin),
+      losses: parseScore(row.intLoss),
+      ties: parseScore(row.intDraw) || 0,
+      played: parseScore(row.intPlayed),
+      points: parseScore(row.intPoints)
+    }));
+
+    return { source: 'thesportsdb', season, league: team.strLeague, standings };
+  } catch (error) {
+    return { error: error.message, source: 'thesportsdb' };
+  }
+}
+
+/**
+ * Search TheSportsDB for players by name
+ * @param {string} name - Full or partial player name
+ * @param {Object} options - Source options
+ * @param {string} options.baseUrl - API base URL
+ * @returns {Object} { source, players: [{ name, team, sport }] } or error
+ */
+async function searchSportsDBPlayers(name, options = {}) {
+  const baseUrl = options.baseUrl || SOURCE_DEFAULTS.thesportsdb.baseUrl;
+
+  try {
+    const response = await axios.get(
+      `${baseUrl}/searchplayers.php?p=${encodeURIComponent(name)}`,
+      { timeout: REQUEST_TIMEOUT_MS }
+    );
+
+    const players = (response.data.player || [])
+      .filter(p => p.strTeam && !/retired/i.test(p.strStatus || ''))
+      .map(p => ({ name: p.strPlayer, team: p.strTeam, sport: p.strSport }));
+
+    if (players.length === 0) {
+      return { error: 'player_not_found', source: 'thesportsdb' };
+    }
+
+    return { source: 'thesportsdb', players };
+  } catch (error) {
+    return { error: error.message, source: 'thesportsdb' };
+  }
+}
+
+// =============================================================================
+// BALLDONTLIE (NBA only)
+// =============================================================================
+
+/**
+ * Map a BALLDONTLIE game to a normalized status. The API reports "Final",
+ * a tip-off time for upcoming games, or the current period while live.
+ * @param {Object} game - BALLDONTLIE game
+ * @returns {string} GAME_STATUS value
+ */
+function ballDontLieStatus(game) {
+  const raw = (game.status || '').trim().toLowerCase();
+
+  if (raw.startsWith('final')) return GAME_STATUS.FINAL;
+  if (raw.includes('postponed')) return GAME_STATUS.POSTPONED;
+  if (raw.includes('cancel')) return GAME_STATUS.CANCELLED;
+  if (!raw || /^\d{4}-\d{2}-\d{2}t/.test(raw) || /\b(am|pm|et)\b/.test(raw)) {
+    return GAME_STATUS.SCHEDULED;
+  }
+  return GAME_STATUS.LIVE;
+}
+
+/**
+ * Create a BALLDONTLIE source adapter
+ * @param {Object} options - Adapter options
+ * @param {string} options.baseUrl - API base URL
+ * @param {string} options.apiKey - BALLDONTLIE API key (required by the API)
+ * @returns {Object} Source adapter
+ */
+function createBallDontLieSource(options = {}) {
+  const config = { ...SOURCE_DEFAULTS.balldontlie, ...options };
+  const headers = config.apiKey ? { Authorization: config.apiKey } : {};
+
+  const findTeam = async teamName => {
+    const teamsResponse = await axios.get(`${config.baseUrl}/teams`, {
+      headers,
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    return (teamsResponse.data.data || []).find(t =>
+      teamNameMatches(t.full_name, teamName) || teamNameMatches(t.name, teamName)
+    ) || null;
+  };
+
+  const toGame = (game, lookupStrategy) => buildGame({
+    source: 'balldontlie',
+    homeTeam: game.home_team.full_name,
+    awayTeam: game.visitor_team.full_name,
+    homeScore: parseScore(game.home_team_score),
+    awayScore: parseScore(game.visitor_team_score),
+    status: ballDontLieStatus(game),
+    date: (game.date || '').slice(0, 10),
+    league: 'NBA',
+    eventId: String(game.id),
+    startTime: toISOTime(game.datetime) ||
+      (/^\d{4}-\d{2}-\d{2}T/.test(game.status || '') ? toISOTime(game.status) : null),
+    lookupStrategy
+  });
+
+  return {
+    name: 'balldontlie',
+
+    // Only NBA, and only when an API key is configured
+    supports(query = {}) {
+      if (!config.apiKey) return false;
+      return !query.league || query.league.toUpperCase() === 'NBA';
+    },
+
+    async query(teamName, date) {
+      try {
+        const team = await findTeam(teamName);
+
+        if (!team) {
+          return { error: 'team_not_found', source: 'balldontlie' };
+        }
+
+        const gamesResponse = await axios.get(
+          `${config.baseUrl}/games?dates[]=${date}&team_ids[]=${team.id}`,
+          { headers, timeout: REQUEST_TIMEOUT_MS }
+        );
+
+        const games = (gamesResponse.data.data || []).filter(g =>
+          (g.date || '').slice(0, 10) === date
+        );
+
+        if (games.length === 0) {
+          return { error: 'event_not_found_on_date', source: 'balldontlie' };
+        }
+
+        return gamesResult('balldontlie', games.map(game => toGame(game, 'date_games')));
+      } catch (error) {
+        if (error.response?.status === 401) {
+          return { error: 'unauthorized', source: 'balldontlie' };
+        }
+        return { error: error.message, source: 'balldontlie' };
+      }
+    },
+
+    async querySeason(teamName, season) {
+      try {
+        const team = await findTeam(teamName);
+
+        if (!team) {
+          return { error: 'team_not_found', source: 'balldontlie' };
+        }
+
+        // BALLDONTLIE names seasons by their starting year; an NBA regular
+        // season fits in one page, so the cursor rarely needs following
+        const games = [];
+        let cursor = null;
+        for (let page = 0; page < 5; page++) {
+          const response = await axios.get(
+            `${config.baseUrl}/games?seasons[]=${seasonYears(season).start}&team_ids[]=${team.id}&per_page=100` +
+              (cursor ? `&cursor=${cursor}` : ''),
+            { headers, timeout: REQUEST_TIMEOUT_MS }
+          );
+          games.push(...(response.data.data || []));
+          cursor = response.data.meta?.next_cursor;
+          if (!cursor) break;
+        }
+
+        if (games.length === 0) {
+          return { error: 'season_not_found', source: 'balldontlie' };
+        }
+
+        return {
+          source: 'balldontlie',
+          season,
+          games: games.map(game => toGame(game, 'season_games'))
+        };
+      } catch (error) {
+        if (error.response?.status === 401) {
+          return { error: 'unauthorized', source: 'balldontlie' };
+        }
+        return { error: error.message, source: 'balldontlie' };
+      }
+    },
+
+    async queryBoxScore(eventId) {
+      try {
+        const response = await axios.get(
+          `${config.baseUrl}/stats?game_ids[]=${eventId}&per_page=100`,
+          { headers, timeout: REQUEST_TIMEOUT_MS }
+        );
+
+        const lines = (response.data.data || []).map(row => ({
+          player: `${row.player.first_name} ${row.player.last_name}`,
+          team: row.team?.full_name || null,
+          stats: {
+            minutes: row.min,
+            points: row.pts,
+            rebounds: row.reb,
+            assists: row.ast,
+            steals: row.stl,
+            blocks: row.blk,
+            turnovers: row.turnover,
+            threePointFieldGoalsMade: row.fg3m
+          }
+        }));
+
+        return { source: 'balldontlie', lines };
+      } catch (error) {
+        if (error.response?.status === 401) {
+          return { error: 'unauthorized', source: 'balldontlie' };
+        }
+        return { error: error.message, source: 'balldontlie' };
+      }
+    }
+  };
+}
+
+// =============================================================================
+// ESPN SCOREBOARD
+// =============================================================================
+
+/**
+ * Map an ESPN scoreboard event to a normalized status
+ * @param {Object} event - ESPN scoreboard event
+ * @returns {string} GAME_STATUS value
+ */
+function espnStatus(event) {
+  const type = event.status?.type || event.competitions?.[0]?.status?.type || {};
+  const name = (type.name || '').toUpperCase();
+
+  if (name.includes('POSTPONED')) return GAME_STATUS.POSTPONED;
+  if (name.includes('CANCELED') || name.includes('CANCELLED')) return GAME_STATUS.CANCELLED;
+  if (name.includes('ABANDONED')) return GAME_STATUS.ABANDONED;
+  if (type.completed || type.state === 'post' || name.startsWith('STATUS_FINAL')) {
+    return GAME_STATUS.FINAL;
+  }
+  if (type.state === 'in') return GAME_STATUS.LIVE;
+  return GAME_STATUS.SCHEDULED;
+}
+
+/**
+ * Create an ESPN scoreboard source adapter
+ * @param {Object} options - Adapter options
+ * @param {string} options.baseUrl - API base URL
+ * @param {Array<string>} options.leagues - Scoreboard paths to search (e.g. 'basketball/nba')
+ * @returns {Object} Source adapter
+ */
+function createESPNSource(options = {}) {
+  const config = { ...SOURCE_DEFAULTS.espn, ...options };
+
+  // Scoreboard paths to search - just the league's when it is known
+  const leaguePaths = league => {
+    const path = league && config.leagues.find(l => l.endsWith(`/${league.toLowerCase()}`));
+    return path ? [path] : config.leagues;
+  };
+
+  const findTeam = async (teamName, league) => {
+    for (const path of leaguePaths(league)) {
+      let response;
+      try {
+        response = await axios.get(`${config.baseUrl}/${path}/teams`, { timeout: REQUEST_TIMEOUT_MS });
+      } catch (error) {
+        continue;
+      }
+      const teams = response.data.sports?.[0]?.leagues?.[0]?.teams || [];
+      const match = teams.map(t => t.team).find(team =>
+        team && (teamNameMatches(team.displayName, teamName) || teamNameMatches(team.shortDisplayName, teamName))
+      );
+      if (match) return { path, team: match };
+    }
+    return null;
+  };
+
+  return {
+    name: 'espn',
+
+    // Skip leagues ESPN isn't configured for (soccer)
+    supports(query = {}) {
+      return !query.league || config.leagues.some(l => l.endsWith(`/${query.league.toLowerCase()}`));
+    },
+
+    async query(teamName, date, context = {}) {
+      const compactDate = date.replace(/-/g, '');
+
+      try {
+        // Search the league's scoreboard for that day - every configured
+        // league's when the league isn't known
+        const scoreboards = await Promise.all(leaguePaths(context.league).map(league =>
+          axios.get(`${config.baseUrl}/${league}/scoreboard?dates=${compactDate}`, {
+            timeout: REQUEST_TIMEOUT_MS
+          }).then(response => response.data, () => null)
+        ));
+
+        const games = [];
+
+        for (const scoreboard of scoreboards) {
+          if (!scoreboard || !Array.isArray(scoreboard.events)) continue;
+
+          // Full names only - short names ("Kings", "Rangers") are shared across
+          // sports. ESPN's own spellings ("LA Clippers") go through the registry.
+          const league = scoreboard.leagues?.[0]?.abbreviation || null;
+          const isTeam = name => teamNameMatches(name, teamName, league);
+
+          for (const event of scoreboard.events) {
+            const competitors = event.competitions?.[0]?.competitors || [];
+            const home = competitors.find(c => c.homeAway === 'home');
+            const away = competitors.find(c => c.homeAway === 'away');
+            if (!home || !away) continue;
+
+            const involved = [home, away].some(c => isTeam(c.team?.displayName));
+            if (!involved) continue;
+
+            games.push(buildGame({
+              source: 'espn',
+              homeTeam: home.team.displayName,
+              awayTeam: away.team.displayName,
+              homeScore: parseScore(home.score),
+              awayScore: parseScore(away.score),
+              status: espnStatus(event),
+              date,
+              league,
+              eventId: String(event.id),
+              startTime: toISOTime(event.date),
+              lookupStrategy: 'day_scoreboard'
+            }));
+          }
+        }
+
+        if (games.length > 0) {
+          return gamesResult('espn', games);
+        }
+
+        if (scoreboards.every(s => s === null)) {
+          return { error: 'source_unavailable', source: 'espn' };
+        }
+
+        return { error: 'event_not_found_on_date', source: 'espn' };
+      } catch (error) {
+        return { error: error.message, source: 'espn' };
+      }
+    },
+
+    async querySeason(teamName, season, context = {}) {
+      try {
+        const found = await findTeam(teamName, context.league);
+        if (!found) {
+          return { error: 'team_not_found', source: 'espn' };
+        }
+
+        // ESPN names seasons by the year they end in
+        const response = await axios.get(
+          `${config.baseUrl}/${found.path}/teams/${found.team.id}/schedule?season=${seasonYears(season).end}`,
+          { timeout: REQUEST_TIMEOUT_MS }
+        );
+
+        const league = found.path.split('/')[1].toUpperCase();
+        const games = [];
+        for (const event of response.data.events || []) {
+          const competitors = event.competitions?.[0]?.competitors || [];
+          const home = competitors.find(c => c.homeAway === 'home');
+          const away = competitors.find(c => c.homeAway === 'away');
+          if (!home || !away) continue;
+
+          // Schedule scores are { value, displayValue } objects
+          const score = c => parseScore(typeof c.score === 'object' ? c.score?.value : c.score);
+
+          games.push(buildGame({
+            source: 'espn',
+            homeTeam: home.team.displayName,
+            awayTeam: away.team.displayName,
+            homeScore: score(home),
+            awayScore: score(away),
+            status: espnStatus(event),
+            date: todayIn(DATE_DEFAULTS.timezone, new Date(event.date)),
+            league,
+            eventId: String(event.id),
+            startTime: toISOTime(event.date),
+            lookupStrategy: 'team_schedule'
+          }));
+        }
+
+        if (games.length === 0) {
+          return { error: 'season_not_found', source: 'espn' };
+        }
+
+        return { source: 'espn', season, games };
+      } catch (error) {
+        return { error: error.message, source: 'espn' };
+      }
+    },
+
+    async queryStandings(teamName, season, context = {}) {
+      try {
+        const found = await findTeam(teamName, context.league);
+        if (!found) {
+          return { error: 'team_not_found', source: 'espn' };
+        }
+
+        const response = await axios.get(
+          `${config.standingsBaseUrl}/${found.path}/standings?season=${seasonYears(season).end}`,
+          { timeout: REQUEST_TIMEOUT_MS }
+        );
+
+        const standings = espnStandingsRows(response.data);
+        if (standings.length === 0) {
+          return { error: 'standings_not_found', source: 'espn' };
+        }
+
+        return {
+          source: 'espn',
+          season,
+          league: found.path.split('/')[1].toUpperCase(),
+          standings
+        };
+      } catch (error) {
+        return { error: error.message, source: 'espn' };
+      }
+    },
+
+    async queryBoxScore(eventId, context = {}) {
+      const league = (context.league || '').toLowerCase();
+      const path = config.leagues.find(l => l.endsWith(`/${league}`));
+      if (!path) {
+        return { error: 'league_not_supported', source: 'espn' };
+      }
+
+      try {
+        const response = await axios.get(
+          `${config.baseUrl}/${path}/summary?event=${eventId}`,
+          { timeout: REQUEST_TIMEOUT_MS }
+        );
+        return { source: 'espn', lines: espnBoxScoreLines(response.data) };
+      } catch (error) {
+        return { error: error.message, source: 'espn' };
+      }
+    }
+  };
+}
+
+/**
+ * Flatten an ESPN game summary into one stat line per player. Stat groups
+ * (passing, rushing, batting, ...) are merged; a key seen in an earlier group
+ * is prefixed with the group name, e.g. pitching "strikeouts" becomes
+ * "pitchingStrikeouts" for a two-way player.
+ * @param {Object} summary - ESPN summary response
+ * @returns {Array<Object>} Box-score lines
+ */
+function espnBoxScoreLines(summary) {
+  const lines = new Map();
+
+  for (const teamBox of summary?.boxscore?.players || []) {
+    const team = teamBox.team?.displayName || null;
+
+    for (const group of teamBox.statistics || []) {
+      const keys = group.keys || [];
+
+      for (const entry of group.athletes || []) {
+        const player = entry.athlete?.displayName;
+        if (!player || entry.didNotPlay || !Array.isArray(entry.stats)) continue;
+
+        if (!lines.has(player)) lines.set(player, { player, team, stats: {} });
+        const stats = lines.get(player).stats;
+
+        keys.forEach((key, i) => {
+          // Combined columns like "fieldGoalsMade-fieldGoalsAttempted" / "10-18"
+          const subKeys = key.split(/[-/]/);
+          const rawValue = String(entry.stats[i] ?? '');
+          const subValues = subKeys.length > 1 ? rawValue.split(/[-/]/) : [rawValue];
+
+          subKeys.forEach((subKey, j) => {
+            const value = parseFloat(subValues[j]);
+            if (isNaN(value)) return;
+            const name = subKey in stats && group.name
+              ? `${group.name}${subKey[0].toUpperCase()}${subKey.slice(1)}`
+              : subKey;
+            stats[name] = value;
+          });
+        });
+      }
+    }
+  }
+
+  return [...lines.values()].map(line => ({ ...line, stats: addStatTotals(line.stats) }));
+}
+
+/**
+ * Flatten ESPN standings (conferences, divisions) into standings rows.
+ * Rank is the playoff seed within the group when ESPN reports one.
+ * @param {Object} data - ESPN standings response
+ * @returns {Array<Object>} Standings rows
+ */
+function espnStandingsRows(data) {
+  const rows = [];
+
+  const walk = node => {
+    for (const [i, entry] of (node.standings?.entries || []).entries()) {
+      const stats = {};
+      for (const stat of entry.stats || []) {
+        stats[stat.name] = stat.value;
+      }
+      rows.push({
+        rank: stats.playoffSeed || i + 1,
+        team: entry.team?.displayName,
+        group: node.name || null,
+        wins: stats.wins ?? null,
+        losses: stats.losses ?? null,
+        ties: stats.ties || 0,
+        played: stats.gamesPlayed ?? null,
+        ...(stats.otLosses !== undefined && { overtimeLosses: stats.otLosses }),
+        ...(stats.points !== undefined && { points: stats.points }),
+        ...(stats.gamesBehind !== undefined && { gamesBehind: stats.gamesBehind })
+      });
+    }
+    for (const child of node.children || []) {
+      walk(child);
+    }
+  };
+
+  walk(data || {});
+  return rows;
+}
+
+// =============================================================================
+// SOURCE REGISTRY
+// =============================================================================
+
+// Order matters: the first source is treated as primary when sources disagree
+let registeredSources = [
+  createSportsDBSource(),
+  createBallDontLieSource(),
+  createESPNSource(),
+];
+
+/**
+ * Register an additional source adapter
+ * @param {Object} source - Adapter implementing name and query()
+ */
+function registerSource(source) {
+  if (!source || !source.name || typeof source.query !== 'function') {
+    throw new Error('Source adapter must have a name and a query() function');
+  }
+  registeredSources = registeredSources.filter(s => s.name !== source.name);
+  registeredSources.push(source);
+}
+
+/**
+ * Get the registered source adapters
+ * @returns {Array<Object>} Source adapters in priority order
+ */
+function getSources() {
+  return [...registeredSources];
+}
+
+module.exports = {
+  querySportsDB,
+  candidateSeasons,
+  createSportsDBSource,
+  createBallDontLieSource,
+  createESPNSource,
+  registerSource,
+  getSources,
+  pickWinner,
+  parseScore,
+  addStatTotals,
+  teamNameMatches,
+  seasonYears,
+  GAME_STATUS,
+  SOURCE_DEFAULTS,
+  SPORTSDB_STRATEGIES
+};
@@ -0,0 +1,273 @@
+/**
+ * Season Queries
+ *
+ * Parsing and tallying for season-level questions: a team's record
+ * ("What is the Lakers record this season?"), its place in the standings
+ * ("Where do the Celtics stand in the East?") and head-to-head records
+ * ("Lakers vs Celtics head to head since 2024").
+ */
+
+const { parseDate, todayIn, DATE_SOURCES } = require('./date-parser');
+const { teamNameMatches, GAME_STATUS } = require('./sports-sources');
+
+const SEASON_QUERY_TYPES = {
+  RECORD: 'record',
+  STANDING: 'standing',
+  HEAD_TO_HEAD: 'head_to_head',
+};
+
+// Month each league's season starts in; anything earlier belongs to the
+// previous season. Leagues not listed (soccer) start in August.
+const SEASON_START_MONTH = { NBA: 10, NHL: 10, NFL: 9, MLB: 3 };
+const DEFAULT_SEASON_START_MONTH = 8;
+
+// Leagues whose seasons are labelled by a single year
+const SINGLE_YEAR_LEAGUES = ['MLB', 'NFL'];
+
+// =============================================================================
+// SEASONS
+// =============================================================================
+
+/**
+ * Label for the season starting in a given year
+ * @param {string} league - League code (e.g. "NBA")
+ * @param {number} startYear - Year the season starts in
+ * @returns {string} Season label ("2025-2026" or "2025")
+ */
+function seasonLabel(league, startYear) {
+  return SINGLE_YEAR_LEAGUES.includes(league) ? `${startYear}` : `${startYear}-${startYear + 1}`;
+}
+
+/**
+ * Year the season containing a date started in
+ * @param {string} league - League code
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {number} Season start year
+ */
+function seasonStartYear(league, date) {
+  const [year, month] = date.split('-').map(n => parseInt(n, 10));
+  const startMonth = SEASON_START_MONTH[league] || DEFAULT_SEASON_START_MONTH;
+  return month >= startMonth ? year : year - 1;
+}
+
+/**
+ * Season containing a date (the most recent one during an offseason)
+ * @param {string} league - League code
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} Season label
+ */
+function seasonFor(league, date) {
+  return seasonLabel(league, seasonStartYear(league, date));
+}
+
+/**
+ * Every season overlapping a date range
+ * @param {string} league - League code
+ * @param {Object} dateRange - { start, end } in YYYY-MM-DD format
+ * @returns {Array<string>} Season labels, oldest first
+ */
+function seasonsBetween(league, dateRange) {
+  const seasons = [];
+  const last = seasonStartYear(league, dateRange.end);
+  for (let year = seasonStartYear(league, dateRange.start); year <= last; year++) {
+    seasons.push(seasonLabel(league, year));
+  }
+  return seasons;
+}
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+// "record", "place" and "rank" are everyday words ("Did LeBron record a
+// triple double?"), so each pattern needs the team-season context around them
+const STANDING_PATTERNS = [
+  /\bstandings\b/i,
+  /\bwhere\s+(?:do|does|did|are|is|were)\b.*\b(?:stand|rank|ranked|sit|placed|seeded)\b/i,
+  /\bwhat\s+(?:place|position|seed|rank)\b/i,
+  /\bin\s+(?:first|second|third|fourth|fifth|last|\d+(?:st|nd|rd|th))\s+place\b/i,
+  /\b(?:first|second|third|fourth|fifth|sixth|seventh|eighth|top|\d+(?:st|nd|rd|th))\s+seed\b/i,
+  /\b(?:league|conference|division)\s+(?:position|rank|ranking|table)\b/i,
+];
+
+const RECORD_PATTERNS = [
+  /\b(?:season|overall|home|road|away|current|team|final)\s+record\b/i,
+  /\bwhat(?:'s|\s+is|\s+was|\s+are)\b.*\brecord\b/i,
+  /\w(?:'s|s')\s+record\b/i,
+  /\brecord\s+(?:this|last|so far|in the|in \d{4}|since|between|from)\b/i,
+  /\b(?:win[- ]loss|wins and losses)\b/i,
+  /\bhow many (?:wins|losses)\b/i,
+  /\bhow many games\b.*\b(?:won|lost|win|lose)\b/i,
+];
+
+/**
+ * Parse the date a "since ..." / "between ... and ..." phrase refers to
+ * @param {string} text - Date phrase
+ * @param {Object} options - Parse options (timezone, referenceDate)
+ * @param {boolean} endOfYear - Read a bare year as December 31 rather than January 1
+ * @returns {string|null} Date in YYYY-MM-DD format or null
+ */
+function phraseDate(text, options, endOfYear = false) {
+  const year = text.trim().match(/^(\d{4})$/);
+  if (year) return endOfYear ? `${year[1]}-12-31` : `${year[1]}-01-01`;
+  const parsed = parseDate(text, options);
+  return parsed.dateSource === DATE_SOURCES.DEFAULTED ? null : parsed.date;
+}
+
+/**
+ * Parse a season-level question. Returns null for single-game questions.
+ * @param {string} question - Natural language question
+ * @param {Object} options - Parse options (timezone, referenceDate)
+ * @returns {Object|null} { type, seasonStartYear?, seasonOffset, dateRange?, matchedText }
+ */
+function parseSeasonQuery(question, options = {}) {
+  let type = null;
+  if (/\b(head[- ]to[- ]head|h2h|season series|all[- ]time series|series record)\b/i.test(question) ||
+      /\brecord\s+(?:against|vs\.?|versus)\b/i.test(question)) {
+    type = SEASON_QUERY_TYPES.HEAD_TO_HEAD;
+  } else if (STANDING_PATTERNS.some(pattern => pattern.test(question))) {
+    type = SEASON_QUERY_TYPES.STANDING;
+  } else if (RECORD_PATTERNS.some(pattern => pattern.test(question))) {
+    type = SEASON_QUERY_TYPES.RECORD;
+  }
+
+  if (!type) return null;
+
+  const result = { type, seasonOffset: 0, matchedText: [] };
+
+  // "2024-25", "2024-2025 season"
+  const explicit = question.match(/\b(?:the\s+)?(\d{4})[-/](\d{2}|\d{4})(?![-/\d])(?:\s+season)?/i);
+  // "the 2025 season"
+  const year = question.match(/\b(?:the\s+)?(\d{4})\s+season\b/i);
+  // "this season", "last season"
+  const relative = question.match(/\b(this|current|last|previous)\s+season\b/i);
+  // "since January 2024", "between 2023 and 2025", "from Jan 1 to Mar 1"
+  const since = question.match(/\bsince\s+(.+?)(?=\?|$|\s+(?:in|on)\s+the\b)/i);
+  const between = question.match(/\b(?:between|from)\s+(.+?)\s+(?:and|to|through)\s+(.+?)(?=\?|$)/i);
+
+  if (explicit) {
+    result.seasonStartYear = parseInt(explicit[1], 10);
+    result.matchedText.push(explicit[0]);
+  } else if (year) {
+    result.seasonStartYear = parseInt(year[1], 10);
+    result.matchedText.push(year[0]);
+  } else if (relative) {
+    result.seasonOffset = /^(last|previous)$/i.test(relative[1]) ? -1 : 0;
+    result.matchedText.push(relative[0]);
+  }
+
+  // Date ranges only make sense across games, not for a standings snapshot
+  if (type !== SEASON_QUERY_TYPES.STANDING) {
+    const today = todayIn(options.timezone, options.referenceDate);
+    // "between the Lakers and Celtics" is not a date range
+    if (between) {
+      const start = phraseDate(between[1], options);
+      const end = phraseDate(between[2], options, true);
+      if (start && end) {
+        result.dateRange = { start, end: end < today ? end : today };
+        result.matchedText.push(between[0]);
+      }
+    }
+    if (since && !result.dateRange) {
+      const start = phraseDate(since[1], options);
+      if (start) {
+        result.dateRange = { start, end: today };
+        result.matchedText.push(since[0]);
+      }
+    }
+  }
+
+  return result;
+}
+
+// =============================================================================
+// TALLYING
+// =============================================================================
+
+/**
+ * Tally a team's record from a list of games. Only final games count.
+ * @param {Array<Object>} games - Game records
+ * @param {string} teamName - Team whose record is tallied
+ * @param {Object} options - Filters
+ * @param {string} options.opponent - Only count games against this team
+ * @param {Object} options.dateRange - Only count games within { start, end }
+ * @param {string} options.league - League, to match source spellings ("LA Clippers") through the registry
+ * @returns {Object} { wins, losses, ties, played, winPercentage, home, away, games }
+ */
+function computeRecord(games, teamName, options = {}) {
+  const { opponent, dateRange, league } = options;
+  const record = {
+    wins: 0,
+    losses: 0,
+    ties: 0,
+    played: 0,
+    home: { wins: 0, losses: 0, ties: 0 },
+    away: { wins: 0, losses: 0, ties: 0 },
+    games: []
+  };
+
+  const seen = new Set();
+  for (const game of games) {
+    if (game.status !== GAME_STATUS.FINAL || !game.winner) continue;
+    if (dateRange && (game.date < dateRange.start || game.date > dateRange.end)) continue;
+
+    const isHome = teamNameMatches(game.homeTeam, teamName, league);
+    const isAway = !isHome && teamNameMatches(game.awayTeam, teamName, league);
+    if (!isHome && !isAway) continue;
+
+    const opponentName = isHome ? game.awayTeam : game.homeTeam;
+    if (opponent && !teamNameMatches(opponentName, opponent, league)) continue;
+
+    // Season listings sometimes repeat an event
+    const id = game.eventId || `${game.date}|${game.homeTeam}|${game.awayTeam}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+
+    const outcome = game.winner === 'tie'
+      ? 'ties'
+      : teamNameMatches(game.winner, teamName, league) ? 'wins' : 'losses';
+
+    record[outcome]++;
+    record[isHome ? 'home' : 'away'][outcome]++;
+    record.played++;
+    record.games.push({
+      date: game.date,
+      homeTeam: game.homeTeam,
+      awayTeam: game.awayTeam,
+      homeScore: game.homeScore,
+      awayScore: game.awayScore,
+      winner: game.winner
+    });
+  }
+
+  record.winPercentage = record.played > 0
+    ? Math.round(((record.wins + record.ties / 2) / record.played) * 1000) / 1000
+    : null;
+  record.games.sort((a, b) => a.date.localeCompare(b.date));
+
+  return record;
+}
+
+/**
+ * Find a team's row in a standings table
+ * @param {Array<Object>} standings - Standings rows
+ * @param {string} teamName - Team to find
+ * @param {string} league - Optional league, to match source spellings through the registry
+ * @returns {Object|null} Standings row
+ */
+function findStandingRow(standings, teamName, league) {
+  return standings.find(row => row.team && row.team.toLowerCase() === teamName.toLowerCase()) ||
+    standings.find(row => teamNameMatches(row.team, teamName, league)) ||
+    null;
+}
+
+module.exports = {
+  parseSeasonQuery,
+  seasonFor,
+  seasonLabel,
+  seasonStartYear,
+  seasonsBetween,
+  computeRecord,
+  findStandingRow,
+  SEASON_QUERY_TYPES
+};
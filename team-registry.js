@@ -0,0 +1,194 @@
+/**
+ * Team Registry
+ *
+ * League-aware lookup of team names, nicknames, abbreviations and cities.
+ * Loaded from data/teams.json (override with TEAM_REGISTRY_FILE) so the
+ * list can be updated without touching code.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REGISTRY_FILE = process.env.TEAM_REGISTRY_FILE ||
+  path.join(__dirname, 'data', 'teams.json');
+
+// Active registry, loaded lazily on first lookup
+let registry = null;
+
+/**
+ * Normalize a name for lookup - case, accents, periods and a leading "the"
+ * @param {string} name - Raw name
+ * @returns {string} Lookup key
+ */
+function toKey(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\./g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^the /, '');
+}
+
+/**
+ * Every name a team can be referred to by
+ * @param {Object} team - Registry team entry
+ * @returns {Array<string>} Lookup keys
+ */
+function teamKeys(team) {
+  const keys = new Set([toKey(team.name), toKey(team.city)]);
+
+  for (const nickname of team.nicknames || []) {
+    keys.add(toKey(nickname));
+  }
+  for (const abbreviation of team.abbreviations || []) {
+    keys.add(toKey(abbreviation));
+  }
+
+  // Location prefix, e.g. "Golden State" from "Golden State Warriors"
+  const primary = (team.nicknames || [])[0];
+  if (primary && team.name.length > primary.length && team.name.endsWith(primary)) {
+    keys.add(toKey(team.name.slice(0, -primary.length)));
+  }
+
+  return [...keys].filter(Boolean);
+}
+
+/**
+ * Load a team registry from a data file and make it the active registry
+ * @param {string} filePath - Path to a JSON file with { leagues, teams }
+ * @returns {Object} Loaded registry
+ */
+function loadTeamRegistry(filePath = DEFAULT_REGISTRY_FILE) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const index = new Map();
+
+  for (const team of data.teams || []) {
+    for (const key of teamKeys(team)) {
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(team);
+    }
+  }
+
+  const leagueIndex = new Map();
+  for (const league of data.leagues || []) {
+    for (const alias of [league.code, league.name, ...(league.aliases || [])]) {
+      leagueIndex.set(toKey(alias), league.code);
+    }
+  }
+
+  registry = {
+    file: filePath,
+    leagues: data.leagues || [],
+    teams: data.teams || [],
+    index,
+    leagueIndex
+  };
+  return registry;
+}
+
+/**
+ * Get the active registry, loading the default file if needed
+ * @returns {Object} Active registry
+ */
+function getTeamRegistry() {
+  return registry || loadTeamRegistry();
+}
+
+/**
+ * Resolve a league name or alias to its registry code
+ * @param {string} league - League hint (e.g. "nhl", "Premier League")
+ * @returns {string|null} League code or null
+ */
+function resolveLeague(league) {
+  if (!league) return null;
+  return getTeamRegistry().leagueIndex.get(toKey(league)) || null;
+}
+
+/**
+ * Find a league mentioned anywhere in free text
+ * @param {string} text - Text to scan
+ * @returns {string|null} League code or null
+ */
+function findLeagueInText(text) {
+  if (!text) return null;
+  const lower = ` ${toKey(text).replace(/[^a-z0-9 ]/g, ' ')} `;
+  for (const [alias, code] of getTeamRegistry().leagueIndex) {
+    if (lower.includes(` ${alias} `)) return code;
+  }
+  return null;
+}
+
+/**
+ * Resolve a team reference to a single registry entry
+ * @param {string} name - Team name, nickname, abbreviation or city
+ * @param {string} leagueHint - Optional league to disambiguate
+ * @returns {Object} { team } or { error, candidates? }
+ */
+function resolveTeam(name, leagueHint) {
+  if (!name) return { error: 'team_not_in_registry' };
+
+  const { index } = getTeamRegistry();
+  const key = toKey(name);
+  let matches = index.get(key) || [];
+
+  const league = resolveLeague(leagueHint);
+  if (league) {
+    matches = matches.filter(team => team.league === league);
+  }
+
+  // A full official name always wins over nickname/city collisions
+  const exact = matches.filter(team => toKey(team.name) === key);
+  if (exact.length === 1) {
+    return { team: exact[0] };
+  }
+
+  if (matches.length === 1) {
+    return { team: matches[0] };
+  }
+
+  if (matches.length > 1) {
+    return {
+      error: 'ambiguous_team_name',
+      candidates: matches.map(team => ({ name: team.name, league: team.league }))
+    };
+  }
+
+  return { error: 'team_not_in_registry' };
+}
+
+/**
+ * Registry name of a team as a data source spells it. Sources disagree on the
+ * city part ("LA Clippers" vs "Los Angeles Clippers") but not the nickname.
+ * @param {string} name - Team name reported by a source
+ * @param {string} leagueHint - Optional league to disambiguate
+ * @returns {string|null} Registry name, or null when no single team matches
+ */
+function canonicalTeamName(name, leagueHint) {
+  if (!name) return null;
+
+  const resolved = resolveTeam(name, leagueHint);
+  if (resolved.team) return resolved.team.name;
+
+  // A full name from another league ("Sacramento Kings" in the NHL) isn't a namesake
+  if (resolveTeam(name).team) return null;
+
+  const key = toKey(name);
+  const league = resolveLeague(leagueHint);
+  const matches = getTeamRegistry().teams.filter(team =>
+    (!league || team.league === league) &&
+    (team.nicknames || []).some(nickname => key.endsWith(` ${toKey(nickname)}`))
+  );
+  return matches.length === 1 ? matches[0].name : null;
+}
+
+module.exports = {
+  loadTeamRegistry,
+  getTeamRegistry,
+  resolveTeam,
+  canonicalTeamName,
+  resolveLeague,
+  findLeagueInText,
+  DEFAULT_REGISTRY_FILE
+};
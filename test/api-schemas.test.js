@@ -0,0 +1,82 @@
+/**
+ * v2 request validation: the schema keywords the endpoints rely on, query
+ * string conversion and defaults.
+ *
+ * Run: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  validate,
+  queryToBody,
+  withDefaults,
+  SPORTS_GAME_SCHEMA,
+  REDDIT_LISTING_SCHEMA,
+  BATCH_SCHEMA
+} = require('../api-schemas');
+
+const fields = errors => errors.map(e => e.field);
+
+test('accepts a valid game request', () => {
+  assert.deepEqual(validate(SPORTS_GAME_SCHEMA, {
+    team: 'Lakers',
+    date: '2026-01-30',
+    opponent: 'Celtics',
+    startTime: '19:30',
+    timezone: 'America/Los_Angeles',
+    claim: { type: 'win', margin: { operator: '>', value: 10 } }
+  }), []);
+});
+
+test('reports missing, unknown and mistyped fields', () => {
+  const errors = validate(SPORTS_GAME_SCHEMA, { date: 20260130, venue: 'Crypto.com Arena', gameNumber: 1.5 });
+
+  assert.deepEqual(fields(errors).sort(), ['date', 'gameNumber', 'team', 'venue']);
+  assert.equal(errors.find(e => e.field === 'team').message, 'is required');
+  assert.equal(errors.find(e => e.field === 'venue').message, 'is not a known field');
+});
+
+test('rejects impossible dates and unknown timezones', () => {
+  assert.deepEqual(fields(validate(SPORTS_GAME_SCHEMA, { team: 'Lakers', date: '2026-02-30' })), ['date']);
+  assert.deepEqual(fields(validate(SPORTS_GAME_SCHEMA, { team: 'Lakers', date: '2026-1-30' })), ['date']);
+  assert.deepEqual(fields(validate(SPORTS_GAME_SCHEMA, { team: 'Lakers', date: '2028-02-29' })), []);
+  assert.deepEqual(
+    fields(validate(SPORTS_GAME_SCHEMA, { team: 'Lakers', date: '2026-01-30', timezone: 'Eastern' })),
+    ['timezone']
+  );
+});
+
+test('checks nested objects, enums and patterns with dotted field names', () => {
+  const errors = validate(SPORTS_GAME_SCHEMA, {
+    team: 'Lakers',
+    date: '2026-01-30',
+    startTime: '7pm',
+    claim: { type: 'blowout', margin: { operator: '>' } }
+  });
+
+  assert.deepEqual(fields(errors).sort(), ['claim.margin.value', 'claim.type', 'startTime']);
+});
+
+test('validates oneOf branches and array bounds', () => {
+  assert.deepEqual(validate(BATCH_SCHEMA, { items: ['Who won?', { question: 'Did the Celtics win?' }] }), []);
+  assert.deepEqual(fields(validate(BATCH_SCHEMA, { items: [] })), ['items']);
+  assert.deepEqual(fields(validate(BATCH_SCHEMA, { items: ['ok', 42] })), ['items[1]']);
+  assert.deepEqual(fields(validate(REDDIT_LISTING_SCHEMA, { subreddit: 'nba', filters: { flair: ['DD', ''] } })), ['filters.flair[1]']);
+});
+
+test('converts query string values to the schema types', () => {
+  const body = queryToBody(
+    new URLSearchParams('subreddit=nba&limit=25&filters={"excludeNsfw":true}&after=t3_abc'),
+    REDDIT_LISTING_SCHEMA
+  );
+
+  assert.deepEqual(body, { subreddit: 'nba', limit: 25, filters: { excludeNsfw: true }, after: 't3_abc' });
+  // Left as a string for validate() to report
+  assert.equal(queryToBody(new URLSearchParams('limit=ten'), REDDIT_LISTING_SCHEMA).limit, 'ten');
+});
+
+test('fills in defaults for missing fields only', () => {
+  assert.deepEqual(withDefaults(REDDIT_LISTING_SCHEMA, { subreddit: 'nba', sort: 'new' }), { subreddit: 'nba', sort: 'new', limit: 10 });
+});
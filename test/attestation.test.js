@@ -0,0 +1,111 @@
+/**
+ * Signed attestations: canonical encoding, the sign/verify round trip and
+ * rejection of tampered or foreign results.
+ *
+ * Run: node --test test/
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const {
+  canonicalJSON,
+  signResult,
+  verifyAttestation,
+  publicKeyInfo,
+  loadSigningKey,
+  generateSigningKey
+} = require('../attestation');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attestation-'));
+let key;
+
+before(() => {
+  delete process.env.ORACLE_SIGNING_KEY;
+  const file = path.join(tmpDir, 'signing-key.pem');
+  fs.writeFileSync(file, generateSigningKey().privateKeyPem);
+  key = loadSigningKey({ file });
+});
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const result = {
+  verified: true,
+  team: 'Los Angeles Lakers',
+  date: '2026-01-30',
+  result: { winner: 'Los Angeles Lakers', homeScore: 112, awayScore: 104 },
+  sources: ['ESPN', 'TheSportsDB'],
+  confidence: 0.95
+};
+
+function sign(value) {
+  return { ...value, attestation: signResult(value, key) };
+}
+
+test('encodes objects with sorted keys and no whitespace', () => {
+  assert.equal(canonicalJSON({ b: [1, undefined], a: { d: null, c: 'x' }, e: undefined }), '{"a":{"c":"x","d":null},"b":[1,null]}');
+  assert.equal(canonicalJSON(new Date('2026-01-30T00:00:00Z')), '"2026-01-30T00:00:00.000Z"');
+});
+
+test('verifies a freshly signed result', () => {
+  const signed = sign(result);
+  const check = verifyAttestation(signed, key);
+
+  assert.equal(signed.attestation.algorithm, 'Ed25519');
+  assert.equal(check.valid, true);
+  assert.equal(check.keyId, key.keyId);
+  assert.equal(check.signedAt, signed.attestation.signedAt);
+});
+
+test('still verifies after the result is reordered or pretty-printed', () => {
+  const signed = sign(result);
+  const reordered = JSON.parse(JSON.stringify(Object.fromEntries(Object.entries(signed).reverse()), null, 2));
+
+  assert.equal(verifyAttestation(reordered, key).valid, true);
+});
+
+test('rejects a result with any value changed', () => {
+  const signed = sign(result);
+
+  const flipped = { ...signed, result: { ...signed.result, winner: 'Boston Celtics' } };
+  assert.deepEqual(verifyAttestation(flipped, key), { valid: false, reason: 'signature_mismatch', keyId: key.keyId });
+
+  const added = { ...signed, note: 'unofficial' };
+  assert.equal(verifyAttestation(added, key).reason, 'signature_mismatch');
+
+  const redated = { ...signed, attestation: { ...signed.attestation, signedAt: '2026-01-01T00:00:00.000Z' } };
+  assert.equal(verifyAttestation(redated, key).reason, 'signature_mismatch');
+
+  const garbled = { ...signed, attestation: { ...signed.attestation, signature: 'not base64!' } };
+  assert.equal(verifyAttestation(garbled, key).reason, 'signature_mismatch');
+});
+
+test('rejects results signed by another key or not signed at all', () => {
+  const other = loadSigningKey({ pem: generateSigningKey().privateKeyPem });
+  const foreign = { ...result, attestation: signResult(result, other) };
+
+  assert.equal(verifyAttestation(foreign, key).reason, 'unknown_key');
+  assert.equal(verifyAttestation(result, key).reason, 'missing_attestation');
+
+  const signed = sign(result);
+  const relabeled = { ...signed, attestation: { ...signed.attestation, algorithm: 'RS256' } };
+  assert.equal(verifyAttestation(relabeled, key).reason, 'unsupported_algorithm');
+});
+
+test('verifies against the published public key', () => {
+  const info = publicKeyInfo(key);
+  const published = { keyId: info.keyId, publicKey: crypto.createPublicKey(info.publicKey) };
+
+  assert.equal(info.jwk.kid, key.keyId);
+  assert.equal(verifyAttestation(sign(result), published).valid, true);
+});
+
+test('signs nothing when no key is configured', () => {
+  assert.equal(loadSigningKey({ file: path.join(tmpDir, 'missing.pem') }), null);
+  assert.equal(signResult(result, null), null);
+  assert.equal(verifyAttestation(sign(result), null).reason, 'signing_disabled');
+});
@@ -0,0 +1,117 @@
+/**
+ * Response cache: hits and misses, expiry, what isn't cached, both
+ * backends and the combined cache report.
+ *
+ * Run: node --test test/
+ */
+
+const { test, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  cached,
+  summarizeCache,
+  createMemoryCache,
+  createFileCache,
+  setCache
+} = require('../cache');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+let backend;
+let fetches;
+
+beforeEach(() => {
+  backend = setCache(createMemoryCache({ maxEntries: 10 }));
+  fetches = 0;
+});
+
+const fetchScore = value => async () => {
+  fetches++;
+  return value;
+};
+
+test('serves a repeat lookup from the cache', async () => {
+  const first = await cached('gameFinal', 'lakers|2026-01-30', fetchScore({ homeScore: 110 }));
+  const second = await cached('gameFinal', 'lakers|2026-01-30', fetchScore({ homeScore: 999 }));
+
+  assert.equal(fetches, 1);
+  assert.equal(first.cache.hit, false);
+  assert.equal(second.cache.hit, true);
+  assert.deepEqual(second.value, { homeScore: 110 });
+});
+
+test('refetches an expired entry', async () => {
+  const past = Date.now() - 120000;
+  backend.set('redditHot:nba', { value: { posts: ['old'] }, storedAt: past, expiresAt: past + 60000 });
+
+  const result = await cached('redditHot', 'nba', fetchScore({ posts: ['new'] }));
+
+  assert.equal(fetches, 1);
+  assert.equal(result.cache.hit, false);
+  assert.deepEqual(result.value, { posts: ['new'] });
+});
+
+test('does not cache errors, or values the ttl function skips', async () => {
+  await cached('gameFinal', 'missing', fetchScore({ error: 'timeout' }));
+  await cached('gameFinal', 'missing', fetchScore({ error: 'timeout' }));
+  assert.equal(fetches, 2);
+
+  const ttl = value => (value.status === 'live' ? 0 : 60);
+  await cached('game', 'live', fetchScore({ status: 'live' }), ttl);
+  await cached('game', 'live', fetchScore({ status: 'live' }), ttl);
+  assert.equal(fetches, 4);
+});
+
+test('hands out copies, so callers can change what they get back', async () => {
+  const first = await cached('team', 'lakers', fetchScore({ id: 134867, names: ['Lakers'] }));
+  first.value.names.push('changed');
+
+  const second = await cached('team', 'lakers', fetchScore(null));
+  assert.deepEqual(second.value.names, ['Lakers']);
+});
+
+test('evicts the least recently used entry', () => {
+  const lru = createMemoryCache({ maxEntries: 2 });
+  const entry = value => ({ value, storedAt: 0, expiresAt: Infinity });
+
+  lru.set('a', entry(1));
+  lru.set('b', entry(2));
+  lru.get('a');
+  lru.set('c', entry(3));
+
+  assert.equal(lru.size(), 2);
+  assert.equal(lru.get('b'), null);
+  assert.equal(lru.get('a').value, 1);
+});
+
+test('keeps entries on disk with the file backend', async () => {
+  const dir = path.join(tmpDir, 'entries');
+  setCache(createFileCache({ dir }));
+
+  await cached('gameFinal', 'celtics|2026-01-30', fetchScore({ homeScore: 101 }));
+  // A new backend on the same directory, as after a restart
+  setCache(createFileCache({ dir }));
+  const again = await cached('gameFinal', 'celtics|2026-01-30', fetchScore(null));
+
+  assert.equal(fetches, 1);
+  assert.equal(again.cache.hit, true);
+  assert.deepEqual(again.value, { homeScore: 101 });
+});
+
+test('goes straight to the source when caching is off', async () => {
+  setCache(null);
+  await cached('team', 'lakers', fetchScore({ id: 1 }));
+  await cached('team', 'lakers', fetchScore({ id: 1 }));
+  assert.equal(fetches, 2);
+});
+
+test('summarizes the cache reports behind one answer', () => {
+  assert.equal(summarizeCache([undefined, null]), null);
+  assert.deepEqual(summarizeCache([{ hit: true, ageSeconds: 30 }, { hit: true, ageSeconds: 5 }]), { hit: true, ageSeconds: 30 });
+  assert.deepEqual(summarizeCache([{ hit: true, ageSeconds: 30 }, { hit: false, ageSeconds: 0 }]), { hit: false, partial: true, ageSeconds: 30 });
+});
@@ -0,0 +1,85 @@
+/**
+ * Charging: sorting results into outcomes and pricing answers by
+ * confidence tier, under the default and a file-loaded policy.
+ *
+ * Run: node --test test/
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  chargeFor,
+  classifyResult,
+  maxCreditsPerQuery,
+  loadChargingPolicy,
+  CHARGE_OUTCOMES
+} = require('../charging');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'charging-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function policyFile(policy) {
+  const file = path.join(tmpDir, `${Object.keys(policy).join('-') || 'empty'}.json`);
+  fs.writeFileSync(file, JSON.stringify(policy));
+  return file;
+}
+
+const defaults = loadChargingPolicy(null);
+
+test('sorts results into charge outcomes', () => {
+  assert.equal(classifyResult({ verified: true, confidence: 0.95 }, defaults), CHARGE_OUTCOMES.ANSWERED);
+  assert.equal(classifyResult({ verified: false, error: 'game_postponed' }, defaults), CHARGE_OUTCOMES.ANSWERED);
+  assert.equal(classifyResult({ verified: false, error: 'team_not_found' }, defaults), CHARGE_OUTCOMES.INPUT_ERROR);
+  assert.equal(classifyResult({ verified: false, error: 'invalid_date' }, defaults), CHARGE_OUTCOMES.INPUT_ERROR);
+  assert.equal(classifyResult({ error: 'timeout of 10000ms exceeded' }, defaults), CHARGE_OUTCOMES.UPSTREAM_ERROR);
+  assert.equal(classifyResult({ error: 'daily_limit_reached', safetyTriggered: true }, defaults), CHARGE_OUTCOMES.SAFETY_RAIL);
+});
+
+test('reads an unresolved market\'s reason as its error', () => {
+  assert.equal(classifyResult({ resolved: false, reason: 'no_matching_outcome' }, defaults), CHARGE_OUTCOMES.INPUT_ERROR);
+  assert.equal(classifyResult({ resolved: true, confidence: 0.95 }, defaults), CHARGE_OUTCOMES.ANSWERED);
+});
+
+test('charges only answers under the default policy', () => {
+  assert.deepEqual(chargeFor({ verified: true, confidence: 0.75 }, defaults), {
+    outcome: CHARGE_OUTCOMES.ANSWERED,
+    credits: 1,
+    tier: { minConfidence: 0, credits: 1 }
+  });
+  assert.deepEqual(chargeFor({ error: 'team_not_found' }, defaults), {
+    outcome: CHARGE_OUTCOMES.INPUT_ERROR,
+    credits: 0,
+    reason: 'team_not_found'
+  });
+  assert.equal(chargeFor({ error: 'socket hang up' }, defaults).credits, 0);
+});
+
+test('prices answers by confidence tier', () => {
+  const policy = loadChargingPolicy(policyFile({
+    name: 'tiered',
+    tiers: [{ minConfidence: 0, credits: 1 }, { minConfidence: 0.95, credits: 3 }, { minConfidence: 0.85, credits: 2 }]
+  }));
+
+  assert.equal(chargeFor({ verified: true, confidence: 0.97 }, policy).credits, 3);
+  assert.equal(chargeFor({ verified: true, confidence: 0.85 }, policy).credits, 2);
+  assert.equal(chargeFor({ verified: true, confidence: 0.75 }, policy).credits, 1);
+  // Game threads carry the verified game's confidence
+  assert.equal(chargeFor({ found: true, game: { confidence: 0.95 } }, policy).credits, 3);
+  assert.equal(maxCreditsPerQuery(policy), 3);
+});
+
+test('charges input errors when the policy says so', () => {
+  const policy = loadChargingPolicy(policyFile({ chargeInputErrors: true }));
+
+  assert.equal(chargeFor({ error: 'team_not_found' }, policy).credits, 1);
+  assert.equal(chargeFor({ error: 'socket hang up' }, policy).credits, 0);
+});
+
+test('rejects malformed tiers', () => {
+  assert.throws(() => loadChargingPolicy(policyFile({ tiers: [] })), /tiers/);
+  assert.throws(() => loadChargingPolicy(policyFile({ tiers: [{ minConfidence: 0, credits: 1.5 }] })), /tiers/);
+});
@@ -0,0 +1,91 @@
+/**
+ * Claim parsing and verdicts, including games reported under a different
+ * city spelling and games against a different opponent.
+ *
+ * Run: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseClaim, evaluateClaim, CLAIM_TYPES, VERDICTS } = require('../claims');
+const { verifyResult } = require('../oracle');
+const { GAME_STATUS } = require('../sports-sources');
+
+function game(source, homeTeam, awayTeam, homeScore, awayScore) {
+  return {
+    source,
+    homeTeam,
+    awayTeam,
+    homeScore,
+    awayScore,
+    status: GAME_STATUS.FINAL,
+    winner: homeScore > awayScore ? homeTeam : awayTeam,
+    league: 'NBA',
+    date: '2026-01-30'
+  };
+}
+
+// Adapters that always report the same game, whatever is asked
+const sourcesReporting = (...games) => games.map(g => ({ name: g.source, query: async () => g }));
+
+const verification = result => ({ verified: true, league: 'NBA', result });
+
+test('parses win, loss and tie claims with margins', () => {
+  assert.deepEqual(parseClaim('Did the Celtics beat the Heat?'), { type: CLAIM_TYPES.WIN, margin: null });
+  assert.deepEqual(parseClaim('Did the Chiefs win by more than 7?'), { type: CLAIM_TYPES.WIN, margin: { operator: '>', value: 7 } });
+  assert.deepEqual(parseClaim('Did the Bruins lose to the Rangers by 3 or more?'), { type: CLAIM_TYPES.LOSS, margin: { operator: '>=', value: 3 } });
+  assert.deepEqual(parseClaim('Did Arsenal draw with Chelsea?'), { type: CLAIM_TYPES.TIE, margin: null });
+  assert.equal(parseClaim('Who won the Lakers game?'), null);
+});
+
+test('judges a claim against the verified score', () => {
+  const result = { homeTeam: 'Boston Celtics', awayTeam: 'Miami Heat', homeScore: 110, awayScore: 98, winner: 'Boston Celtics' };
+  const query = { team: 'Boston Celtics', opponent: 'Miami Heat' };
+
+  assert.equal(evaluateClaim({ type: CLAIM_TYPES.WIN }, query, verification(result)).verdict, VERDICTS.TRUE);
+  assert.equal(evaluateClaim({ type: CLAIM_TYPES.LOSS }, query, verification(result)).verdict, VERDICTS.FALSE);
+  assert.equal(evaluateClaim({ type: CLAIM_TYPES.WIN, margin: { operator: '>', value: 12 } }, query, verification(result)).verdict, VERDICTS.FALSE);
+  assert.equal(evaluateClaim({ type: CLAIM_TYPES.WIN, margin: { operator: '==', value: 12 } }, query, verification(result)).verdict, VERDICTS.TRUE);
+});
+
+test('finds the team under a source\'s own city spelling', () => {
+  const result = { homeTeam: 'LA Clippers', awayTeam: 'Phoenix Suns', homeScore: 120, awayScore: 111, winner: 'LA Clippers' };
+  const claim = evaluateClaim({ type: CLAIM_TYPES.WIN }, { team: 'Los Angeles Clippers', opponent: 'Phoenix Suns' }, verification(result));
+
+  assert.equal(claim.verdict, VERDICTS.TRUE);
+});
+
+test('a game against another opponent is not verified, even when every source agrees', async () => {
+  const sources = sourcesReporting(
+    game('one', 'Los Angeles Lakers', 'Miami Heat', 101, 99),
+    game('two', 'Los Angeles Lakers', 'Miami Heat', 101, 99)
+  );
+
+  const result = await verifyResult(
+    { team: 'Los Angeles Lakers', opponent: 'Boston Celtics', date: '2026-01-30', league: 'NBA', claim: { type: CLAIM_TYPES.WIN } },
+    { sources }
+  );
+
+  assert.equal(result.verified, false);
+  assert.equal(result.confidence, 0);
+  assert.equal(result.error, 'teams_did_not_meet');
+  assert.equal(result.verdict, VERDICTS.FALSE);
+  assert.equal(result.claim.reason, 'teams_did_not_meet');
+});
+
+test('an opponent reported under another city spelling still counts as a match', async () => {
+  const sources = sourcesReporting(
+    game('one', 'Los Angeles Clippers', 'Los Angeles Lakers', 120, 111),
+    game('two', 'LA Clippers', 'Los Angeles Lakers', 120, 111)
+  );
+
+  const result = await verifyResult(
+    { team: 'Los Angeles Lakers', opponent: 'Los Angeles Clippers', date: '2026-01-30', league: 'NBA', claim: { type: CLAIM_TYPES.LOSS } },
+    { sources }
+  );
+
+  assert.equal(result.verified, true);
+  assert.equal(result.confidence, 0.95);
+  assert.equal(result.verdict, VERDICTS.TRUE);
+});
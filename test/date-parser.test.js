@@ -0,0 +1,70 @@
+/**
+ * Date phrases in sports questions, resolved against a fixed "now" so the
+ * expected dates don't drift.
+ *
+ * Run: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseDate, isValidTimezone, DATE_SOURCES } = require('../date-parser');
+const { parseQuestion } = require('../oracle');
+
+// Wednesday 2026-02-04, 03:30 UTC - still Tuesday evening in New York
+const referenceDate = new Date('2026-02-04T03:30:00Z');
+const parse = text => parseDate(text, { timezone: 'America/New_York', referenceDate });
+
+test('reads absolute dates as explicit', () => {
+  for (const text of ['Lakers on 2026-01-25', 'Lakers on January 25, 2026', 'Lakers on 1/25/2026', 'Lakers on 25 January 2026']) {
+    const result = parse(text);
+    assert.equal(result.date, '2026-01-25', text);
+    assert.equal(result.dateSource, DATE_SOURCES.EXPLICIT, text);
+  }
+});
+
+test('resolves relative dates in the reference timezone', () => {
+  assert.equal(parse('Did the Lakers win today?').date, '2026-02-03');
+  assert.equal(parse('Did the Lakers win last night?').date, '2026-02-02');
+  assert.equal(parse('Lakers two days ago').date, '2026-02-01');
+  assert.equal(parse('Lakers last Tuesday').date, '2026-01-27');
+  assert.equal(parse('Lakers on Tuesday').date, '2026-02-03');
+  assert.equal(parse('Did the Lakers win yesterday?').dateSource, DATE_SOURCES.INFERRED);
+});
+
+test('puts a partial date on its most recent past occurrence', () => {
+  assert.equal(parse('Lakers on Jan 5').date, '2026-01-05');
+  assert.equal(parse('Lakers on Dec 25').date, '2025-12-25');
+});
+
+test('maps an NFL week to its Thursday-Monday window', () => {
+  const result = parse('Chiefs week 12');
+  assert.equal(result.week, 12);
+  assert.deepEqual(result.dateRange, { start: '2025-11-20', end: '2025-11-24' });
+  assert.equal(result.date, '2025-11-23');
+});
+
+test('defaults to today when no date is given', () => {
+  const result = parse('Who won the Lakers game?');
+  assert.equal(result.date, '2026-02-03');
+  assert.equal(result.dateSource, DATE_SOURCES.DEFAULTED);
+});
+
+test('reports impossible dates instead of defaulting to today', () => {
+  for (const text of ['Lakers on 2026-02-30', 'Lakers on April 31, 2026', 'Lakers on 2/30', 'Lakers on 31 June']) {
+    const result = parse(text);
+    assert.equal(result.error, 'invalid_date', text);
+    assert.equal(result.date, null, text);
+  }
+});
+
+test('carries an impossible date through parseQuestion', () => {
+  const parsed = parseQuestion('Did the Lakers beat the Celtics on 2026-02-30?', { referenceDate });
+  assert.equal(parsed.error, 'invalid_date');
+  assert.equal(parsed.invalidDate, '2026-02-30');
+});
+
+test('recognizes IANA timezones', () => {
+  assert.equal(isValidTimezone('America/Los_Angeles'), true);
+  assert.equal(isValidTimezone('Mars/Olympus_Mons'), false);
+});
@@ -0,0 +1,155 @@
+/**
+ * Market resolution against fake sports sources: settling winner and Yes/No
+ * markets, postponed games and their makeups, and market validation.
+ *
+ * Run: node --test test/
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { GAME_STATUS } = require('../sports-sources');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'market-resolution-'));
+
+let resolveMarket;
+let validateMarket;
+let RESOLUTION_STATUS;
+
+before(() => {
+  // Read once at load time, so set before requiring the modules
+  process.env.MARKET_RESOLUTIONS_FILE = path.join(tmpDir, 'resolutions.json');
+  process.env.ORACLE_STATS_FILE = path.join(tmpDir, 'stats.json');
+  ({ resolveMarket, validateMarket, RESOLUTION_STATUS } = require('../market-resolution'));
+});
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Wednesday 2026-02-04, midday in New York
+const now = new Date('2026-02-04T17:00:00Z');
+
+function game(date, homeScore, awayScore, extra = {}) {
+  const status = extra.status || GAME_STATUS.FINAL;
+  return {
+    homeTeam: 'Los Angeles Lakers',
+    awayTeam: 'Boston Celtics',
+    homeScore,
+    awayScore,
+    status,
+    winner: status !== GAME_STATUS.FINAL ? null
+      : homeScore > awayScore ? 'Los Angeles Lakers' : 'Boston Celtics',
+    league: 'NBA',
+    date,
+    ...extra
+  };
+}
+
+// Two sources that both report the games listed by date
+function sourcesFor(gamesByDate) {
+  return ['one', 'two'].map(name => ({
+    name,
+    query: async (team, date) => gamesByDate[date]
+      ? { ...gamesByDate[date], source: name }
+      : { error: 'event_not_found_on_date', source: name }
+  }));
+}
+
+const market = (id, overrides = {}) => ({
+  id,
+  event: { team: 'Lakers', opponent: 'Celtics', date: '2026-01-30', league: 'NBA' },
+  outcomes: ['Lakers', 'Celtics', 'void'],
+  deadline: '2026-02-10T12:00:00Z',
+  ...overrides
+});
+
+test('settles a winner market and keeps the dispute window from the first resolution', async () => {
+  const sources = sourcesFor({ '2026-01-30': game('2026-01-30', 110, 101) });
+
+  const first = await resolveMarket(market('winner'), { sources, now });
+  const later = await resolveMarket(market('winner'), { sources, now: new Date(now.getTime() + 3600000) });
+
+  assert.equal(first.status, RESOLUTION_STATUS.RESOLVED);
+  assert.equal(first.outcome.id, 'Lakers');
+  assert.equal(first.confidence, 0.95);
+  assert.equal(first.finalAfter, '2026-02-04T19:00:00.000Z');
+  assert.equal(later.firstResolvedAt, first.firstResolvedAt);
+  assert.equal(later.finalAfter, first.finalAfter);
+});
+
+test('settles a Yes/No market from the claim verdict', async () => {
+  const sources = sourcesFor({ '2026-01-30': game('2026-01-30', 98, 104) });
+
+  const result = await resolveMarket({
+    event: { question: 'Will the Lakers beat the Celtics on 2026-01-30?' },
+    outcomes: ['Yes', 'No']
+  }, { sources, now });
+
+  assert.equal(result.status, RESOLUTION_STATUS.RESOLVED);
+  assert.equal(result.outcome.id, 'No');
+});
+
+test('settles a postponed game on its makeup once that has been played', async () => {
+  const sources = sourcesFor({
+    '2026-01-30': game('2026-01-30', null, null, { status: GAME_STATUS.POSTPONED, rescheduledDate: '2026-02-02' }),
+    '2026-02-02': game('2026-02-02', 99, 107)
+  });
+
+  const result = await resolveMarket(market('makeup-played', { rules: { onPostponed: 'void' } }), { sources, now });
+
+  assert.equal(result.status, RESOLUTION_STATUS.RESOLVED);
+  assert.equal(result.outcome.id, 'Celtics');
+  assert.equal(result.sourceData.date, '2026-02-02');
+});
+
+test('waits for a makeup still to come before the deadline instead of voiding', async () => {
+  const sources = sourcesFor({
+    '2026-01-30': game('2026-01-30', null, null, { status: GAME_STATUS.POSTPONED, rescheduledDate: '2026-02-08' })
+  });
+
+  const result = await resolveMarket(market('makeup-pending', { rules: { onPostponed: 'void' } }), { sources, now });
+
+  assert.equal(result.status, RESOLUTION_STATUS.TOO_EARLY);
+  assert.equal(result.reason, 'game_postponed');
+});
+
+test('falls back to onPostponed when the makeup is after the deadline', async () => {
+  const sources = sourcesFor({
+    '2026-01-30': game('2026-01-30', null, null, { status: GAME_STATUS.POSTPONED, rescheduledDate: '2026-03-01' })
+  });
+
+  const result = await resolveMarket(market('makeup-late', { rules: { onPostponed: 'void' } }), { sources, now });
+
+  assert.equal(result.status, RESOLUTION_STATUS.RESOLVED);
+  assert.equal(result.outcome.id, 'void');
+  assert.equal(result.reason, 'game_postponed');
+});
+
+test('does not settle on a game against another opponent', async () => {
+  const sources = sourcesFor({ '2026-01-30': game('2026-01-30', 110, 101, { awayTeam: 'Miami Heat' }) });
+
+  const result = await resolveMarket(market('wrong-opponent'), { sources, now });
+
+  assert.equal(result.status, RESOLUTION_STATUS.UNRESOLVED);
+  assert.equal(result.reason, 'teams_did_not_meet');
+});
+
+test('leaves a question with an impossible date unresolved', async () => {
+  const result = await resolveMarket({
+    event: { question: 'Will the Lakers beat the Celtics on 2026-02-30?' },
+    outcomes: ['Yes', 'No']
+  }, { sources: sourcesFor({}), now });
+
+  assert.equal(result.status, RESOLUTION_STATUS.UNRESOLVED);
+  assert.equal(result.reason, 'invalid_date');
+});
+
+test('rejects malformed dates and deadlines', () => {
+  assert.equal(validateMarket(market('ok')), null);
+  assert.match(validateMarket(market('bad', { deadline: 1769860800000 })), /deadline/);
+  assert.match(validateMarket(market('bad', { deadline: 'next Friday' })), /deadline/);
+  assert.match(validateMarket(market('bad', { event: { team: 'Lakers', date: '2026-02-30' } })), /event\.date/);
+  assert.match(validateMarket(market('bad', { event: { team: 'Lakers', date: '01/30/2026' } })), /event\.date/);
+});
@@ -0,0 +1,61 @@
+/**
+ * Player stat question parsing: stat names, thresholds and which players
+ * count as players rather than teams.
+ *
+ * Run: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseStatQuery, parsePlayerQuestion, evaluateThreshold } = require('../player-stats');
+const { VERDICTS } = require('../claims');
+
+const referenceDate = new Date('2026-02-04T17:00:00Z');
+
+test('parses stat names and threshold wording', () => {
+  assert.deepEqual(parseStatQuery('Did LeBron score 30+ points?').threshold, { operator: '>=', value: 30 });
+  assert.deepEqual(parseStatQuery('Did Jokic have more than 12 boards?'), {
+    stat: 'rebounds',
+    threshold: { operator: '>', value: 12 },
+    matchedText: 'more than 12 boards'
+  });
+  assert.deepEqual(parseStatQuery('Did Curry hit 5 threes or fewer?').threshold, { operator: '<=', value: 5 });
+  assert.equal(parseStatQuery('Did LeBron score more than 25?').stat, 'points');
+  assert.equal(parseStatQuery('How many assists did Haliburton have?').stat, 'assists');
+  assert.equal(parseStatQuery('Did the Lakers win?'), null);
+});
+
+test('reads bare yards from the verb', () => {
+  assert.equal(parseStatQuery('Did Mahomes throw for 300 yards?').stat, 'passingYards');
+  assert.equal(parseStatQuery('Did Mahomes pass for over 250 yards?').stat, 'passingYards');
+  assert.equal(parseStatQuery('Did Henry run for 150 yards?').stat, 'rushingYards');
+  assert.equal(parseStatQuery('Did Henry rush for at least 100 yards?').stat, 'rushingYards');
+  assert.equal(parseStatQuery('Did Kelce catch 100 yards?').stat, 'receivingYards');
+  assert.equal(parseStatQuery('How many yards did Mahomes throw for?').stat, 'passingYards');
+});
+
+test('keeps total yards when there is no verb, and named yards as named', () => {
+  assert.equal(parseStatQuery('Did Kelce have 100 yards?').stat, 'totalYards');
+  assert.equal(parseStatQuery('Did Mahomes have 300 passing yards?').stat, 'passingYards');
+  assert.equal(parseStatQuery('Did Barkley run for 80 receiving yards?').stat, 'receivingYards');
+});
+
+test('parses the player, opponent and date', () => {
+  const parsed = parsePlayerQuestion('Did LeBron James score 30+ against the Raptors on 2026-01-19?', { referenceDate });
+
+  assert.equal(parsed.player, 'LeBron James');
+  assert.equal(parsed.opponent, 'Raptors');
+  assert.equal(parsed.stat, 'points');
+  assert.equal(parsed.date, '2026-01-19');
+});
+
+test('leaves team questions to the team parser', () => {
+  assert.equal(parsePlayerQuestion('Did the Chiefs score 30+ points?', { referenceDate }), null);
+});
+
+test('evaluates thresholds into verdicts', () => {
+  assert.equal(evaluateThreshold(31, { operator: '>=', value: 30 }), VERDICTS.TRUE);
+  assert.equal(evaluateThreshold(29, { operator: '>=', value: 30 }), VERDICTS.FALSE);
+  assert.equal(evaluateThreshold(null, { operator: '>=', value: 30 }), VERDICTS.UNDETERMINABLE);
+});
@@ -0,0 +1,90 @@
+/**
+ * Reddit failures mapped to error codes, against a local mock of the
+ * public endpoints.
+ *
+ * Run: node --test test/
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Status (or { status, body }) to answer each path with; tests overwrite this
+let replies;
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://fixture');
+  const reply = replies[url.pathname] || 404;
+  const { status, body } = typeof reply === 'number' ? { status: reply } : reply;
+  res.writeHead(status, { 'Content-Type': 'application/json', ...(status === 429 && { 'retry-after': '0' }) });
+  res.end(JSON.stringify(body ?? { message: http.STATUS_CODES[status] }));
+});
+
+let reddit;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  // Read once at load time, so set before requiring the module
+  delete process.env.REDDIT_CLIENT_ID;
+  delete process.env.REDDIT_CLIENT_SECRET;
+  process.env.REDDIT_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  require('../cache').setCache(null);
+  reddit = require('../reddit-oracle');
+  reddit.SAFETY_LIMITS.requestDelayMs = 0;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  replies = {};
+});
+
+test('maps post failures to post error codes', async () => {
+  const post = () => reddit.fetchPost('nba', 'abc123');
+  const path = '/r/nba/comments/abc123.json';
+
+  replies[path] = 404;
+  assert.equal((await post()).error, 'post_not_found');
+
+  replies[path] = 403;
+  assert.equal((await post()).error, 'forbidden');
+
+  replies[path] = 429;
+  assert.equal((await post()).error, 'rate_limited');
+});
+
+test('maps search failures to subreddit error codes', async () => {
+  const search = () => reddit.searchSubreddit('nba', 'trade', 5);
+  const path = '/r/nba/search.json';
+
+  replies[path] = 404;
+  assert.equal((await search()).error, 'subreddit_not_found');
+
+  replies[path] = 403;
+  assert.equal((await search()).error, 'subreddit_private');
+
+  replies[path] = 429;
+  assert.equal((await search()).error, 'rate_limited');
+
+  replies[path] = 503;
+  assert.equal((await search()).error, 'reddit_unavailable');
+});
+
+test('maps user lookup failures to user error codes', async () => {
+  const user = () => reddit.fetchUser('fixture_user');
+  const path = '/user/fixture_user/about.json';
+
+  replies[path] = 404;
+  assert.equal((await user()).error, 'user_not_found');
+
+  // The name is taken but the profile 404s
+  replies['/api/username_available.json'] = { status: 200, body: false };
+  assert.equal((await user()).error, 'user_shadowbanned');
+
+  replies[path] = 403;
+  assert.equal((await user()).error, 'user_suspended');
+
+  replies[path] = 500;
+  assert.equal((await user()).error, 'reddit_unavailable');
+});
@@ -0,0 +1,144 @@
+/**
+ * Reddit HTTP layer against a local mock token and API server: app-only
+ * OAuth, token refresh after a 401, and backing off after a 429.
+ *
+ * Run: node --test test/
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const CLIENT_ID = 'fixture-client';
+const CLIENT_SECRET = 'fixture-secret';
+
+// Mock server behaviour and request log; tests overwrite these
+let mock;
+let requests;
+
+function listing(ids) {
+  return {
+    kind: 'Listing',
+    data: {
+      after: null,
+      children: ids.map(id => ({
+        kind: 't3',
+        data: { id, title: `Post ${id}`, author: 'fixture', score: 10, num_comments: 2, permalink: `/r/nba/comments/${id}/`, created_utc: 1769731200 }
+      }))
+    }
+  };
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://fixture');
+  requests.push({ method: req.method, path: url.pathname, authorization: req.headers.authorization || null });
+
+  const send = (status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  if (url.pathname === '/api/v1/access_token') {
+    const expected = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+    if (req.headers.authorization !== expected || mock.tokenDown) return send(401, { error: 'invalid_client' });
+    const token = mock.tokens.shift();
+    return send(200, { access_token: token, token_type: 'bearer', expires_in: 3600, scope: '*' });
+  }
+
+  if (url.pathname.startsWith('/oauth/') || url.pathname.startsWith('/public/')) {
+    const status = mock.statuses.shift() || 200;
+    if (status === 429) return send(429, { message: 'Too Many Requests' }, { 'retry-after': '0' });
+
+    // Only the current token is accepted on the OAuth host
+    if (url.pathname.startsWith('/oauth/') && req.headers.authorization !== `Bearer ${mock.validToken}`) {
+      return send(401, { message: 'Unauthorized' });
+    }
+    return send(200, listing(['abc1', 'abc2']), { 'x-ratelimit-remaining': '99', 'x-ratelimit-reset': '1' });
+  }
+
+  send(404, { message: 'Not Found' });
+});
+
+let reddit;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // Read once at load time, so set before requiring the module
+  Object.assign(process.env, {
+    REDDIT_CLIENT_ID: CLIENT_ID,
+    REDDIT_CLIENT_SECRET: CLIENT_SECRET,
+    REDDIT_TOKEN_URL: `${base}/api/v1/access_token`,
+    REDDIT_OAUTH_BASE_URL: `${base}/oauth`,
+    REDDIT_BASE_URL: `${base}/public`
+  });
+  reddit = require('../reddit-oracle');
+  reddit.SAFETY_LIMITS.requestDelayMs = 0;
+  reddit.SAFETY_LIMITS.oauthRequestDelayMs = 0;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  mock = { tokens: ['token-1', 'token-2', 'token-3'], validToken: 'token-1', statuses: [], tokenDown: false };
+});
+
+const fetchHot = () => reddit.fetchSubreddit('nba', 'hot', 2, { fresh: true });
+
+test('uses an app-only token on the OAuth host and reuses it', async () => {
+  const first = await fetchHot();
+  const second = await fetchHot();
+
+  assert.equal(first.error, undefined);
+  assert.deepEqual(first.posts.map(p => p.id), ['abc1', 'abc2']);
+  assert.equal(second.error, undefined);
+  assert.deepEqual(requests.map(r => r.path), ['/api/v1/access_token', '/oauth/r/nba/hot.json', '/oauth/r/nba/hot.json']);
+  assert.equal(requests[1].authorization, 'Bearer token-1');
+});
+
+test('refreshes the token once after a 401 and retries', async () => {
+  // token-1 is cached from the previous test; the API now only takes token-2
+  mock.tokens = ['token-2'];
+  mock.validToken = 'token-2';
+
+  const result = await fetchHot();
+
+  assert.equal(result.error, undefined);
+  assert.deepEqual(requests.map(r => r.path), ['/oauth/r/nba/hot.json', '/api/v1/access_token', '/oauth/r/nba/hot.json']);
+  assert.equal(requests[0].authorization, 'Bearer token-1');
+  assert.equal(requests[2].authorization, 'Bearer token-2');
+});
+
+test('backs off and retries after a 429', async () => {
+  mock.validToken = 'token-2';
+  mock.statuses = [429, 429];
+
+  const result = await fetchHot();
+
+  assert.equal(result.error, undefined);
+  assert.equal(requests.filter(r => r.path === '/oauth/r/nba/hot.json').length, 3);
+});
+
+test('gives up with rate_limited once the retries are spent', async () => {
+  mock.validToken = 'token-2';
+  mock.statuses = Array(reddit.SAFETY_LIMITS.maxRetries + 1).fill(429);
+
+  const result = await fetchHot();
+
+  assert.equal(result.error, 'rate_limited');
+  assert.equal(requests.length, reddit.SAFETY_LIMITS.maxRetries + 1);
+});
+
+test('falls back to the public endpoints when no token can be had', async () => {
+  // token-2 is rejected and no new token is issued
+  mock.validToken = 'token-9';
+  mock.tokenDown = true;
+
+  const result = await fetchHot();
+
+  assert.equal(result.error, undefined);
+  assert.deepEqual(requests.map(r => r.path), ['/oauth/r/nba/hot.json', '/api/v1/access_token', '/public/r/nba/hot.json']);
+  assert.equal(requests[2].authorization, null);
+});
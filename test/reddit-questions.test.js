@@ -0,0 +1,48 @@
+/**
+ * Reddit question parsing: query types, subreddits and trend windows.
+ * Subreddit names must not decide the query type.
+ *
+ * Run: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseQuestion, QUERY_TYPES } = require('../reddit-oracle');
+
+test('detects trend questions and their window', () => {
+  const parsed = parseQuestion("What's rising fastest on r/nba in the last 2 hours?");
+
+  assert.equal(parsed.type, QUERY_TYPES.TRENDS);
+  assert.equal(parsed.subreddit, 'nba');
+  assert.ok(parsed.window);
+});
+
+test('does not read trend words inside a subreddit name', () => {
+  assert.equal(parseQuestion("What's hot on r/climbing?").type, QUERY_TYPES.HOT);
+  assert.equal(parseQuestion('Show me r/climbing').type, QUERY_TYPES.HOT);
+  assert.equal(parseQuestion('Latest posts in climbing subreddit').type, QUERY_TYPES.NEW);
+});
+
+test('does not read listing words inside a subreddit name', () => {
+  assert.equal(parseQuestion('Show me r/topgear').type, QUERY_TYPES.HOT);
+  assert.equal(parseQuestion("What's popular on r/newjersey?").type, QUERY_TYPES.HOT);
+  assert.equal(parseQuestion('Top posts on r/newjersey this week').type, QUERY_TYPES.TOP);
+});
+
+test('keeps ticker detection off subreddit names', () => {
+  assert.equal(parseQuestion("What's hot on r/stocks?").type, QUERY_TYPES.HOT);
+  assert.equal(parseQuestion('Which tickers are mentioned most on r/wallstreetbets?').type, QUERY_TYPES.TICKERS);
+});
+
+test('reads users, comparisons and multireddits', () => {
+  assert.equal(parseQuestion('Tell me about u/spez').type, QUERY_TYPES.USER);
+
+  const compared = parseQuestion('Compare r/nba and r/nfl');
+  assert.equal(compared.type, QUERY_TYPES.COMPARE);
+  assert.deepEqual(compared.subreddits, ['nba', 'nfl']);
+
+  const multi = parseQuestion("What's hot on r/nba+nfl?");
+  assert.equal(multi.type, QUERY_TYPES.HOT);
+  assert.equal(multi.subreddit, 'nba+nfl');
+});
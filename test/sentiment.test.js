@@ -0,0 +1,63 @@
+/**
+ * Lexicon sentiment scoring: valences, negation, intensifiers, finance
+ * slang and the summary distribution.
+ *
+ * Run: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeSentiment, summarizeSentiment, SENTIMENT_LABELS } = require('../sentiment');
+
+test('labels positive, negative and neutral text', () => {
+  assert.equal(analyzeSentiment('What a great game, love this team').label, SENTIMENT_LABELS.POSITIVE);
+  assert.equal(analyzeSentiment('Terrible refs, awful defense').label, SENTIMENT_LABELS.NEGATIVE);
+  assert.equal(analyzeSentiment('The game starts at seven').label, SENTIMENT_LABELS.NEUTRAL);
+  assert.equal(analyzeSentiment('').score, 0);
+});
+
+test('keeps the compound score within -1..1', () => {
+  const { score } = analyzeSentiment('great great great amazing awesome best love excellent');
+  assert.ok(score > 0.9 && score < 1, `score ${score}`);
+});
+
+test('flips a word after a negation', () => {
+  const plain = analyzeSentiment('this is good');
+  const negated = analyzeSentiment('this is not good');
+
+  assert.ok(plain.score > 0);
+  assert.ok(negated.score < 0);
+  assert.equal(negated.label, SENTIMENT_LABELS.NEGATIVE);
+});
+
+test('scales a word after an intensifier', () => {
+  assert.ok(analyzeSentiment('very good').score > analyzeSentiment('good').score);
+  assert.ok(analyzeSentiment('slightly good').score < analyzeSentiment('good').score);
+});
+
+test('reads finance slang, phrases and emoji only when finance is on', () => {
+  const rocket = analyzeSentiment('GME to the moon 🚀🚀');
+  assert.equal(rocket.label, SENTIMENT_LABELS.POSITIVE);
+  assert.ok(rocket.terms.includes('to_the_moon'));
+  assert.ok(rocket.terms.includes('🚀'));
+
+  assert.equal(analyzeSentiment('bought puts on SPY', { finance: true }).label, SENTIMENT_LABELS.NEGATIVE);
+  assert.equal(analyzeSentiment('bought puts on SPY', { finance: false }).label, SENTIMENT_LABELS.NEUTRAL);
+});
+
+test('ignores words that are Object.prototype members', () => {
+  const result = analyzeSentiment('constructor toString hasOwnProperty __proto__ valueOf');
+  assert.equal(result.score, 0);
+  assert.deepEqual(result.terms, []);
+});
+
+test('summarizes a distribution across items', () => {
+  const items = ['great win', 'awful loss', 'game at seven', 'love it'].map(text => ({ sentiment: analyzeSentiment(text) }));
+
+  const summary = summarizeSentiment(items);
+
+  assert.equal(summary.count, 4);
+  assert.deepEqual(summary.distribution, { positive: 2, neutral: 1, negative: 1 });
+  assert.deepEqual(summary.percentages, { positive: 50, neutral: 25, negative: 25 });
+});
@@ -0,0 +1,134 @@
+/**
+ * Sports source adapters against a local fixture server standing in for
+ * TheSportsDB and ESPN: consensus, disagreement and league scoping.
+ *
+ * Run: node --test test/
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { createSportsDBSource, createESPNSource } = require('../sports-sources');
+const { verifyResult } = require('../oracle');
+const { setCache } = require('../cache');
+
+const DATE = '2026-01-30';
+
+// What each fixture API reports; tests overwrite these
+let fixtures;
+
+function sportsDBEvent(home, away, homeScore, awayScore) {
+  return {
+    idEvent: '9001', dateEvent: DATE, strLeague: 'NBA', strStatus: 'Match Finished',
+    strHomeTeam: home, strAwayTeam: away, idHomeTeam: '134867', idAwayTeam: '134860',
+    intHomeScore: String(homeScore), intAwayScore: String(awayScore)
+  };
+}
+
+function espnEvent(id, home, away, homeScore, awayScore) {
+  return {
+    id, date: `${DATE}T03:30Z`,
+    status: { type: { name: 'STATUS_FINAL', completed: true, state: 'post' } },
+    competitions: [{
+      competitors: [
+        { homeAway: 'home', score: String(homeScore), team: { displayName: home, shortDisplayName: home.split(' ').pop() } },
+        { homeAway: 'away', score: String(awayScore), team: { displayName: away, shortDisplayName: away.split(' ').pop() } }
+      ]
+    }]
+  };
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://fixture');
+  let body = null;
+
+  if (url.pathname === '/sportsdb/searchteams.php') {
+    body = { teams: [{ idTeam: '134867', strTeam: 'Los Angeles Clippers', strLeague: 'NBA', idLeague: '4387' }] };
+  } else if (url.pathname === '/sportsdb/eventslast.php') {
+    body = { results: fixtures.sportsdb };
+  } else {
+    const scoreboard = url.pathname.match(/^\/espn\/(\w+\/\w+)\/scoreboard$/);
+    if (scoreboard) {
+      const league = scoreboard[1].split('/')[1].toUpperCase();
+      body = { leagues: [{ abbreviation: league }], events: fixtures.espn[league] || [] };
+    }
+  }
+
+  res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body || { error: 'not_found' }));
+});
+
+let sources;
+
+before(async () => {
+  setCache(null);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  sources = [
+    createSportsDBSource({ baseUrl: `${base}/sportsdb` }),
+    createESPNSource({ baseUrl: `${base}/espn` })
+  ];
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  fixtures = {
+    sportsdb: [sportsDBEvent('Los Angeles Clippers', 'Boston Celtics', 110, 100)],
+    espn: { NBA: [espnEvent('401', 'LA Clippers', 'Boston Celtics', 110, 100)] }
+  };
+});
+
+test('agreeing sources reach consensus despite different city spellings', async () => {
+  const result = await verifyResult({ team: 'Los Angeles Clippers', date: DATE, league: 'NBA' }, { sources });
+
+  assert.equal(result.verified, true);
+  assert.equal(result.result.winner, 'Los Angeles Clippers');
+  assert.equal(result.sourcesAgreed, 2);
+  assert.equal(result.conflict, false);
+  assert.equal(result.confidence, 0.95);
+  assert.deepEqual(result.sourceResults.map(s => s.status), ['agreed', 'agreed']);
+});
+
+test('a disagreeing source scales confidence down and is reported', async () => {
+  fixtures.espn.NBA = [espnEvent('401', 'LA Clippers', 'Boston Celtics', 110, 104)];
+
+  const result = await verifyResult({ team: 'Los Angeles Clippers', date: DATE, league: 'NBA' }, { sources });
+
+  assert.equal(result.verified, true);
+  assert.equal(result.result.finalScore, '110-100');
+  assert.equal(result.conflict, true);
+  assert.equal(result.sourcesAgreed, 1);
+  assert.equal(result.confidence, 0.38);
+  assert.deepEqual(result.sourceResults.map(s => s.status), ['agreed', 'disagreed']);
+});
+
+test('ESPN stays within the league and matches full team names', async () => {
+  // Same-night NHL game between teams whose short names collide with other sports
+  fixtures.espn.NHL = [espnEvent('501', 'Los Angeles Kings', 'New York Rangers', 3, 2)];
+  fixtures.espn.NBA.push(espnEvent('402', 'Sacramento Kings', 'Utah Jazz', 99, 97));
+  const espn = sources[1];
+
+  const kings = await espn.query('Sacramento Kings', DATE, { league: 'NBA' });
+  assert.equal(kings.eventId, '402');
+
+  // Without a league, every scoreboard is searched but short names still don't match
+  const unscoped = await espn.query('Sacramento Kings', DATE);
+  assert.equal(unscoped.eventId, '402');
+
+  const texas = await espn.query('Texas Rangers', DATE, { league: 'MLB' });
+  assert.equal(texas.error, 'event_not_found_on_date');
+
+  assert.equal(espn.supports({ league: 'EPL' }), false);
+});
+
+test('teams sharing a nickname suffix are not the same team', async () => {
+  fixtures.sportsdb = [sportsDBEvent('Boston Red Sox', 'Chicago White Sox', 5, 3)];
+  fixtures.espn = { MLB: [espnEvent('601', 'Chicago White Sox', 'Boston Red Sox', 5, 3)] };
+
+  const result = await verifyResult({ team: 'Boston Red Sox', date: DATE, league: 'MLB' }, { sources });
+
+  assert.equal(result.conflict, true);
+  assert.deepEqual(result.sourceResults.map(s => s.status), ['agreed', 'disagreed']);
+});
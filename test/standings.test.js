@@ -0,0 +1,112 @@
+/**
+ * Season questions: which questions are record, standings or head-to-head
+ * queries, season arithmetic, and tallying records from source games.
+ *
+ * Run: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseSeasonQuery,
+  seasonFor,
+  seasonsBetween,
+  computeRecord,
+  findStandingRow,
+  SEASON_QUERY_TYPES
+} = require('../standings');
+const { GAME_STATUS } = require('../sports-sources');
+
+const referenceDate = new Date('2026-02-04T17:00:00Z');
+const typeOf = question => parseSeasonQuery(question, { referenceDate })?.type || null;
+
+function game(date, homeTeam, awayTeam, homeScore, awayScore) {
+  return {
+    date,
+    homeTeam,
+    awayTeam,
+    homeScore,
+    awayScore,
+    status: GAME_STATUS.FINAL,
+    winner: homeScore === awayScore ? 'tie' : homeScore > awayScore ? homeTeam : awayTeam,
+    league: 'NBA'
+  };
+}
+
+test('recognizes record, standings and head-to-head questions', () => {
+  assert.equal(typeOf('What is the Lakers record this season?'), SEASON_QUERY_TYPES.RECORD);
+  assert.equal(typeOf("What's the Celtics' record?"), SEASON_QUERY_TYPES.RECORD);
+  assert.equal(typeOf('Knicks season record'), SEASON_QUERY_TYPES.RECORD);
+  assert.equal(typeOf('How many wins do the Thunder have?'), SEASON_QUERY_TYPES.RECORD);
+  assert.equal(typeOf('Where do the Celtics stand in the standings?'), SEASON_QUERY_TYPES.STANDING);
+  assert.equal(typeOf('Where does Arsenal sit in the table?'), SEASON_QUERY_TYPES.STANDING);
+  assert.equal(typeOf('Are the Lions in first place?'), SEASON_QUERY_TYPES.STANDING);
+  assert.equal(typeOf('Lakers vs Celtics head to head since 2024'), SEASON_QUERY_TYPES.HEAD_TO_HEAD);
+  assert.equal(typeOf('What is the Lakers record against the Celtics?'), SEASON_QUERY_TYPES.HEAD_TO_HEAD);
+});
+
+test('leaves everyday uses of record, place and rank to the game parser', () => {
+  assert.equal(typeOf('Did LeBron record a triple double?'), null);
+  assert.equal(typeOf('Did the game take place last night?'), null);
+  assert.equal(typeOf('Did the Lakers win yesterday?'), null);
+  assert.equal(typeOf('Can the Jets stand up to the Bills on Sunday?'), null);
+});
+
+test('reads explicit and relative seasons', () => {
+  assert.equal(parseSeasonQuery('Lakers record in the 2024-25 season', { referenceDate }).seasonStartYear, 2024);
+  assert.equal(parseSeasonQuery('Lakers record last season', { referenceDate }).seasonOffset, -1);
+  assert.deepEqual(
+    parseSeasonQuery('Lakers vs Celtics head to head since 2024', { referenceDate }).dateRange,
+    { start: '2024-01-01', end: '2026-02-04' }
+  );
+});
+
+test('assigns dates to league seasons', () => {
+  assert.equal(seasonFor('NBA', '2026-02-04'), '2025-2026');
+  assert.equal(seasonFor('NFL', '2026-01-10'), '2025');
+  assert.equal(seasonFor('MLB', '2026-04-01'), '2026');
+  assert.deepEqual(seasonsBetween('NBA', { start: '2024-01-01', end: '2026-02-04' }), ['2023-2024', '2024-2025', '2025-2026']);
+});
+
+test('tallies a record across source spellings of the team', () => {
+  const games = [
+    game('2026-01-02', 'Los Angeles Clippers', 'Phoenix Suns', 110, 100),
+    game('2026-01-04', 'Denver Nuggets', 'LA Clippers', 120, 101),
+    game('2026-01-06', 'LA Clippers', 'Los Angeles Lakers', 99, 98),
+    game('2026-01-06', 'LA Clippers', 'Los Angeles Lakers', 99, 98),
+    { ...game('2026-01-08', 'LA Clippers', 'Utah Jazz', null, null), status: GAME_STATUS.SCHEDULED, winner: null }
+  ];
+
+  const record = computeRecord(games, 'Los Angeles Clippers', { league: 'NBA' });
+
+  assert.equal(record.wins, 2);
+  assert.equal(record.losses, 1);
+  assert.equal(record.played, 3);
+  assert.deepEqual(record.home, { wins: 2, losses: 0, ties: 0 });
+  assert.equal(record.winPercentage, 0.667);
+});
+
+test('filters a head-to-head record to one opponent', () => {
+  const games = [
+    game('2026-01-02', 'Los Angeles Clippers', 'Los Angeles Lakers', 110, 100),
+    game('2026-01-04', 'Los Angeles Lakers', 'LA Clippers', 120, 101),
+    game('2026-01-06', 'LA Clippers', 'Phoenix Suns', 99, 98)
+  ];
+
+  const record = computeRecord(games, 'Los Angeles Clippers', { opponent: 'Los Angeles Lakers', league: 'NBA' });
+
+  assert.equal(record.played, 2);
+  assert.equal(record.wins, 1);
+  assert.equal(record.losses, 1);
+});
+
+test('finds a standings row under a source spelling', () => {
+  const standings = [
+    { team: 'Oklahoma City Thunder', rank: 1 },
+    { team: 'LA Clippers', rank: 6 }
+  ];
+
+  assert.equal(findStandingRow(standings, 'Los Angeles Clippers', 'NBA').rank, 6);
+  assert.equal(findStandingRow(standings, 'Utah Jazz', 'NBA'), null);
+});
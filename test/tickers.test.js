@@ -0,0 +1,53 @@
+/**
+ * Ticker extraction: cashtags, bare symbols, ambiguous words and the
+ * per-ticker aggregate across a listing.
+ *
+ * Run: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractTickers, aggregateTickers } = require('../tickers');
+const { analyzeSentiment } = require('../sentiment');
+
+const symbolsIn = text => extractTickers(text).map(t => t.symbol).sort();
+
+test('finds cashtags and bare symbols from the list', () => {
+  assert.deepEqual(symbolsIn('$TSLA and NVDA calls, $brk.b for the long run'), ['BRK.B', 'NVDA', 'TSLA']);
+  assert.deepEqual(symbolsIn('$ZZZZ and QQQQQ are not listed'), []);
+});
+
+test('counts repeat mentions and remembers a cashtag', () => {
+  const [gme] = extractTickers('GME GME $GME');
+  assert.deepEqual(gme, { symbol: 'GME', count: 3, cashtag: true });
+});
+
+test('needs a cashtag for ambiguous symbols and skips common all-caps words', () => {
+  assert.deepEqual(symbolsIn('IT IS ALL IN, YOLO, the CEO said so'), []);
+  assert.deepEqual(symbolsIn('Bought $F today, not F'), ['F']);
+});
+
+test('does not read prices or hyphenated words as tickers', () => {
+  assert.deepEqual(symbolsIn('Paid $100 for it'), []);
+  assert.deepEqual(symbolsIn('AMC-style squeeze'), []);
+});
+
+test('aggregates mentions, sentiment and top posts per ticker', () => {
+  const posts = [
+    { id: 'a', title: 'GME to the moon', selftext: 'GME GME', score: 50 },
+    { id: 'b', title: 'GME is a terrible bag', selftext: '', score: 500 },
+    { id: 'c', title: 'TSLA earnings', selftext: '', score: 10 }
+  ].map(post => ({ ...post, sentiment: analyzeSentiment(`${post.title} ${post.selftext}`) }));
+
+  const [gme, tsla] = aggregateTickers(posts);
+
+  assert.equal(gme.symbol, 'GME');
+  assert.equal(gme.name, 'GameStop');
+  assert.equal(gme.mentions, 4);
+  assert.equal(gme.postCount, 2);
+  assert.deepEqual(gme.topPosts.map(p => p.id), ['b', 'a']);
+  assert.equal(gme.sentiment.count, 2);
+  assert.equal(tsla.symbol, 'TSLA');
+  assert.equal(tsla.mentions, 1);
+});
@@ -0,0 +1,118 @@
+/**
+ * Ticker Extraction
+ *
+ * Finds stock and crypto tickers in Reddit text - "$TSLA" cashtags and bare
+ * "TSLA" mentions - validated against a symbol list (data/tickers.json,
+ * override with TICKER_SYMBOLS_FILE) so words like "YOLO" or "CEO" aren't
+ * counted. Symbols on the list's "ambiguous" side ("ALL", "IT", "F") only
+ * count when written as a cashtag.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { summarizeSentiment } = require('./sentiment');
+
+const DEFAULT_SYMBOLS_FILE = process.env.TICKER_SYMBOLS_FILE ||
+  path.join(__dirname, 'data', 'tickers.json');
+
+// Posts listed per ticker in aggregate results
+const TOP_POSTS_PER_TICKER = 3;
+
+// Active symbol list, loaded lazily on first use
+let symbolList = null;
+
+/**
+ * Load a symbol list and make it the active list
+ * @param {string} filePath - Path to a JSON file with { symbols: { TICKER: name }, ambiguous: [] }
+ * @returns {Object} Loaded symbol list
+ */
+function loadTickerSymbols(filePath = DEFAULT_SYMBOLS_FILE) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  symbolList = {
+    file: filePath,
+    symbols: new Map(Object.entries(data.symbols || {}).map(([symbol, name]) => [symbol.toUpperCase(), name])),
+    ambiguous: new Set((data.ambiguous || []).map(symbol => symbol.toUpperCase()))
+  };
+  return symbolList;
+}
+
+/**
+ * Get the active symbol list, loading the default file if needed
+ * @returns {Object} Active symbol list
+ */
+function getTickerSymbols() {
+  return symbolList || loadTickerSymbols();
+}
+
+/**
+ * Find ticker mentions in text
+ * @param {string} text - Text to scan
+ * @returns {Array<Object>} [{ symbol, count, cashtag }] - cashtag is true if any mention used "$"
+ */
+function extractTickers(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const { symbols, ambiguous } = getTickerSymbols();
+  const found = new Map();
+
+  const add = (symbol, cashtag) => {
+    const entry = found.get(symbol) || { symbol, count: 0, cashtag: false };
+    entry.count++;
+    entry.cashtag = entry.cashtag || cashtag;
+    found.set(symbol, entry);
+  };
+
+  // $TSLA, $btc, $BRK.B
+  for (const match of text.matchAll(/(?:^|[^\w$])\$([A-Za-z]{1,5}(?:\.[A-Za-z])?)\b/g)) {
+    const symbol = match[1].toUpperCase();
+    if (symbols.has(symbol)) add(symbol, true);
+  }
+
+  // Bare all-caps TSLA - ambiguous symbols need the "$"
+  for (const match of text.matchAll(/(?:^|[^\w$])([A-Z]{2,5})\b(?![-.]\w)/g)) {
+    const symbol = match[1];
+    if (symbols.has(symbol) && !ambiguous.has(symbol)) add(symbol, false);
+  }
+
+  return [...found.values()];
+}
+
+/**
+ * Aggregate ticker mentions across a listing
+ * @param {Array<Object>} posts - Posts with title, selftext, score and sentiment
+ * @returns {Array<Object>} [{ symbol, name, mentions, postCount, sentiment, topPosts }] by mentions
+ */
+function aggregateTickers(posts) {
+  const { symbols } = getTickerSymbols();
+  const bySymbol = new Map();
+
+  for (const post of posts) {
+    for (const { symbol, count } of extractTickers(`${post.title || ''}\n${post.selftext || ''}`)) {
+      if (!bySymbol.has(symbol)) bySymbol.set(symbol, { mentions: 0, posts: [] });
+      const entry = bySymbol.get(symbol);
+      entry.mentions += count;
+      entry.posts.push(post);
+    }
+  }
+
+  return [...bySymbol.entries()]
+    .map(([symbol, { mentions, posts: mentioning }]) => ({
+      symbol,
+      name: symbols.get(symbol) || null,
+      mentions,
+      postCount: mentioning.length,
+      sentiment: summarizeSentiment(mentioning),
+      topPosts: [...mentioning]
+        .sort((a, b) => (b.score || 0) - (a.score || 0))
+        .slice(0, TOP_POSTS_PER_TICKER)
+        .map(p => ({ id: p.id, title: p.title, score: p.score, permalink: p.permalink }))
+    }))
+    .sort((a, b) => b.mentions - a.mentions || b.postCount - a.postCount);
+}
+
+module.exports = {
+  extractTickers,
+  aggregateTickers,
+  loadTickerSymbols,
+  DEFAULT_SYMBOLS_FILE
+};